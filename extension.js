@@ -1,12 +1,23 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
-const axios = require('axios');
 
 // Import our modular functions
 const { getOperatingSystem } = require('./src/utils/system');
 const { setupUvAsync } = require('./src/managers/packageManager');
 const { registerAllCommands } = require('./src/commands/index');
+const { getOutputChannel } = require('./src/managers/processManager');
+const { loadPackageList } = require('./src/managers/packageListManager');
+const { registerDependencyTreeView } = require('./src/views/dependencyTreeProvider');
+const { registerPythonVersionStatus } = require('./src/views/pythonVersionStatus');
+const { registerLockDriftDetection } = require('./src/views/lockStatus');
+const { registerPyprojectLens } = require('./src/views/pyprojectLens');
+const { registerRequirementsSupport } = require('./src/views/requirementsSupport');
+const { registerPreviewDocuments } = require('./src/views/previewDiff');
+const { registerLockState } = require('./src/managers/lockManager');
+const { registerEnvironmentVariables } = require('./src/managers/environmentManager');
+const { registerInterpreterSelection } = require('./src/managers/interpreterManager');
+const { registerUvState } = require('./src/managers/uvManager');
 
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
@@ -19,23 +30,46 @@ async function activate(context) {
 	const osInfo = getOperatingSystem();
 	console.log(`pyCage activated on ${osInfo.readable}`);
 
-	// Fetch package list from the top PyPI packages JSON (old way)
-	let names = [];
-	try {
-		console.log('Fetching top Python packages list...');
-		const res = await axios.get('https://hugovk.github.io/top-pypi-packages/top-pypi-packages-30-days.json');
-		names = res.data.rows;
-		console.log(`✓ Loaded ${names.length} popular Python packages`);
-	} catch (error) {
-		console.error('Failed to fetch package list:', error.message);
-		vscode.window.showWarningMessage('Failed to load Python packages list. Some features may be limited.');
-		names = []; // Empty array as fallback
-	}
+	// Output channel that uv and pip processes stream into
+	context.subscriptions.push(getOutputChannel());
+
+	// Recorded uv installation, so the chosen binary is used everywhere
+	registerUvState(context);
+
+	// Remembers the uv sync options of each folder
+	registerLockState(context);
+
+	// Read-only documents behind the "diff before writing" previews
+	registerPreviewDocuments(context);
+
+	// Load the top PyPI packages list from the global storage cache (refreshed in the background)
+	const names = loadPackageList(context);
 
 	// Register all commands immediately (regardless of uv status)
 	// This ensures commands are always available even if uv installation fails
 	registerAllCommands(context, names, osInfo);
 
+	// Sidebar view with declared and installed dependencies
+	registerDependencyTreeView(context);
+	registerPythonVersionStatus(context);
+
+	// Warns when pyproject.toml, uv.lock and the environment drift apart
+	registerLockDriftDetection(context);
+
+	// Versions and actions next to pyproject.toml dependencies
+	registerPyprojectLens(context);
+
+	// Diagnostics, quick fixes and completion in requirements files
+	registerRequirementsSupport(context, names);
+
+	// Remembers interpreter selections the user undid
+	registerInterpreterSelection(context);
+
+	// uv and the workspace virtual environments on PATH for new terminals
+	registerEnvironmentVariables(context).catch(error => {
+		console.error('❌ Failed to set up the terminal environment:', error);
+	});
+
 	// Setup uv asynchronously (non-blocking)
 	setupUvAsync(osInfo).then(success => {
 		if (success) {
@@ -47,6 +81,15 @@ async function activate(context) {
 		console.error('❌ pyCage setup failed:', error);
 	});
 
+	// Folders added to a multi-root workspace get their own environment and terminal
+	context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(event => {
+		if (event.added.length > 0) {
+			setupUvAsync(osInfo, event.added).catch(error => {
+				console.error('❌ pyCage setup of added folders failed:', error);
+			});
+		}
+	}));
+
 	console.log('✓ pyCage extension activated successfully');
 }
 
@@ -0,0 +1,583 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const CommandBase = require('../utils/commandBase');
+const {
+    getProjectDependencies,
+    getInstalledPackages,
+    getOutdatedPackages,
+    getReverseDependencies,
+    getEntryGroupArgs,
+    findDependencyEntries
+} = require('../managers/dependencyManager');
+const { SELECTION_FLAGS, getSyncOptions, isUvProject, getLockedPackageNames } = require('../managers/lockManager');
+const { normalizePackageName, formatRequirement } = require('../utils/pep508');
+const { satisfies, isUpgradeWithin, compareVersions } = require('../utils/pep440');
+const { fetchPackageMetadata, fetchLatestVersion, getReleaseVersions } = require('../utils/pypiClient');
+
+/**
+ * Finds the pyproject.toml entry of each declared package
+ * A package that is also a main dependency maps to its [project] dependencies entry.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Map<string, Object>} Entries from findDependencyEntries by normalized package name
+ */
+function getDeclaredEntries(workspaceFolder) {
+    const entries = new Map();
+    try {
+        const text = fs.readFileSync(CommandBase.getWorkspaceFilePath(workspaceFolder, 'pyproject.toml'), 'utf8');
+        findDependencyEntries(text).forEach(entry => {
+            const name = entry.requirement.normalizedName;
+            if (!entries.has(name) || entry.section === 'dependencies') {
+                entries.set(name, entry);
+            }
+        });
+    } catch (error) {
+        console.error('Failed to parse pyproject.toml:', error);
+    }
+    return entries;
+}
+
+/**
+ * Upgrades packages in the workspace environment
+ * In uv projects, packages that are declared or in uv.lock are relocked with --upgrade-package (declared
+ * requirements that exclude the target version are rewritten with uv add) and synced with --inexact, so
+ * packages installed on top of the lock stay; everything else, and plain venvs, use uv pip install --upgrade.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object[]} packages - Packages to upgrade ({ name, version? }); without a version the latest is used
+ * @returns {Promise<boolean>} True if the upgrade succeeded
+ */
+async function upgradePackages(workspaceFolder, packages) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const toSpec = pkg => pkg.version ? `${pkg.name}==${pkg.version}` : pkg.name;
+    const label = packages.map(toSpec).join(', ');
+
+    const declared = isUvProject(workspaceFolder) ? getDeclaredEntries(workspaceFolder) : new Map();
+    const locked = getLockedPackageNames(workspaceFolder) || new Set();
+    const isProjectPackage = pkg => declared.has(normalizePackageName(pkg.name)) || locked.has(normalizePackageName(pkg.name));
+    const projectPackages = declared.size > 0 || locked.size > 0 ? packages.filter(isProjectPackage) : [];
+    const environmentPackages = packages.filter(pkg => !projectPackages.includes(pkg));
+
+    // Packages installed on top of the project (uv pip install) are not in uv.lock, so uv lock cannot upgrade them
+    if (environmentPackages.length > 0) {
+        const result = await CommandBase.executeUvCommand(['pip', 'install', '--upgrade', ...environmentPackages.map(toSpec)], {
+            title: `⬆️ Upgrading ${environmentPackages.map(toSpec).join(', ')}...`,
+            successMessage: projectPackages.length === 0 ? `✅ Upgraded ${label}` : null,
+            cwd
+        });
+        if (!result.success) return false;
+    }
+
+    if (projectPackages.length > 0 && !(await upgradeProjectPackages(workspaceFolder, projectPackages, declared, label))) {
+        return false;
+    }
+    return await checkUpgradedPackagesInstalled(cwd, packages);
+}
+
+/**
+ * Upgrades packages of a uv project through uv.lock
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object[]} packages - Packages to upgrade ({ name, version? })
+ * @param {Map<string, Object>} declared - Entries from getDeclaredEntries
+ * @param {string} label - Description of the whole upgrade for the success message
+ * @returns {Promise<boolean>} True if the upgrade succeeded
+ */
+async function upgradeProjectPackages(workspaceFolder, packages, declared, label) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const toSpec = pkg => pkg.version ? `${pkg.name}==${pkg.version}` : pkg.name;
+
+    // Declared requirements that exclude the target version have to be rewritten with uv add
+    const rewrites = [];
+    const lockOnly = [];
+    packages.forEach(pkg => {
+        const entry = declared.get(normalizePackageName(pkg.name));
+        if (pkg.version && entry && !entry.requirement.url && !satisfies(pkg.version, entry.requirement.specifier)) {
+            rewrites.push({ pkg, entry });
+        } else {
+            lockOnly.push(pkg);
+        }
+    });
+
+    for (const { pkg, entry } of rewrites) {
+        const { requirement } = entry;
+        const newRequirement = formatRequirement({ ...requirement, specifier: `>=${pkg.version}` });
+        const result = await CommandBase.executeUvCommand(['add', ...getEntryGroupArgs(entry), '--upgrade-package', pkg.name, newRequirement], {
+            title: `⬆️ Updating ${requirement.raw} to ${newRequirement}...`,
+            successMessage: lockOnly.length === 0 ? `✅ Upgraded ${label}` : null,
+            cwd
+        });
+        if (!result.success) return false;
+    }
+
+    if (lockOnly.length === 0) return true;
+
+    const lockArgs = ['lock'];
+    lockOnly.forEach(pkg => lockArgs.push('--upgrade-package', toSpec(pkg)));
+    const lockResult = await CommandBase.executeUvCommand(lockArgs, {
+        title: `⬆️ Upgrading ${lockOnly.map(toSpec).join(', ')} in uv.lock...`,
+        cwd
+    });
+    if (!lockResult.success) return false;
+
+    // --inexact keeps what is installed on top of the lock; the folder's sync options and the extras and
+    // groups of the upgraded packages decide what is installed
+    const selections = new Map();
+    lockOnly.forEach(pkg => {
+        const entry = declared.get(normalizePackageName(pkg.name));
+        if (entry && entry.section === 'optional') {
+            selections.set(`extra:${entry.group}`, ['--extra', entry.group]);
+        } else if (entry && entry.section === 'group' && entry.group !== 'dev') {
+            selections.set(`group:${entry.group}`, ['--group', entry.group]);
+        }
+    });
+    const syncArgs = [
+        'sync', '--inexact',
+        ...getSyncOptions(workspaceFolder).filter(flag => SELECTION_FLAGS.includes(flag)),
+        ...[...selections.values()].flat()
+    ];
+    const syncResult = await CommandBase.executeUvCommand(syncArgs, {
+        title: '🔄 Syncing environment...',
+        successMessage: `✅ Upgraded ${label}`,
+        cwd
+    });
+    return syncResult.success;
+}
+
+/**
+ * Checks that every upgraded package is still installed, warning about any that went missing
+ * @param {string} cwd - Workspace folder path
+ * @param {Object[]} packages - Upgraded packages ({ name })
+ * @returns {Promise<boolean>} True if all of them are installed (or the environment could not be listed)
+ */
+async function checkUpgradedPackagesInstalled(cwd, packages) {
+    const installed = await getInstalledPackages(cwd);
+    if (!installed) return true;
+    const installedNames = new Set(installed.map(pkg => normalizePackageName(pkg.name)));
+    const missing = packages.filter(pkg => !installedNames.has(normalizePackageName(pkg.name))).map(pkg => pkg.name);
+    if (missing.length === 0) return true;
+
+    vscode.window.showWarningMessage(`⚠️ ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} no longer installed after the upgrade. Reinstall with "pyCage: Add Package with UV (uv add)" or uv pip install.`);
+    return false;
+}
+
+/**
+ * Removes packages from the project (uv remove) or the environment (uv pip uninstall)
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object[]} packages - Packages to remove ({ name, group, declared })
+ * @returns {Promise<boolean>} True if every removal succeeded
+ */
+async function removePackages(workspaceFolder, packages) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const isUvProject = CommandBase.fileExistsInWorkspace(workspaceFolder, 'pyproject.toml');
+
+    const declared = isUvProject ? packages.filter(pkg => pkg.declared) : [];
+    const undeclared = packages.filter(pkg => !declared.includes(pkg));
+
+    // uv remove takes one dependency group per invocation
+    const byGroup = new Map();
+    declared.forEach(pkg => {
+        const group = pkg.group || '';
+        if (!byGroup.has(group)) byGroup.set(group, []);
+        byGroup.get(group).push(pkg.name);
+    });
+
+    let success = true;
+    for (const [group, names] of byGroup) {
+        const groupArgs = group === 'dev' ? ['--dev'] : (group ? ['--group', group] : []);
+        const result = await CommandBase.executeUvCommand(['remove', ...groupArgs, ...names], {
+            title: `🗑️ Removing ${names.join(', ')} with uv remove...`,
+            successMessage: `✅ Removed ${names.join(', ')}`,
+            cwd
+        });
+        success = success && result.success;
+    }
+
+    if (undeclared.length > 0) {
+        const names = undeclared.map(pkg => pkg.name);
+        const result = await CommandBase.executeUvCommand(['pip', 'uninstall', ...names], {
+            title: `🗑️ Uninstalling ${names.join(', ')}...`,
+            successMessage: `✅ Uninstalled ${names.join(', ')}`,
+            cwd
+        });
+        success = success && result.success;
+    }
+
+    return success;
+}
+
+/**
+ * Warns when packages that are about to be removed are still required by other installed packages
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string[]} names - Package names that will be removed
+ * @returns {Promise<boolean>} True if removal should go ahead
+ */
+async function confirmRemoval(workspaceFolder, names) {
+    const reverse = await getReverseDependencies(workspaceFolder.uri.fsPath, names);
+    const removing = new Set(names.map(normalizePackageName));
+
+    const stillRequired = names
+        .map(name => {
+            const dependents = (reverse.get(normalizePackageName(name)) || [])
+                .filter(dependent => !removing.has(normalizePackageName(dependent)));
+            return dependents.length > 0 ? `${name} (required by ${dependents.join(', ')})` : null;
+        })
+        .filter(Boolean);
+
+    if (stillRequired.length === 0) {
+        return await CommandBase.showConfirmation(`Remove ${names.join(', ')}?`, 'Remove');
+    }
+
+    return await CommandBase.showConfirmation(
+        `⚠️ Other installed packages still depend on: ${stillRequired.join('; ')}. Remove anyway?`,
+        'Remove Anyway'
+    );
+}
+
+/**
+ * Registers the package removal command (uv remove / uv pip uninstall)
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerRemovePackagesCommand(context) {
+    let removePackagesCommand = vscode.commands.registerCommand('py-cage.removePackages',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to remove packages.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const installed = await getInstalledPackages(workspaceFolder.uri.fsPath);
+            if (!installed) {
+                vscode.window.showErrorMessage('❌ Could not list installed packages. Is the virtual environment created?');
+                return;
+            }
+            if (installed.length === 0) {
+                vscode.window.showInformationMessage('No packages are installed in the workspace environment.');
+                return;
+            }
+
+            let project = null;
+            try {
+                project = getProjectDependencies(workspaceFolder);
+            } catch (error) {
+                console.error('Failed to parse pyproject.toml:', error);
+            }
+            const declared = new Map(project
+                ? [...project.dependencies, ...project.devDependencies].map(req => [req.normalizedName, req])
+                : []);
+
+            const items = installed
+                .map(pkg => {
+                    const requirement = declared.get(normalizePackageName(pkg.name));
+                    return {
+                        label: pkg.name,
+                        description: pkg.version,
+                        detail: requirement
+                            ? `Declared in pyproject.toml${requirement.group ? ` (${requirement.group})` : ''}`
+                            : undefined,
+                        group: requirement ? requirement.group : null,
+                        declared: Boolean(requirement)
+                    };
+                })
+                .sort((a, b) => a.label.localeCompare(b.label));
+
+            const picks = await vscode.window.showQuickPick(items, {
+                canPickMany: true,
+                matchOnDetail: true,
+                placeHolder: 'Select packages to remove'
+            });
+            if (!picks || picks.length === 0) {
+                console.log('Package removal cancelled by user');
+                return;
+            }
+
+            const names = picks.map(pick => pick.label);
+            if (!(await confirmRemoval(workspaceFolder, names))) return;
+
+            await removePackages(workspaceFolder, picks.map(pick => ({
+                name: pick.label,
+                group: pick.group,
+                declared: pick.declared
+            })));
+        });
+
+    context.subscriptions.push(removePackagesCommand);
+}
+
+/**
+ * Finds the newest stable release of a package within an upgrade level
+ * @param {Object} pkg - Outdated package ({ name, version, latestVersion })
+ * @param {string} level - 'latest', 'minor' or 'patch'
+ * @param {string} cwd - Workspace folder path
+ * @returns {Promise<string|null>} Target version or null if nothing qualifies
+ */
+async function findUpgradeTarget(pkg, level, cwd) {
+    if (level === 'latest') {
+        return pkg.latestVersion;
+    }
+    if (isUpgradeWithin(pkg.version, pkg.latestVersion, level)) {
+        return pkg.latestVersion;
+    }
+
+    try {
+        const versions = getReleaseVersions(await fetchPackageMetadata(pkg.name, { cwd }));
+        const candidate = versions.find(release =>
+            !release.yanked && !release.prerelease && isUpgradeWithin(pkg.version, release.version, level)
+        );
+        return candidate ? candidate.version : null;
+    } catch (error) {
+        console.error(`Failed to fetch versions of ${pkg.name}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Registers the outdated package detection and bulk upgrade command
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerUpgradePackagesCommand(context) {
+    let upgradePackagesCommand = vscode.commands.registerCommand('py-cage.upgradePackages',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to upgrade packages.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const level = await vscode.window.showQuickPick(
+                [
+                    { label: 'Latest versions', description: 'Allow major upgrades', value: 'latest' },
+                    { label: 'Minor and patch upgrades', description: 'Stay on the current major version', value: 'minor' },
+                    { label: 'Patch upgrades only', description: 'Stay on the current major.minor version', value: 'patch' }
+                ],
+                { placeHolder: 'Which upgrades should be offered?' }
+            );
+            if (!level) return;
+
+            const check = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: '🔍 Checking for outdated packages...',
+                    cancellable: true
+                },
+                async (progress, token) => {
+                    const outdated = await getOutdatedPackages(workspaceFolder.uri.fsPath, token);
+                    // A cancelled uv pip list also returns null, so check the token first
+                    if (token.isCancellationRequested) return { cancelled: true };
+                    if (!outdated) return { error: true };
+
+                    const results = [];
+                    for (const pkg of outdated) {
+                        if (token.isCancellationRequested) return { cancelled: true };
+                        progress.report({ message: pkg.name });
+                        const target = await findUpgradeTarget(pkg, level.value, workspaceFolder.uri.fsPath);
+                        if (target) {
+                            results.push({ ...pkg, target });
+                        }
+                    }
+                    return { candidates: results };
+                }
+            );
+
+            if (check.cancelled) {
+                console.log('Outdated package check cancelled by user');
+                return;
+            }
+            if (check.error) {
+                vscode.window.showErrorMessage('❌ Could not check for outdated packages. Is the virtual environment created?');
+                return;
+            }
+            const { candidates } = check;
+            if (candidates.length === 0) {
+                vscode.window.showInformationMessage(`✅ Everything is up to date (${level.label.toLowerCase()}).`);
+                return;
+            }
+
+            const items = candidates
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(pkg => ({
+                    label: pkg.name,
+                    description: `${pkg.version} → ${pkg.target}`,
+                    detail: compareVersions(pkg.target, pkg.latestVersion) < 0 ? `Latest: ${pkg.latestVersion}` : undefined,
+                    picked: true,
+                    pkg
+                }));
+
+            const picks = await vscode.window.showQuickPick(items, {
+                canPickMany: true,
+                placeHolder: `Select packages to upgrade (${candidates.length} outdated)`
+            });
+            if (!picks || picks.length === 0) {
+                console.log('Package upgrade cancelled by user');
+                return;
+            }
+
+            await upgradePackages(workspaceFolder, picks.map(pick => ({
+                name: pick.pkg.name,
+                version: pick.pkg.target
+            })));
+        });
+
+    context.subscriptions.push(upgradePackagesCommand);
+}
+
+/**
+ * Resolves the arguments of a pyproject.toml entry action and saves the document, since uv edits the file on disk
+ * @param {string|vscode.Uri} uriArgument - pyproject.toml URI
+ * @param {Object} entry - Entry argument ({ requirement, section, group })
+ * @returns {Promise<Object|null>} { workspaceFolder, cwd, entry } or null if the action cannot run
+ */
+async function prepareEntryAction(uriArgument, entry) {
+    if (!uriArgument || !entry || !entry.requirement) return null;
+    const uri = typeof uriArgument === 'string' ? vscode.Uri.parse(uriArgument) : uriArgument;
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('❌ pyproject.toml is not inside a workspace folder');
+        return null;
+    }
+    if (!(await CommandBase.checkUvAvailable())) return null;
+
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+    if (document && document.isDirty && !(await document.save())) {
+        vscode.window.showErrorMessage('❌ Save pyproject.toml before changing its dependencies');
+        return null;
+    }
+
+    return { workspaceFolder, cwd: path.dirname(uri.fsPath), entry };
+}
+
+/**
+ * Registers the upgrade, pin and remove actions of pyproject.toml entries (CodeLens and hover)
+ * and the install quick fix of requirements files
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerRequirementCommands(context) {
+    let upgradeCommand = vscode.commands.registerCommand('py-cage.upgradeRequirement',
+        async function (uriArgument, entryArgument) {
+            const action = await prepareEntryAction(uriArgument, entryArgument);
+            if (!action) return;
+            const { requirement } = action.entry;
+
+            const latest = await fetchLatestVersion(requirement.name, action.cwd);
+            if (!latest || !latest.version) {
+                vscode.window.showErrorMessage(`❌ Could not determine the latest version of ${requirement.name}`);
+                return;
+            }
+
+            const newRequirement = formatRequirement({ ...requirement, specifier: `>=${latest.version}` });
+            await CommandBase.executeUvCommand(['add', ...getEntryGroupArgs(action.entry), '--upgrade-package', requirement.name, newRequirement], {
+                title: `⬆️ Updating ${requirement.raw} to ${newRequirement}...`,
+                successMessage: `✅ ${requirement.name} upgraded to ${latest.version}`,
+                cwd: action.cwd
+            });
+        });
+
+    let pinCommand = vscode.commands.registerCommand('py-cage.pinRequirement',
+        async function (uriArgument, entryArgument) {
+            const action = await prepareEntryAction(uriArgument, entryArgument);
+            if (!action) return;
+            const { requirement } = action.entry;
+
+            // Pin what is installed; without an installed version, the latest
+            const installed = await getInstalledPackages(action.cwd);
+            const installedPackage = (installed || []).find(pkg => normalizePackageName(pkg.name) === requirement.normalizedName);
+            let version = installedPackage ? installedPackage.version : null;
+            if (!version) {
+                const latest = await fetchLatestVersion(requirement.name, action.cwd);
+                version = latest ? latest.version : null;
+            }
+            if (!version) {
+                vscode.window.showErrorMessage(`❌ ${requirement.name} is not installed and its latest version is unknown`);
+                return;
+            }
+
+            const pinned = formatRequirement({ ...requirement, specifier: `==${version}` });
+            await CommandBase.executeUvCommand(['add', ...getEntryGroupArgs(action.entry), pinned], {
+                title: `📌 Pinning ${pinned}...`,
+                successMessage: `📌 ${requirement.name} pinned to ${version}`,
+                cwd: action.cwd
+            });
+        });
+
+    let removeCommand = vscode.commands.registerCommand('py-cage.removeRequirement',
+        async function (uriArgument, entryArgument) {
+            const action = await prepareEntryAction(uriArgument, entryArgument);
+            if (!action) return;
+            const { requirement } = action.entry;
+
+            if (!(await confirmRemoval(action.workspaceFolder, [requirement.name]))) return;
+
+            await CommandBase.executeUvCommand(['remove', ...getEntryGroupArgs(action.entry), requirement.name], {
+                title: `🗑️ Removing ${requirement.name} with uv remove...`,
+                successMessage: `✅ Removed ${requirement.name}`,
+                cwd: action.cwd
+            });
+        });
+
+    // Quick fix of requirements files: install one line into the environment
+    let installCommand = vscode.commands.registerCommand('py-cage.installRequirement',
+        async function (uriArgument, requirementArgument) {
+            if (!uriArgument || !requirementArgument) return;
+            const uri = typeof uriArgument === 'string' ? vscode.Uri.parse(uriArgument) : uriArgument;
+            if (!vscode.workspace.getWorkspaceFolder(uri)) {
+                vscode.window.showErrorMessage('❌ The requirements file is not inside a workspace folder');
+                return;
+            }
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            await CommandBase.executeUvCommand(['pip', 'install', requirementArgument], {
+                title: `📦 Installing ${requirementArgument}...`,
+                successMessage: `✅ Installed ${requirementArgument}`,
+                cwd: path.dirname(uri.fsPath)
+            });
+        });
+
+    context.subscriptions.push(upgradeCommand, pinCommand, removeCommand, installCommand);
+}
+
+/**
+ * Registers the inline actions of the dependency tree view
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerDependencyCommands(context) {
+    let upgradeCommand = vscode.commands.registerCommand('py-cage.upgradeDependency',
+        async function (node) {
+            if (!node || !node.packageName) return;
+            const workspaceFolder = node.workspaceFolder || await CommandBase.checkWorkspaceFolder();
+            if (!workspaceFolder) return;
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            await upgradePackages(workspaceFolder, [{ name: node.packageName }]);
+        });
+
+    let removeCommand = vscode.commands.registerCommand('py-cage.removeDependency',
+        async function (node) {
+            if (!node || !node.packageName) return;
+            const workspaceFolder = node.workspaceFolder || await CommandBase.checkWorkspaceFolder();
+            if (!workspaceFolder) return;
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            if (!(await confirmRemoval(workspaceFolder, [node.packageName]))) return;
+
+            await removePackages(workspaceFolder, [{
+                name: node.packageName,
+                group: node.group,
+                declared: node.declared
+            }]);
+        });
+
+    let openOnPyPICommand = vscode.commands.registerCommand('py-cage.openOnPyPI',
+        async function (node) {
+            if (!node || !node.packageName) return;
+            await vscode.env.openExternal(vscode.Uri.parse(`https://pypi.org/project/${encodeURIComponent(node.packageName)}/`));
+        });
+
+    context.subscriptions.push(upgradeCommand, removeCommand, openOnPyPICommand);
+}
+
+module.exports = {
+    upgradePackages,
+    removePackages,
+    registerRemovePackagesCommand,
+    registerUpgradePackagesCommand,
+    registerDependencyCommands,
+    registerRequirementCommands
+};
@@ -7,6 +7,7 @@
 const { registerPipInstaller } = require('./pipCommands');
 const { 
     registerUvInstaller, 
+    registerInstallUvCommand,
     registerUvInitCommand, 
     registerUvAddPackageCommand 
 } = require('./uvCommands');
@@ -16,6 +17,15 @@ const {
     registerInstallFromRequirementsCommand,
     registerTransferToUvCommand
 } = require('./projectCommands');
+const { registerPythonCommands } = require('./pythonCommands');
+const { registerVenvCommands } = require('./venvCommands');
+const { registerLockCommands } = require('./lockCommands');
+const {
+    registerRemovePackagesCommand,
+    registerUpgradePackagesCommand,
+    registerDependencyCommands,
+    registerRequirementCommands
+} = require('./dependencyCommands');
 
 /**
  * Register all commands for the extension
@@ -29,14 +39,32 @@ function registerAllCommands(context, names, osInfo) {
     registerUvInstaller(context, names, osInfo);
     
     // UV native commands
+    registerInstallUvCommand(context, osInfo);
     registerUvInitCommand(context);
     registerUvAddPackageCommand(context, names);
+    registerRemovePackagesCommand(context);
+    registerUpgradePackagesCommand(context);
+
+    // Python version management (uv python)
+    registerPythonCommands(context);
+
+    // Virtual environment lifecycle
+    registerVenvCommands(context);
+
+    // Lockfile workflow (uv lock / uv sync)
+    registerLockCommands(context);
     
     // Project management commands
     registerDebugCommand(context);
     registerRequirementsCommand(context);
     registerInstallFromRequirementsCommand(context);
     registerTransferToUvCommand(context);
+
+    // Dependency view actions
+    registerDependencyCommands(context);
+
+    // pyproject.toml CodeLens and hover actions
+    registerRequirementCommands(context);
 }
 
 module.exports = {
@@ -46,10 +74,18 @@ module.exports = {
     // Individual command registration functions (for selective use)
     registerPipInstaller,
     registerUvInstaller,
+    registerInstallUvCommand,
     registerUvInitCommand,
     registerUvAddPackageCommand,
     registerDebugCommand,
     registerRequirementsCommand,
     registerInstallFromRequirementsCommand,
-    registerTransferToUvCommand
+    registerTransferToUvCommand,
+    registerRemovePackagesCommand,
+    registerUpgradePackagesCommand,
+    registerPythonCommands,
+    registerVenvCommands,
+    registerLockCommands,
+    registerDependencyCommands,
+    registerRequirementCommands
 };
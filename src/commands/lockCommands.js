@@ -0,0 +1,119 @@
+const vscode = require('vscode');
+const CommandBase = require('../utils/commandBase');
+const { getSyncOptions, rememberSyncOptions, isUvProject } = require('../managers/lockManager');
+const { updateEnvironmentVariables } = require('../managers/environmentManager');
+
+/**
+ * Checks whether a command argument is a workspace folder (commands run from the palette get none)
+ * @param {*} value - Command argument
+ * @returns {boolean} True for workspace folders
+ */
+function isWorkspaceFolder(value) {
+    return Boolean(value && value.uri && typeof value.name === 'string');
+}
+
+/**
+ * Resolves the uv project a lock or sync command acts on
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Folder passed by the caller
+ * @returns {Promise<vscode.WorkspaceFolder|null>} Workspace folder or null
+ */
+async function resolveProjectFolder(workspaceFolder) {
+    if (!isWorkspaceFolder(workspaceFolder)) {
+        workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a uv project.');
+        if (!workspaceFolder) return null;
+    }
+
+    if (!isUvProject(workspaceFolder)) {
+        vscode.window.showErrorMessage(`❌ ${workspaceFolder.name} has no pyproject.toml with a [project] table. Run "pyCage: Initialize UV Project (uv init)" first.`);
+        return null;
+    }
+    if (!(await CommandBase.checkUvAvailable())) return null;
+    return workspaceFolder;
+}
+
+/**
+ * Let the user choose the uv sync options, preselecting the ones used last time
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<string[]|undefined>} Flags or undefined if cancelled
+ */
+async function selectSyncOptions(workspaceFolder) {
+    const previous = getSyncOptions(workspaceFolder);
+    const items = [
+        { label: '--frozen', description: 'Install uv.lock as it is, without updating it' },
+        { label: '--locked', description: 'Fail if uv.lock does not match pyproject.toml' },
+        { label: '--no-dev', description: 'Leave out the dev dependency group' },
+        { label: '--all-extras', description: 'Include all optional dependencies' },
+        { label: '--all-groups', description: 'Include all dependency groups' },
+        { label: '--inexact', description: 'Keep packages that are not in uv.lock' }
+    ].map(item => ({ ...item, picked: previous.includes(item.label) }));
+
+    const selected = await vscode.window.showQuickPick(items, {
+        canPickMany: true,
+        placeHolder: 'uv sync options (press Enter for a plain uv sync)'
+    });
+    if (!selected) return undefined;
+
+    const flags = selected.map(item => item.label);
+    if (flags.includes('--frozen') && flags.includes('--locked')) {
+        vscode.window.showErrorMessage('❌ --frozen and --locked cannot be combined. Choose one of them.');
+        return undefined;
+    }
+    return flags;
+}
+
+/**
+ * Registers the uv lock and uv sync commands
+ * Both accept a workspace folder (and sync its flags) as arguments, so notifications can run them in one click.
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerLockCommands(context) {
+    let lockCommand = vscode.commands.registerCommand('py-cage.uvLock',
+        async function (folderArgument) {
+            const workspaceFolder = await resolveProjectFolder(folderArgument);
+            if (!workspaceFolder) return;
+
+            let args = ['lock'];
+            if (!isWorkspaceFolder(folderArgument)) {
+                const mode = await vscode.window.showQuickPick([
+                    { label: 'Update uv.lock', description: 'uv lock', args: ['lock'] },
+                    { label: 'Upgrade all packages', description: 'uv lock --upgrade', args: ['lock', '--upgrade'] },
+                    { label: 'Check uv.lock', description: 'uv lock --locked (changes nothing)', args: ['lock', '--locked'] }
+                ], { placeHolder: 'uv lock' });
+                if (!mode) return;
+                args = mode.args;
+            }
+
+            const checkOnly = args.includes('--locked');
+            await CommandBase.executeUvCommand(args, {
+                title: checkOnly ? 'Checking uv.lock...' : 'Locking dependencies with uv...',
+                successMessage: checkOnly ? '✅ uv.lock is up to date' : '🔒 uv.lock updated',
+                cwd: workspaceFolder.uri.fsPath
+            });
+        });
+
+    let syncCommand = vscode.commands.registerCommand('py-cage.uvSync',
+        async function (folderArgument, flagsArgument) {
+            const workspaceFolder = await resolveProjectFolder(folderArgument);
+            if (!workspaceFolder) return;
+
+            const flags = Array.isArray(flagsArgument) ? flagsArgument : await selectSyncOptions(workspaceFolder);
+            if (!flags) return;
+
+            const result = await CommandBase.executeUvCommand(['sync', ...flags], {
+                title: 'Syncing the virtual environment with uv...',
+                successMessage: '✅ Virtual environment synced with uv.lock',
+                cwd: workspaceFolder.uri.fsPath
+            });
+            if (!result.success) return;
+
+            await rememberSyncOptions(workspaceFolder, flags);
+            // uv sync creates the environment when it is missing
+            await updateEnvironmentVariables();
+        });
+
+    context.subscriptions.push(lockCommand, syncCommand);
+}
+
+module.exports = {
+    registerLockCommands
+};
@@ -1,7 +1,6 @@
 const vscode = require('vscode');
 const CommandBase = require('../utils/commandBase');
-const { showPopularQuickPick, getProjectNameFromQuickPick } = require('../utils/packageSearch');
-const { getOrCreateTerminal } = require('../managers/terminalManager');
+const { selectPackageRequirements } = require('../utils/packageSearch');
 
 /**
  * Registers the pip global package installer command
@@ -11,23 +10,14 @@ const { getOrCreateTerminal } = require('../managers/terminalManager');
 function registerPipInstaller(context, names) {
     let pipInstaller = vscode.commands.registerCommand('py-cage.addPackageGlobal',
         async function () {
-            if (!CommandBase.checkPackageListAvailable(names)) {
-                return;
-            }
+            const requirements = await selectPackageRequirements(names, 'Search and select Python packages (ranked by downloads + similarity)...');
+            if (!requirements) return;
 
-            const pick = await showPopularQuickPick(names, 'Search and select a Python package (ranked by downloads + similarity)...');
-            if (!pick) {
-                console.log('Package selection cancelled by user');
-                return;
-            }
-
-            const selectedLibrary = getProjectNameFromQuickPick(pick);
-            if (selectedLibrary) {
-                vscode.window.showInformationMessage(`Installing ${selectedLibrary} with pip...`);
-                const currentTerminal = getOrCreateTerminal();
-                currentTerminal.sendText(`pip install ${selectedLibrary}`);
-                currentTerminal.show();
-            }
+            const label = requirements.join(', ');
+            await CommandBase.executePipCommand(['install', ...requirements], {
+                title: `Installing ${label} with pip...`,
+                successMessage: `✅ ${label} installed with pip`
+            });
         }
     );
 
@@ -1,215 +1,521 @@
 const vscode = require('vscode');
 const fs = require('fs');
+const path = require('path');
 const CommandBase = require('../utils/commandBase');
-const { getOperatingSystem } = require('../utils/system');
+const { showDiagnosticsReport } = require('../views/diagnosticsReport');
+const { showPreviewDiff, closePreviewDiff } = require('../views/previewDiff');
+const { getDependencyGroups, buildRequirementsExport } = require('../managers/exportManager');
+const { isUvProject } = require('../managers/lockManager');
+const { getInstalledPackages, diffInstalledPackages } = require('../managers/dependencyManager');
+const { getOutputChannel, maskCredentials } = require('../managers/processManager');
+const { detectMigrationSources, readMigrationSource, buildPyprojectText, backupMigrationState, restoreMigrationState } = require('../managers/migrationManager');
+const { updateEnvironmentVariables } = require('../managers/environmentManager');
+const { parseRequirementsFile } = require('../utils/requirementsFile');
+const { getVenvPath, getVenvDisplayName, isVenvReady } = require('../utils/venvPaths');
 
 /**
- * Registers the debug interpreter command
+ * Registers the debug interpreter command, which opens the diagnostics report
  * @param {vscode.ExtensionContext} context - VS Code extension context
  */
 function registerDebugCommand(context) {
     let debugCommand = vscode.commands.registerCommand('py-cage.debugInterpreter',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found');
             if (!workspaceFolder) return;
 
-            const venvPath = vscode.Uri.joinPath(workspaceFolder.uri, '.venv');
-            const osInfo = getOperatingSystem();
-            const pythonPath = osInfo.isWindows
-                ? `${venvPath.fsPath}\\Scripts\\python.exe`
-                : `${venvPath.fsPath}/bin/python`;
-
-            // Current configuration
-            const config = vscode.workspace.getConfiguration('python');
-            const currentInterpreter = config.get('defaultInterpreterPath');
-            const currentPythonPath = config.get('pythonPath');
-
-            const debugInfo = [
-                `📁 Workspace: ${workspaceFolder.uri.fsPath}`,
-                `🐍 OS: ${osInfo.readable} (${osInfo.platform})`,
-                `📂 .venv exists: ${fs.existsSync(venvPath.fsPath)}`,
-                `🐍 Python executable exists: ${fs.existsSync(pythonPath)}`,
-                `📍 Expected Python path: ${pythonPath}`,
-                `⚙️ Current defaultInterpreterPath: ${currentInterpreter || 'not set'}`,
-                `⚙️ Current pythonPath: ${currentPythonPath || 'not set'}`,
-            ];
-
-            if (fs.existsSync(venvPath.fsPath)) {
-                try {
-                    const venvContents = fs.readdirSync(venvPath.fsPath);
-                    debugInfo.push(`📂 .venv contents: ${venvContents.join(', ')}`);
-
-                    const scriptsBinPath = osInfo.isWindows 
-                        ? `${venvPath.fsPath}\\Scripts`
-                        : `${venvPath.fsPath}/bin`;
-                    
-                    if (fs.existsSync(scriptsBinPath)) {
-                        const contents = fs.readdirSync(scriptsBinPath);
-                        const dirName = osInfo.isWindows ? 'Scripts' : 'bin';
-                        debugInfo.push(`📂 ${dirName} contents: ${contents.join(', ')}`);
-                    }
-                } catch (error) {
-                    debugInfo.push(`❌ Error reading .venv contents: ${error.message}`);
-                }
-            }
-
-            console.log('=== PYTHON INTERPRETER DEBUG INFO ===');
-            debugInfo.forEach(info => console.log(info));
+            await showDiagnosticsReport(context, workspaceFolder);
+        });
 
-            // Show status if .venv exists
-            if (fs.existsSync(venvPath.fsPath) && fs.existsSync(pythonPath)) {
-                debugInfo.push('✅ Virtual environment is ready to use');
-            }
+    context.subscriptions.push(debugCommand);
+}
 
-            vscode.window.showInformationMessage('Debug info logged to console. Check VS Code Developer Tools → Console tab.');
+/**
+ * Let the user choose what to export, the export options and the output file
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<Object|undefined>} { source, hashes, groups, fileName } or undefined if cancelled
+ */
+async function selectExportOptions(workspaceFolder) {
+    const isProject = isUvProject(workspaceFolder);
+    const sources = [
+        { label: '$(list-flat) Full freeze', description: 'uv pip freeze', detail: 'Every installed package with its exact version', source: 'freeze' },
+        {
+            label: '$(package) Top-level dependencies only',
+            description: isProject ? 'pyproject.toml dependencies' : 'packages nothing else requires',
+            detail: 'Pinned to the installed versions',
+            source: 'topLevel'
+        }
+    ];
+    if (isProject && CommandBase.fileExistsInWorkspace(workspaceFolder, 'uv.lock')) {
+        sources.push({ label: '$(lock) From uv.lock', description: 'uv export', detail: 'The locked versions, whatever is installed', source: 'lock' });
+    }
+
+    const sourceChoice = await vscode.window.showQuickPick(sources, { placeHolder: 'What should the requirements file contain?' });
+    if (!sourceChoice) return undefined;
+    const { source } = sourceChoice;
+
+    const optionItems = [];
+    if (source !== 'topLevel') {
+        optionItems.push({ label: 'Include hashes', description: '--hash for every file (pip hash-checking mode)', hashes: true });
+    }
+    if (source !== 'freeze') {
+        getDependencyGroups(workspaceFolder).forEach(group => {
+            optionItems.push({ label: `Include group "${group}"`, description: '[dependency-groups]', group });
         });
+    }
 
-    context.subscriptions.push(debugCommand);
+    let selected = [];
+    if (optionItems.length > 0) {
+        selected = await vscode.window.showQuickPick(optionItems, {
+            canPickMany: true,
+            placeHolder: 'Export options (press Enter for none)'
+        });
+        if (!selected) return undefined;
+    }
+    const groups = selected.filter(item => item.group).map(item => item.group);
+
+    const fileName = await vscode.window.showInputBox({
+        prompt: 'Output file, relative to the workspace folder',
+        value: groups.length > 0 ? 'requirements-dev.txt' : 'requirements.txt',
+        validateInput: value => {
+            const relative = path.relative(workspaceFolder.uri.fsPath, path.resolve(workspaceFolder.uri.fsPath, value.trim()));
+            if (!value.trim()) return 'Enter a file name';
+            if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return 'The file must be inside the workspace folder';
+            return null;
+        }
+    });
+    if (!fileName) return undefined;
+
+    return { source, hashes: selected.some(item => item.hashes), groups, fileName: fileName.trim() };
 }
 
 /**
- * Registers the requirements.txt generator command
+ * Registers the requirements export wizard
+ * The export is shown as a diff against the existing file before anything is written.
  * @param {vscode.ExtensionContext} context - VS Code extension context
  */
 function registerRequirementsCommand(context) {
     let requirementsCommand = vscode.commands.registerCommand('py-cage.makeRequirements',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to generate requirements.txt');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to generate requirements.txt');
             if (!workspaceFolder) return;
 
             if (!(await CommandBase.checkUvAvailable())) return;
 
-            console.log('Generating requirements.txt...');
-            vscode.window.showInformationMessage('📝 Generating requirements.txt...');
+            const options = await selectExportOptions(workspaceFolder);
+            if (!options) return;
 
-            await CommandBase.executeUvCommand(
-                'pip freeze > requirements.txt',
-                '✅ requirements.txt generated! Check your workspace root.',
-                '✓ requirements.txt generated'
+            console.log(`Exporting requirements (${options.source}) to ${options.fileName}...`);
+            let result;
+            try {
+                result = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `📝 Generating ${options.fileName}...`,
+                    cancellable: true
+                }, (progress, token) => buildRequirementsExport(workspaceFolder, options, token));
+            } catch (error) {
+                result = { error: error.message };
+            }
+            if (result.cancelled) return;
+            if (result.error) {
+                vscode.window.showErrorMessage(`❌ Failed to generate ${options.fileName}: ${result.error}`);
+                return;
+            }
+
+            const filePath = CommandBase.getWorkspaceFilePath(workspaceFolder, options.fileName);
+            if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === result.content) {
+                vscode.window.showInformationMessage(`✅ ${options.fileName} is already up to date`);
+                return;
+            }
+
+            const previewUris = await showPreviewDiff(filePath, result.content, `${options.fileName} (current ↔ export)`);
+            const unpinnedNote = result.unpinned && result.unpinned.length > 0
+                ? ` ${result.unpinned.join(', ')} ${result.unpinned.length === 1 ? 'is' : 'are'} not installed and kept unpinned.`
+                : '';
+            const choice = await vscode.window.showInformationMessage(
+                `${fs.existsSync(filePath) ? 'Overwrite' : 'Create'} ${options.fileName} with the changes shown?${unpinnedNote}`,
+                'Write',
+                'Cancel'
             );
+            await closePreviewDiff(previewUris);
+            if (choice !== 'Write') return;
+
+            try {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, result.content);
+                console.log(`✓ ${options.fileName} generated`);
+                const open = await vscode.window.showInformationMessage(`✅ ${options.fileName} generated`, 'Open');
+                if (open === 'Open') {
+                    await vscode.window.showTextDocument(vscode.Uri.file(filePath));
+                }
+            } catch (error) {
+                console.error(`❌ Error writing ${options.fileName}:`, error);
+                vscode.window.showErrorMessage(`❌ Failed to write ${options.fileName}: ${error.message}`);
+            }
         });
 
     context.subscriptions.push(requirementsCommand);
 }
 
+// Requirements files offered by the installer (any pip-compile .in file); constraints files are
+// only offered as constraints
+const REQUIREMENTS_GLOB = '**/{requirements*.txt,requirements/*.txt,*-requirements.txt,*.in}';
+const CONSTRAINTS_GLOB = '**/constraints*.txt';
+const REQUIREMENTS_EXCLUDE = '**/{node_modules,.git,.venv,venv,site-packages,__pycache__}/**';
+
+// .in files that are packaging or autotools inputs rather than requirements
+const NON_REQUIREMENTS_NAMES = new Set(['manifest.in', 'setup.in', 'makefile.in', 'configure.in', 'config.h.in']);
+
+/**
+ * Finds the requirements (or constraints) files of a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} [glob] - File pattern (defaults to the requirements files)
+ * @returns {Promise<Object[]>} Files ({ uri, relativePath, summary }) sorted by path, root files first
+ */
+async function findRequirementsFiles(workspaceFolder, glob = REQUIREMENTS_GLOB) {
+    const uris = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(workspaceFolder, glob),
+        new vscode.RelativePattern(workspaceFolder, REQUIREMENTS_EXCLUDE)
+    );
+
+    return uris
+        .filter(uri => !NON_REQUIREMENTS_NAMES.has(path.basename(uri.fsPath).toLowerCase()))
+        .map(uri => {
+            const relativePath = path.relative(workspaceFolder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+            let summary = '';
+            try {
+                const entries = parseRequirementsFile(fs.readFileSync(uri.fsPath, 'utf8'));
+                const count = kind => entries.filter(entry => entry.kind === kind).length;
+                const editable = entries.filter(entry => entry.kind === 'reference' && entry.editable).length;
+                const includes = entries.filter(entry => entry.kind === 'include').map(entry => `${entry.option === 'constraint' ? '-c' : '-r'} ${entry.path}`);
+                summary = [
+                    `${count('requirement') + count('reference')} requirement(s)`,
+                    editable > 0 ? `${editable} editable` : null,
+                    includes.length > 0 ? includes.join(', ') : null
+                ].filter(Boolean).join(' · ');
+            } catch (error) {
+                console.log(`Could not read ${uri.fsPath}: ${error.message}`);
+            }
+            return { uri, relativePath, summary };
+        })
+        .sort((a, b) => (a.relativePath.split('/').length - b.relativePath.split('/').length) || a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Let the user choose the requirements files, an optional constraints file and how to install them
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<Object|undefined>} { files, constraints, sync } (paths relative to the folder) or undefined if cancelled
+ */
+async function selectRequirementsInstall(workspaceFolder) {
+    // requirements/constraints.txt matches both patterns; it is only offered as constraints
+    const isConstraintsFile = file => /^constraints.*\.txt$/i.test(path.basename(file.relativePath));
+    const files = (await findRequirementsFiles(workspaceFolder)).filter(file => !isConstraintsFile(file));
+    if (files.length === 0) {
+        vscode.window.showWarningMessage(`❌ No requirements files (requirements*.txt, *-requirements.txt or *.in) found in ${workspaceFolder.name}. Please create one first.`);
+        return undefined;
+    }
+
+    const picks = await vscode.window.showQuickPick(files.map(file => ({
+        label: file.relativePath,
+        description: file.summary,
+        picked: file.relativePath === 'requirements.txt',
+        file
+    })), {
+        canPickMany: true,
+        placeHolder: 'Select the requirements files to install'
+    });
+    if (!picks || picks.length === 0) return undefined;
+    const selected = picks.map(pick => pick.file.relativePath);
+
+    // Constraints files first, then the requirements files that were not selected
+    const constraintsFiles = await findRequirementsFiles(workspaceFolder, CONSTRAINTS_GLOB);
+    const constraintItems = [
+        { label: '$(circle-slash) No constraints file', constraints: null },
+        ...constraintsFiles.map(file => ({ label: file.relativePath, description: 'constraints', constraints: file.relativePath })),
+        ...files
+            .filter(file => !selected.includes(file.relativePath))
+            .map(file => ({ label: file.relativePath, description: file.summary, constraints: file.relativePath })),
+        { label: '$(folder-opened) Browse...', browse: true }
+    ];
+    const constraintChoice = await vscode.window.showQuickPick(constraintItems, {
+        placeHolder: 'Constraints file (-c): versions to respect without installing them'
+    });
+    if (!constraintChoice) return undefined;
+
+    let constraints = constraintChoice.constraints || null;
+    if (constraintChoice.browse) {
+        const chosen = await vscode.window.showOpenDialog({
+            defaultUri: workspaceFolder.uri,
+            canSelectMany: false,
+            filters: { 'Requirements': ['txt', 'in'] },
+            openLabel: 'Use as Constraints'
+        });
+        if (!chosen || chosen.length === 0) return undefined;
+        constraints = chosen[0].fsPath;
+    }
+
+    const mode = await vscode.window.showQuickPick([
+        { label: '$(add) Install', description: 'uv pip install -r', detail: 'Add the listed packages; everything else stays installed', sync: false },
+        { label: '$(sync) Sync', description: 'uv pip sync', detail: 'Make the environment match the files exactly; packages not listed are removed', sync: true }
+    ], { placeHolder: 'How should the packages be installed?' });
+    if (!mode) return undefined;
+
+    if (mode.sync) {
+        const confirmed = await vscode.window.showWarningMessage(
+            `uv pip sync removes every package that is not listed in ${selected.join(', ')}. Continue?`,
+            { modal: true },
+            'Sync'
+        );
+        if (confirmed !== 'Sync') return undefined;
+    }
+
+    return { files: selected, constraints, sync: mode.sync };
+}
+
+/**
+ * Writes the packages added, changed and removed by an installation to the output channel
+ * @param {Object} changes - Result of diffInstalledPackages
+ * @returns {string} One-line summary
+ */
+function reportInstalledChanges(changes) {
+    const { added, changed, removed } = changes;
+    const channel = getOutputChannel();
+    channel.appendLine('[pyCage] Changes to the virtual environment:');
+    added.forEach(pkg => channel.appendLine(`    + ${pkg.name} ${pkg.version}`));
+    changed.forEach(pkg => channel.appendLine(`    ~ ${pkg.name} ${pkg.from} → ${pkg.to}`));
+    removed.forEach(pkg => channel.appendLine(`    - ${pkg.name} ${pkg.version}`));
+    if (added.length + changed.length + removed.length === 0) {
+        channel.appendLine('    (nothing changed)');
+    }
+
+    return `${added.length} added, ${changed.length} changed, ${removed.length} removed`;
+}
+
 /**
- * Registers the requirements.txt installer command
+ * Registers the install from requirements command
+ * Any requirements*.txt / *.in files of the folder can be installed together, with an optional
+ * constraints file, either with uv pip install -r or exactly with uv pip sync.
  * @param {vscode.ExtensionContext} context - VS Code extension context
  */
 function registerInstallFromRequirementsCommand(context) {
     let installFromRequirementsCommand = vscode.commands.registerCommand('py-cage.installFromRequirements',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to install from requirements.txt');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to install from requirements.txt');
             if (!workspaceFolder) return;
 
-            // Check if requirements.txt exists
-            if (!CommandBase.fileExistsInWorkspace(workspaceFolder, 'requirements.txt')) {
-                vscode.window.showWarningMessage('❌ requirements.txt not found in the workspace root. Please create one first.');
-                return;
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const selection = await selectRequirementsInstall(workspaceFolder);
+            if (!selection) return;
+
+            const cwd = workspaceFolder.uri.fsPath;
+            const label = selection.files.join(', ');
+            const args = selection.sync
+                ? ['pip', 'sync', ...selection.files]
+                : ['pip', 'install', ...selection.files.flatMap(file => ['-r', file])];
+            if (selection.constraints) {
+                args.push('-c', selection.constraints);
             }
 
-            if (!(await CommandBase.checkUvAvailable())) return;
+            console.log(`Installing packages from ${label}...`);
+            const before = await getInstalledPackages(cwd);
 
-            console.log('Installing packages from requirements.txt...');
-            vscode.window.showInformationMessage('📦 Installing packages from requirements.txt...');
+            const result = await CommandBase.executeUvCommand(args, {
+                title: selection.sync ? `🔄 Syncing the environment with ${label}...` : `📦 Installing packages from ${label}...`,
+                cwd
+            });
+            if (!result.success) return;
 
-            await CommandBase.executeUvCommand(
-                'pip install -r requirements.txt',
-                '✅ Installing packages from requirements.txt. Check terminal for progress.',
-                '✓ All packages from requirements.txt installed successfully'
-            );
+            const after = before ? await getInstalledPackages(cwd) : null;
+            if (!before || !after) {
+                vscode.window.showInformationMessage(`✅ Packages from ${label} installed`);
+                return;
+            }
+
+            const summary = reportInstalledChanges(diffInstalledPackages(before, after));
+            const choice = await vscode.window.showInformationMessage(`✅ ${label}: ${summary}`, 'Show Changes');
+            if (choice === 'Show Changes') {
+                getOutputChannel().show();
+            }
         });
 
     context.subscriptions.push(installFromRequirementsCommand);
 }
 
 /**
- * Registers the transfer existing project to UV command
+ * Runs a uv step of a migration and checks that it produced what it should
+ * @param {string[]} args - Arguments passed to uv
+ * @param {string} title - Progress notification title
+ * @param {string} cwd - Workspace folder path
+ * @param {function(): boolean} produced - Checks the result on disk
+ * @param {string} missing - Failure reason when the command succeeded but produced nothing
+ * @returns {Promise<string|null>} Failure reason, or null if the step succeeded
+ */
+async function runUvMigrationStep(args, title, cwd, produced, missing) {
+    // The pipeline reports failures itself, naming the step
+    const result = await CommandBase.executeUvCommand(args, { title, cwd, quiet: true });
+    if (result.cancelled) return 'cancelled';
+    if (!result.success) {
+        const lastLine = maskCredentials((result.stderr || '').trim().split(/\r?\n/).pop());
+        return `uv ${args.join(' ')} exited with code ${result.code}${lastLine ? ` (${lastLine})` : ''}`;
+    }
+    return produced() ? null : missing;
+}
+
+/**
+ * Lists the steps of a migration, in order
+ * Each step's run(title, cwd) resolves to a failure reason, or null once its outcome has been checked.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} pyprojectPath - pyproject.toml path
+ * @param {string} pyprojectText - Migrated pyproject.toml
+ * @returns {Object[]} Steps ({ label, title, icon, changesVenv, run })
+ */
+function getMigrationSteps(workspaceFolder, pyprojectPath, pyprojectText) {
+    const lockPath = CommandBase.getWorkspaceFilePath(workspaceFolder, 'uv.lock');
+    return [
+        {
+            label: 'write pyproject.toml',
+            title: 'Writing pyproject.toml...',
+            icon: '📝',
+            run: async () => {
+                fs.writeFileSync(pyprojectPath, pyprojectText);
+                // Read it back so a full disk or a locked file fails here rather than in uv lock
+                return fs.readFileSync(pyprojectPath, 'utf8') === pyprojectText ? null : 'pyproject.toml could not be written';
+            }
+        },
+        {
+            label: 'uv lock',
+            title: 'Resolving dependencies (uv lock)...',
+            icon: '🔒',
+            run: (title, cwd) => runUvMigrationStep(['lock'], title, cwd,
+                () => fs.existsSync(lockPath), 'uv lock did not create uv.lock')
+        },
+        {
+            label: 'uv sync',
+            title: 'Installing dependencies (uv sync)...',
+            icon: '📦',
+            changesVenv: true,
+            run: (title, cwd) => runUvMigrationStep(['sync'], title, cwd,
+                () => isVenvReady(getVenvPath(workspaceFolder)), `uv sync did not create a usable ${getVenvDisplayName(workspaceFolder)}`)
+        }
+    ];
+}
+
+/**
+ * Registers the migrate to uv command
+ * Dependencies are read from Poetry, Pipenv, setup.cfg / setup.py, environment.yml, requirements files or,
+ * failing those, the installed packages. The generated pyproject.toml is previewed as a diff before it is
+ * written, then uv lock and uv sync install it. Every step is checked; when one fails, the pre-migration
+ * state saved in .pycage-backup is restored and the backup is kept.
  * @param {vscode.ExtensionContext} context - VS Code extension context
  */
 function registerTransferToUvCommand(context) {
     let transferToUvCommand = vscode.commands.registerCommand('py-cage.transferToUv',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to transfer to UV.');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to transfer to UV.');
             if (!workspaceFolder) return;
 
             if (!(await CommandBase.checkUvAvailable())) return;
 
-            // Check if pyproject.toml already exists
-            if (CommandBase.fileExistsInWorkspace(workspaceFolder, 'pyproject.toml')) {
-                const shouldContinue = await CommandBase.showConfirmation(
-                    'pyproject.toml already exists. This appears to be a UV project already. Continue with transfer anyway?'
-                );
-                if (!shouldContinue) return;
+            const sources = detectMigrationSources(workspaceFolder);
+            if (sources.length === 0) {
+                vscode.window.showWarningMessage(`❌ Nothing to migrate in ${workspaceFolder.name}: no Poetry, Pipenv, setuptools, conda or requirements files, and no virtual environment.`);
+                return;
+            }
+            const choice = await vscode.window.showQuickPick(sources.map(source => ({
+                label: source.label,
+                description: source.detail,
+                source
+            })), { placeHolder: 'Migrate the dependencies from...' });
+            if (!choice) return;
+
+            let model;
+            let pyprojectText;
+            try {
+                model = await readMigrationSource(workspaceFolder, choice.source);
+                pyprojectText = buildPyprojectText(workspaceFolder, model);
+            } catch (error) {
+                console.error('❌ Error reading the project to migrate:', error);
+                vscode.window.showErrorMessage(`❌ Failed to read ${choice.source.detail}: ${error.message}`);
+                return;
             }
 
-            // Show confirmation dialog explaining the process
-            const confirmed = await vscode.window.showWarningMessage(
-                '🔄 This will:\n' +
-                '1. Export current packages with pip freeze\n' +
-                '2. Initialize UV project (uv init)\n' +
-                '3. Add all packages to UV project\n' +
-                '4. Clean up temporary files\n\n' +
-                'Continue with transfer?',
-                'Transfer to UV',
+            const channel = getOutputChannel();
+            if (model.notes.length > 0) {
+                channel.appendLine(`[pyCage] Migration from ${model.sourceLabel}:`);
+                model.notes.forEach(note => channel.appendLine(`    • ${note}`));
+                channel.show(true);
+            }
+
+            const pyprojectPath = CommandBase.getWorkspaceFilePath(workspaceFolder, 'pyproject.toml');
+            const previewUris = await showPreviewDiff(pyprojectPath, pyprojectText, `pyproject.toml (current ↔ migrated from ${choice.label})`);
+            const confirmed = await vscode.window.showInformationMessage(
+                `Write this pyproject.toml and install it with uv lock and uv sync?` +
+                (model.notes.length > 0 ? ` See the output for ${model.notes.length} note(s) about the migration.` : ''),
+                'Apply',
                 'Cancel'
             );
+            await closePreviewDiff(previewUris);
+            if (confirmed !== 'Apply') return;
 
-            if (confirmed !== 'Transfer to UV') return;
-
+            let backup;
             try {
-                console.log('Starting transfer to UV...');
-                vscode.window.showInformationMessage('🚀 Starting transfer to UV project...');
-
-                const terminal = CommandBase.getOrCreateTerminal ? CommandBase.getOrCreateTerminal() : require('../managers/terminalManager').getOrCreateTerminal();
-                const uvCommand = await require('../managers/uvManager').getUvCommand();
-                require('../managers/terminalManager').setupTerminalEnvironment(terminal, uvCommand);
-
-                // Step 1: Export current packages to temporary requirements file
-                vscode.window.showInformationMessage('📋 Step 1/4: Exporting current packages...');
-                terminal.sendText('pip freeze > requirements-temp.txt && echo "✓ Current packages exported to requirements-temp.txt"');
-                
-                // Wait a moment for the freeze command to complete
-                await new Promise(resolve => setTimeout(resolve, 2000));
-
-                // Step 2: Initialize UV project
-                vscode.window.showInformationMessage('🏗️ Step 2/4: Initializing UV project...');
-                terminal.sendText(`${uvCommand} init && echo "✓ UV project initialized"`);
-                
-                // Wait for init to complete
-                await new Promise(resolve => setTimeout(resolve, 3000));
-
-                // Step 3: Add packages from requirements file
-                vscode.window.showInformationMessage('📦 Step 3/4: Adding packages to UV project...');
-                terminal.sendText(`${uvCommand} add -r requirements-temp.txt && echo "✓ Packages added to UV project"`);
-                
-                // Wait for packages to be added
-                await new Promise(resolve => setTimeout(resolve, 2000));
-
-                // Step 4: Clean up temporary file
-                vscode.window.showInformationMessage('🧹 Step 4/4: Cleaning up...');
-                const osInfo = require('../utils/system').getOperatingSystem();
-                const deleteCommand = osInfo.isWindows ? 'del requirements-temp.txt' : 'rm requirements-temp.txt';
-                terminal.sendText(`${deleteCommand} && echo "✓ Transfer to UV completed successfully!"`);
-
-                terminal.show();
-
-                // Show success message
-                setTimeout(() => {
-                    vscode.window.showInformationMessage(
-                        '✅ Project successfully transferred to UV!\n\n' +
-                        '📁 Created: pyproject.toml, .python-version\n' +
-                        '📦 Added: All existing packages\n' +
-                        '🔧 Ready: Use "pyCage: Add Package with UV" for new packages'
-                    );
-                }, 8000);
-
-                console.log('✓ Transfer to UV completed');
-
+                backup = await backupMigrationState(workspaceFolder);
             } catch (error) {
-                console.error('❌ Error transferring to UV:', error);
-                vscode.window.showErrorMessage(`❌ Failed to transfer to UV: ${error.message}`);
+                console.error('❌ Error backing up the project before migrating:', error);
+                vscode.window.showErrorMessage(`❌ Migration not started: the current state could not be backed up (${error.message}). Nothing was changed.`);
+                return;
+            }
+
+            const cwd = workspaceFolder.uri.fsPath;
+            const steps = getMigrationSteps(workspaceFolder, pyprojectPath, pyprojectText);
+            channel.appendLine(`[pyCage] Migrating ${workspaceFolder.name} from ${model.sourceLabel}; pre-migration state saved to ${backup.path}`);
+
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+                const stepLabel = `step ${i + 1}/${steps.length} (${step.label})`;
+                let failure;
+                try {
+                    failure = await step.run(`${step.icon} Step ${i + 1}/${steps.length}: ${step.title}`, cwd);
+                } catch (error) {
+                    console.error(`❌ Error in migration ${stepLabel}:`, error);
+                    failure = error.message;
+                }
+
+                if (!failure) {
+                    channel.appendLine(`    ✓ ${step.label}`);
+                    continue;
+                }
+
+                channel.appendLine(`    ✗ ${step.label}: ${failure}`);
+                const problems = await restoreMigrationState(workspaceFolder, backup, {
+                    venvChanged: steps.slice(0, i + 1).some(done => done.changesVenv)
+                });
+                await updateEnvironmentVariables();
+                channel.appendLine(problems.length === 0
+                    ? '    ↩ Pre-migration state restored'
+                    : `    ↩ Pre-migration state partly restored; not restored: ${problems.join(', ')}`);
+
+                const choice = await vscode.window.showErrorMessage(
+                    `❌ Migration failed at ${stepLabel}: ${failure}. ` +
+                    (problems.length === 0
+                        ? 'The project was restored to its pre-migration state.'
+                        : `Could not restore ${problems.join(', ')}.`) +
+                    ` Backup: ${path.relative(cwd, backup.path)}`,
+                    'Show Output'
+                );
+                if (choice === 'Show Output') {
+                    channel.show();
+                }
+                return;
             }
+
+            await updateEnvironmentVariables();
+            vscode.window.showInformationMessage(
+                `✅ Project migrated to uv from ${model.sourceLabel}. ` +
+                '📁 pyproject.toml and uv.lock are ready; 🔧 use "pyCage: Add Package with UV (uv add)" for new packages. ' +
+                `The previous files are in ${path.relative(cwd, backup.path)}.`
+            );
+            console.log('✓ Migration to uv completed');
         });
 
     context.subscriptions.push(transferToUvCommand);
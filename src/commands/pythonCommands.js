@@ -0,0 +1,237 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const CommandBase = require('../utils/commandBase');
+const {
+    PYTHON_VERSION_FILE,
+    getPinnedPythonVersion,
+    getVenvPythonVersion,
+    matchesPythonRequest,
+    listPythonInstallations
+} = require('../managers/pythonManager');
+const { getOrCreateTerminal } = require('../managers/terminalManager');
+const { createVenvIfNeeded, recreateVenv } = require('../managers/venvManager');
+const { getVenvPath } = require('../utils/venvPaths');
+
+/**
+ * Gets the version request for a uv python list entry
+ * CPython versions are requested by number, other implementations as "<implementation>@<version>".
+ * @param {Object} installation - Entry from listPythonInstallations
+ * @returns {string} Version request for uv python install / pin
+ */
+function getVersionRequest(installation) {
+    return installation.implementation === 'cpython'
+        ? installation.version
+        : `${installation.implementation}@${installation.version}`;
+}
+
+/**
+ * Let the user choose a Python version from uv python list, or type one
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder (marks the pinned version)
+ * @param {Object} options - Picker options
+ * @param {string} options.title - Picker title
+ * @param {boolean} [options.onlyDownloads] - Only offer versions that are not installed yet
+ * @returns {Promise<Object|undefined>} { request, installation } or undefined if cancelled
+ */
+async function pickPythonVersion(workspaceFolder, options) {
+    const pinned = getPinnedPythonVersion(workspaceFolder);
+    // "3.12" and "cpython@3.12" request CPython, "pypy@3.10" PyPy
+    const pinnedImplementation = pinned && /^[a-z]/i.test(pinned) ? pinned.replace(/[@\d].*$/, '').toLowerCase() : 'cpython';
+    const qp = vscode.window.createQuickPick();
+    qp.title = options.title;
+    qp.placeholder = 'Pick a Python version, or enter one such as 3.12';
+    qp.matchOnDescription = true;
+    qp.busy = true;
+
+    const baseItems = [
+        { label: '$(edit) Enter a version...', description: 'e.g. 3.12, 3.11.9 or pypy@3.10', request: null }
+    ];
+    qp.items = baseItems;
+
+    const tokenSource = new vscode.CancellationTokenSource();
+    listPythonInstallations(workspaceFolder.uri.fsPath, { token: tokenSource.token })
+        .then(installations => {
+            if (!installations) {
+                qp.placeholder = 'uv python list failed - enter a version such as 3.12';
+                return;
+            }
+
+            const toItem = installation => {
+                const request = getVersionRequest(installation);
+                const isPinned = pinned && installation.implementation === pinnedImplementation && matchesPythonRequest(pinned, installation.version);
+                return {
+                    label: `${isPinned ? '$(pin)' : (installation.installed ? '$(check)' : '$(cloud-download)')} ${request}`,
+                    description: installation.installed ? installation.path : 'available for download',
+                    request,
+                    installation
+                };
+            };
+            const installed = installations.filter(installation => installation.installed);
+            const downloads = installations.filter(installation => !installation.installed);
+
+            qp.items = [
+                ...baseItems,
+                ...(options.onlyDownloads || installed.length === 0 ? [] : [
+                    { label: 'Installed', kind: vscode.QuickPickItemKind.Separator },
+                    ...installed.map(toItem)
+                ]),
+                ...(downloads.length === 0 ? [] : [
+                    { label: 'Available for download', kind: vscode.QuickPickItemKind.Separator },
+                    ...downloads.map(toItem)
+                ])
+            ];
+        })
+        .finally(() => {
+            qp.busy = false;
+        });
+
+    const choice = await new Promise(resolve => {
+        qp.onDidAccept(() => {
+            resolve(qp.selectedItems[0]);
+            qp.hide();
+        });
+        qp.onDidHide(() => resolve(undefined));
+        qp.show();
+    });
+    tokenSource.cancel();
+    tokenSource.dispose();
+    qp.dispose();
+
+    if (!choice) return undefined;
+    if (choice.request !== null) {
+        return { request: choice.request, installation: choice.installation };
+    }
+
+    const request = await vscode.window.showInputBox({
+        prompt: 'Python version',
+        placeHolder: 'e.g. 3.12, 3.11.9, pypy@3.10',
+        value: pinned || '',
+        validateInput: input => input.trim() && !/\s/.test(input.trim()) ? null : 'Enter a version such as 3.12'
+    });
+    return request ? { request: request.trim(), installation: null } : undefined;
+}
+
+/**
+ * Installs a Python version with uv python install
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} request - Version request
+ * @returns {Promise<boolean>} True if the installation succeeded
+ */
+async function installPythonVersion(workspaceFolder, request) {
+    const result = await CommandBase.executeUvCommand(['python', 'install', request], {
+        title: `Installing Python ${request} with uv...`,
+        cwd: workspaceFolder.uri.fsPath
+    });
+    return result.success;
+}
+
+/**
+ * Pins a Python version for a workspace folder with uv python pin
+ * Afterwards offers to create the virtual environment, or to recreate it when it uses another version.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} request - Version request
+ * @returns {Promise<boolean>} True if the version was pinned
+ */
+async function pinPythonVersion(workspaceFolder, request) {
+    const result = await CommandBase.executeUvCommand(['python', 'pin', request], {
+        title: `Pinning Python ${request}...`,
+        cwd: workspaceFolder.uri.fsPath
+    });
+    if (!result.success) return false;
+
+    const venvPath = getVenvPath(workspaceFolder);
+    if (!fs.existsSync(venvPath)) {
+        const choice = await vscode.window.showInformationMessage(
+            `📌 Python ${request} pinned in ${PYTHON_VERSION_FILE}`,
+            'Create Virtual Environment'
+        );
+        if (choice === 'Create Virtual Environment') {
+            await createVenvIfNeeded(getOrCreateTerminal(workspaceFolder), false, workspaceFolder, request);
+        }
+        return true;
+    }
+
+    const venvVersion = getVenvPythonVersion(venvPath);
+    if (venvVersion && matchesPythonRequest(request, venvVersion) === false) {
+        const choice = await vscode.window.showWarningMessage(
+            `📌 Python ${request} pinned in ${PYTHON_VERSION_FILE}, but the virtual environment uses Python ${venvVersion}.`,
+            'Recreate Virtual Environment'
+        );
+        if (choice === 'Recreate Virtual Environment') {
+            await recreateVenv(workspaceFolder, { pythonVersion: request, reinstall: true });
+        }
+        return true;
+    }
+
+    vscode.window.showInformationMessage(`📌 Python ${request} pinned in ${PYTHON_VERSION_FILE}`);
+    return true;
+}
+
+/**
+ * Registers the Python version commands (uv python list / install / pin)
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerPythonCommands(context) {
+    let listCommand = vscode.commands.registerCommand('py-cage.listPythonVersions',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to manage Python versions.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const picked = await pickPythonVersion(workspaceFolder, { title: 'Python versions (uv python list)' });
+            if (!picked) return;
+
+            const actions = [
+                { label: '$(pin) Pin for this project', description: `uv python pin ${picked.request}`, value: 'pin' }
+            ];
+            if (!picked.installation || !picked.installation.installed) {
+                actions.unshift({ label: '$(cloud-download) Install', description: `uv python install ${picked.request}`, value: 'install' });
+            }
+            const action = await vscode.window.showQuickPick(actions, { placeHolder: `Python ${picked.request}` });
+            if (!action) return;
+
+            if (action.value === 'install') {
+                await installPythonVersion(workspaceFolder, picked.request);
+            } else {
+                await pinPythonVersion(workspaceFolder, picked.request);
+            }
+        });
+
+    let installCommand = vscode.commands.registerCommand('py-cage.installPythonVersion',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to install a Python version.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const picked = await pickPythonVersion(workspaceFolder, { title: 'Install Python (uv python install)', onlyDownloads: true });
+            if (!picked) return;
+
+            if (!(await installPythonVersion(workspaceFolder, picked.request))) return;
+
+            const choice = await vscode.window.showInformationMessage(`✅ Python ${picked.request} installed`, 'Pin for this Project');
+            if (choice === 'Pin for this Project') {
+                await pinPythonVersion(workspaceFolder, picked.request);
+            }
+        });
+
+    let pinCommand = vscode.commands.registerCommand('py-cage.pinPythonVersion',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to pin a Python version.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const picked = await pickPythonVersion(workspaceFolder, { title: `Pin Python (uv python pin, writes ${PYTHON_VERSION_FILE})` });
+            if (!picked) return;
+
+            await pinPythonVersion(workspaceFolder, picked.request);
+        });
+
+    context.subscriptions.push(listCommand, installCommand, pinCommand);
+}
+
+module.exports = {
+    pickPythonVersion,
+    registerPythonCommands
+};
@@ -1,9 +1,10 @@
 const vscode = require('vscode');
 const CommandBase = require('../utils/commandBase');
-const { showPopularQuickPick, getProjectNameFromQuickPick } = require('../utils/packageSearch');
-const { getOrCreateTerminal, setupTerminalEnvironment } = require('../managers/terminalManager');
-const { getUvCommand } = require('../managers/uvManager');
+const { selectPackageRequirements } = require('../utils/packageSearch');
 const { setupUvAsync } = require('../managers/packageManager');
+const { getPackageListForFolder } = require('../managers/packageListManager');
+const { promptUvInstallation } = require('../managers/uvInstaller');
+const { updateEnvironmentVariables } = require('../managers/environmentManager');
 
 /**
  * Registers the uv local package installer command (legacy pip-compatible)
@@ -14,10 +15,6 @@ const { setupUvAsync } = require('../managers/packageManager');
 function registerUvInstaller(context, names, osInfo) {
     let uvInstaller = vscode.commands.registerCommand('py-cage.addPackageLocal',
         async function () {
-            if (!CommandBase.checkPackageListAvailable(names)) {
-                return;
-            }
-
             const uvAvailable = await CommandBase.checkUvAvailable();
             if (!uvAvailable) {
                 const choice = await vscode.window.showWarningMessage(
@@ -28,7 +25,6 @@ function registerUvInstaller(context, names, osInfo) {
                 );
                 
                 if (choice === 'Install uv') {
-                    vscode.window.showInformationMessage('Installing uv... Please wait and try again after installation completes.');
                     await setupUvAsync(osInfo);
                     return;
                 } else if (choice === 'Use pip instead') {
@@ -38,21 +34,19 @@ function registerUvInstaller(context, names, osInfo) {
                 }
             }
 
-            const pick = await showPopularQuickPick(names, 'Search and select a Python package (ranked by downloads + similarity)...');
-            if (!pick) {
-                console.log('Package selection cancelled by user');
-                return;
-            }
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to install packages.');
+            if (!workspaceFolder) return;
 
-            const selectedLibrary = getProjectNameFromQuickPick(pick);
-            if (selectedLibrary) {
-                vscode.window.showInformationMessage(`Installing ${selectedLibrary} with uv...`);
-                await CommandBase.executeUvCommand(
-                    `pip install ${selectedLibrary}`,
-                    null,
-                    null
-                );
-            }
+            const cwd = workspaceFolder.uri.fsPath;
+            const requirements = await selectPackageRequirements(getPackageListForFolder(names, cwd), 'Search and select Python packages (ranked by downloads + similarity)...', cwd);
+            if (!requirements) return;
+
+            const label = requirements.join(', ');
+            await CommandBase.executeUvCommand(['pip', 'install', ...requirements], {
+                title: `Installing ${label} with uv...`,
+                successMessage: `✅ ${label} installed`,
+                cwd: workspaceFolder.uri.fsPath
+            });
         });
 
     context.subscriptions.push(uvInstaller);
@@ -65,7 +59,7 @@ function registerUvInstaller(context, names, osInfo) {
 function registerUvInitCommand(context) {
     let uvInitCommand = vscode.commands.registerCommand('py-cage.uvInit',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to initialize UV project.');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to initialize UV project.');
             if (!workspaceFolder) return;
 
             if (!(await CommandBase.checkUvAvailable())) return;
@@ -79,13 +73,12 @@ function registerUvInitCommand(context) {
             }
 
             console.log('Initializing UV project...');
-            vscode.window.showInformationMessage('🚀 Initializing UV project...');
 
-            await CommandBase.executeUvCommand(
-                'init',
-                '✅ UV project initialization started. Check terminal for progress.',
-                '✓ UV project initialized successfully'
-            );
+            await CommandBase.executeUvCommand(['init'], {
+                title: '🚀 Initializing UV project...',
+                successMessage: '✅ UV project initialized successfully',
+                cwd: workspaceFolder.uri.fsPath
+            });
         });
 
     context.subscriptions.push(uvInitCommand);
@@ -99,10 +92,9 @@ function registerUvInitCommand(context) {
 function registerUvAddPackageCommand(context, names) {
     let uvAddPackageCommand = vscode.commands.registerCommand('py-cage.uvAddPackage',
         async function () {
-            const workspaceFolder = CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to add packages.');
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to add packages.');
             if (!workspaceFolder) return;
 
-            if (!CommandBase.checkPackageListAvailable(names)) return;
             if (!(await CommandBase.checkUvAvailable())) return;
 
             // Check if pyproject.toml exists (UV project)
@@ -122,28 +114,22 @@ function registerUvAddPackageCommand(context, names) {
                 }
             }
 
-            const pick = await showPopularQuickPick(names, 'Search and select a Python package to add with uv add...');
-            if (!pick) {
-                console.log('Package selection cancelled by user');
-                return;
-            }
-            
-            const selectedLibrary = getProjectNameFromQuickPick(pick);
-            if (!selectedLibrary) return;
+            const cwd = workspaceFolder.uri.fsPath;
+            const requirements = await selectPackageRequirements(getPackageListForFolder(names, cwd), 'Search and select Python packages to add with uv add...', cwd);
+            if (!requirements) return;
 
             const dependencyType = await CommandBase.showDependencyTypeSelection();
             if (!dependencyType) return; // User cancelled
 
-            vscode.window.showInformationMessage(`Adding ${selectedLibrary} with uv add...`);
-            
             const devFlag = dependencyType.value;
-            const command = `add ${devFlag} ${selectedLibrary}`.trim();
-            
-            await CommandBase.executeUvCommand(
-                command,
-                null,
-                `✓ ${selectedLibrary} added successfully`
-            );
+            const args = devFlag ? ['add', devFlag, ...requirements] : ['add', ...requirements];
+            const label = requirements.join(', ');
+
+            await CommandBase.executeUvCommand(args, {
+                title: `Adding ${label} with uv add...`,
+                successMessage: `✅ ${label} added successfully`,
+                cwd: workspaceFolder.uri.fsPath
+            });
         });
 
     context.subscriptions.push(uvAddPackageCommand);
@@ -153,23 +139,42 @@ function registerUvAddPackageCommand(context, names) {
  * Fallback to pip installation when UV is not available
  */
 async function fallbackToPip(names) {
-    const pick = await showPopularQuickPick(names, 'Search and select a Python package (ranked by downloads + similarity)...');
-    if (!pick) {
-        console.log('Package selection cancelled by user (pip fallback)');
-        return;
-    }
-    
-    const selectedLibrary = getProjectNameFromQuickPick(pick);
-    if (selectedLibrary) {
-        vscode.window.showInformationMessage(`Installing ${selectedLibrary} with pip (fallback)...`);
-        const currentTerminal = getOrCreateTerminal();
-        currentTerminal.sendText(`pip install ${selectedLibrary}`);
-        currentTerminal.show();
-    }
+    const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to install packages.');
+    if (!workspaceFolder) return;
+
+    const cwd = workspaceFolder.uri.fsPath;
+    const requirements = await selectPackageRequirements(getPackageListForFolder(names, cwd), 'Search and select Python packages (ranked by downloads + similarity)...', cwd);
+    if (!requirements) return;
+
+    const label = requirements.join(', ');
+    await CommandBase.executePipCommand(['install', ...requirements], {
+        title: `Installing ${label} with pip (fallback)...`,
+        successMessage: `✅ ${label} installed with pip`,
+        cwd: workspaceFolder.uri.fsPath
+    });
+}
+
+/**
+ * Registers the uv installation command (verified download, existing binary or local archive)
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Object} osInfo - Operating system information
+ */
+function registerInstallUvCommand(context, osInfo) {
+    let installUvCommand = vscode.commands.registerCommand('py-cage.installUv',
+        async function () {
+            const installed = await promptUvInstallation(osInfo, 'Choose how pyCage installs uv.');
+            if (!installed) return;
+
+            // New terminals pick up the directory of the new binary
+            await updateEnvironmentVariables();
+        });
+
+    context.subscriptions.push(installUvCommand);
 }
 
 module.exports = {
     registerUvInstaller,
+    registerInstallUvCommand,
     registerUvInitCommand,
     registerUvAddPackageCommand
 };
@@ -0,0 +1,115 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const CommandBase = require('../utils/commandBase');
+const { deleteVenv, getReinstallSource, recreateVenv } = require('../managers/venvManager');
+const { getPinnedPythonVersion, getVenvPythonVersion } = require('../managers/pythonManager');
+const { pickPythonVersion } = require('./pythonCommands');
+const { getVenvPath, getVenvDisplayName } = require('../utils/venvPaths');
+
+/**
+ * Let the user choose the Python version of a recreated environment
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<string|null|undefined>} Version request, null for the default, or undefined if cancelled
+ */
+async function selectRecreateVersion(workspaceFolder) {
+    const venvPath = getVenvPath(workspaceFolder);
+    const pinned = getPinnedPythonVersion(workspaceFolder);
+    const current = fs.existsSync(venvPath) ? getVenvPythonVersion(venvPath) : null;
+
+    const items = [];
+    if (pinned) {
+        items.push({ label: `$(pin) Python ${pinned}`, description: 'pinned in .python-version', value: pinned });
+    }
+    if (current && current !== pinned) {
+        items.push({ label: `$(history) Python ${current}`, description: 'current environment', value: current });
+    }
+    if (!pinned) {
+        items.push({ label: '$(star) Default Python', description: 'the interpreter uv picks', value: null });
+    }
+    items.push({ label: '$(list-selection) Another version...', description: 'uv python list', value: undefined });
+
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Python version for the new virtual environment' });
+    if (!choice) return undefined;
+    if (choice.value !== undefined) return choice.value;
+
+    const picked = await pickPythonVersion(workspaceFolder, { title: 'Python for the new virtual environment' });
+    return picked ? picked.request : undefined;
+}
+
+/**
+ * Registers the virtual environment lifecycle commands (recreate, reset, delete)
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerVenvCommands(context) {
+    let recreateCommand = vscode.commands.registerCommand('py-cage.recreateVenv',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to recreate its virtual environment.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const pythonVersion = await selectRecreateVersion(workspaceFolder);
+            if (pythonVersion === undefined) return;
+
+            const source = getReinstallSource(workspaceFolder);
+            const choice = await vscode.window.showWarningMessage(
+                `Delete ${getVenvDisplayName(workspaceFolder)} and create it again${pythonVersion ? ` with Python ${pythonVersion}` : ''}? ` +
+                `Dependencies are reinstalled from ${source ? source.label : 'the currently installed packages'}.`,
+                { modal: true },
+                'Recreate'
+            );
+            if (choice !== 'Recreate') return;
+
+            await recreateVenv(workspaceFolder, { pythonVersion, reinstall: true });
+        });
+
+    let resetCommand = vscode.commands.registerCommand('py-cage.resetVenv',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to reset its virtual environment.');
+            if (!workspaceFolder) return;
+
+            if (!(await CommandBase.checkUvAvailable())) return;
+
+            const venvPath = getVenvPath(workspaceFolder);
+            const current = fs.existsSync(venvPath) ? getVenvPythonVersion(venvPath) : null;
+            const choice = await vscode.window.showWarningMessage(
+                `Reset ${getVenvDisplayName(workspaceFolder)}? It is replaced by an empty environment${current ? ` with Python ${current}` : ''}; every installed package is removed.`,
+                { modal: true },
+                'Reset'
+            );
+            if (choice !== 'Reset') return;
+
+            if (await recreateVenv(workspaceFolder, { pythonVersion: current || undefined })) {
+                vscode.window.showInformationMessage(`🧹 ${getVenvDisplayName(workspaceFolder)} reset to an empty environment`);
+            }
+        });
+
+    let deleteCommand = vscode.commands.registerCommand('py-cage.deleteVenv',
+        async function () {
+            const workspaceFolder = await CommandBase.checkWorkspaceFolder('❌ No workspace folder found. Please open a folder to delete its virtual environment.');
+            if (!workspaceFolder) return;
+
+            const venvPath = getVenvPath(workspaceFolder);
+            if (!fs.existsSync(venvPath)) {
+                vscode.window.showInformationMessage(`${getVenvDisplayName(workspaceFolder)} does not exist`);
+                return;
+            }
+
+            const choice = await vscode.window.showWarningMessage(
+                `Delete ${venvPath}? Installed packages are removed with it.`,
+                { modal: true },
+                'Delete'
+            );
+            if (choice !== 'Delete') return;
+
+            if (await deleteVenv(workspaceFolder)) {
+                vscode.window.showInformationMessage(`🗑️ ${getVenvDisplayName(workspaceFolder)} deleted`);
+            }
+        });
+
+    context.subscriptions.push(recreateCommand, resetCommand, deleteCommand);
+}
+
+module.exports = {
+    registerVenvCommands
+};
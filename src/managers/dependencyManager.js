@@ -0,0 +1,257 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess } = require('./processManager');
+const { parseToml, parseTomlWithPositions } = require('../utils/tomlParser');
+const { parseRequirement, normalizePackageName } = require('../utils/pep508');
+const { satisfies } = require('../utils/pep440');
+const { withIndexArgs } = require('../utils/indexConfig');
+const { getVenvEnvironment } = require('../utils/venvPaths');
+
+/**
+ * Reads and parses pyproject.toml from a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Object|null} Parsed pyproject.toml or null if it does not exist
+ * @throws {TomlParseError} When pyproject.toml is not valid TOML
+ */
+function readPyproject(workspaceFolder) {
+    const pyprojectPath = vscode.Uri.joinPath(workspaceFolder.uri, 'pyproject.toml').fsPath;
+    if (!fs.existsSync(pyprojectPath)) {
+        return null;
+    }
+    return parseToml(fs.readFileSync(pyprojectPath, 'utf8'));
+}
+
+/**
+ * Parses a list of PEP 508 strings, tagging each entry with its dependency group
+ * @param {Array} entries - Requirement strings from pyproject.toml
+ * @param {string|null} group - Dependency group name, or null for main dependencies
+ * @returns {Object[]} Parsed requirements
+ */
+function parseRequirementList(entries, group) {
+    if (!Array.isArray(entries)) return [];
+    return entries
+        .filter(entry => typeof entry === 'string')
+        .map(entry => parseRequirement(entry))
+        .filter(Boolean)
+        .map(requirement => ({ ...requirement, group }));
+}
+
+/**
+ * Gets the declared dependencies of a uv project
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Object|null} { dependencies, devDependencies } or null if there is no pyproject.toml
+ */
+function getProjectDependencies(workspaceFolder) {
+    const pyproject = readPyproject(workspaceFolder);
+    if (!pyproject) return null;
+
+    const project = pyproject.project || {};
+    const groups = pyproject['dependency-groups'] || {};
+    const uvTool = (pyproject.tool && pyproject.tool.uv) || {};
+
+    return {
+        dependencies: parseRequirementList(project.dependencies, null),
+        devDependencies: [
+            ...parseRequirementList(groups.dev, 'dev'),
+            // Legacy uv location for development dependencies
+            ...parseRequirementList(uvTool['dev-dependencies'], 'dev')
+        ]
+    };
+}
+
+/**
+ * Finds the requirement strings of a pyproject.toml together with their location
+ * Covers [project] dependencies and optional-dependencies, [dependency-groups] and the legacy
+ * [tool.uv] dev-dependencies; {include-group = ...} entries are skipped.
+ * @param {string} text - pyproject.toml source
+ * @returns {Object[]} Entries ({ requirement, section, group, start, end }); section is 'dependencies',
+ * 'optional' or 'group', start and end are 0-based { line, character } positions of the string
+ * @throws {TomlParseError} When the document is not valid TOML
+ */
+function findDependencyEntries(text) {
+    const { document, positions } = parseTomlWithPositions(text);
+    const entries = [];
+
+    const collect = (listPath, list, section, group) => {
+        if (!Array.isArray(list)) return;
+        list.forEach((entry, index) => {
+            const requirement = parseRequirement(entry);
+            const position = positions.get(JSON.stringify([...listPath, index]));
+            if (requirement && position) {
+                entries.push({ requirement, section, group, ...position });
+            }
+        });
+    };
+
+    const project = document.project || {};
+    collect(['project', 'dependencies'], project.dependencies, 'dependencies', null);
+    Object.entries(project['optional-dependencies'] || {}).forEach(([extra, list]) => {
+        collect(['project', 'optional-dependencies', extra], list, 'optional', extra);
+    });
+    Object.entries(document['dependency-groups'] || {}).forEach(([group, list]) => {
+        collect(['dependency-groups', group], list, 'group', group);
+    });
+    const uvTool = (document.tool && document.tool.uv) || {};
+    collect(['tool', 'uv', 'dev-dependencies'], uvTool['dev-dependencies'], 'group', 'dev');
+
+    return entries;
+}
+
+/**
+ * Gets the uv add / uv remove flags that select the table of a pyproject.toml entry
+ * @param {Object} entry - Entry from findDependencyEntries
+ * @returns {string[]} Flags ([], ['--dev'], ['--group', name] or ['--optional', extra])
+ */
+function getEntryGroupArgs(entry) {
+    if (entry.section === 'optional') return ['--optional', entry.group];
+    if (entry.section === 'group') return entry.group === 'dev' ? ['--dev'] : ['--group', entry.group];
+    return [];
+}
+
+/**
+ * Lists the packages installed in the workspace environment using uv pip list
+ * @param {string} cwd - Workspace folder path (selects the folder's virtual environment)
+ * @returns {Promise<Object[]|null>} Installed packages ({ name, version }) or null if uv failed
+ */
+async function getInstalledPackages(cwd) {
+    const uvExecutable = await getUvExecutable();
+    const result = await runProcess(uvExecutable, ['pip', 'list', '--format', 'json'], { cwd, env: getVenvEnvironment(cwd), silent: true });
+    if (!result.success) {
+        console.log(`Could not list installed packages: ${result.stderr.trim()}`);
+        return null;
+    }
+
+    try {
+        return JSON.parse(result.stdout || '[]').map(pkg => ({
+            name: pkg.name,
+            version: pkg.version
+        }));
+    } catch (error) {
+        console.error('Failed to parse uv pip list output:', error);
+        return null;
+    }
+}
+
+/**
+ * Lists outdated packages in the workspace environment using uv pip list --outdated
+ * @param {string} cwd - Workspace folder path
+ * @param {vscode.CancellationToken} [token] - Cancels the lookup
+ * @returns {Promise<Object[]|null>} Outdated packages ({ name, version, latestVersion }) or null if uv failed
+ */
+async function getOutdatedPackages(cwd, token) {
+    const uvExecutable = await getUvExecutable();
+    const args = withIndexArgs('uv', ['pip', 'list', '--outdated', '--format', 'json'], cwd);
+    const result = await runProcess(uvExecutable, args, { cwd, env: getVenvEnvironment(cwd), token, silent: true });
+    if (!result.success) {
+        console.log(`Could not list outdated packages: ${result.stderr.trim()}`);
+        return null;
+    }
+
+    try {
+        return JSON.parse(result.stdout || '[]').map(pkg => ({
+            name: pkg.name,
+            version: pkg.version,
+            latestVersion: pkg.latest_version
+        }));
+    } catch (error) {
+        console.error('Failed to parse uv pip list --outdated output:', error);
+        return null;
+    }
+}
+
+/**
+ * Finds which installed packages require the given packages, using uv pip show
+ * @param {string} cwd - Workspace folder path
+ * @param {string[]} names - Package names to look up
+ * @returns {Promise<Map<string, string[]>>} Normalized package name -> names of packages requiring it
+ */
+async function getReverseDependencies(cwd, names) {
+    const reverse = new Map();
+    if (names.length === 0) return reverse;
+
+    const uvExecutable = await getUvExecutable();
+    const result = await runProcess(uvExecutable, ['pip', 'show', ...names], { cwd, env: getVenvEnvironment(cwd), silent: true });
+    if (!result.stdout) {
+        console.log(`Could not inspect package dependents: ${result.stderr.trim()}`);
+        return reverse;
+    }
+
+    // uv pip show prints one block per package, separated by "---"
+    result.stdout.split(/^---$/m).forEach(block => {
+        const nameMatch = block.match(/^Name:\s*(.+)$/m);
+        const requiredByMatch = block.match(/^Required-by:\s*(.*)$/m);
+        if (!nameMatch) return;
+        const requiredBy = requiredByMatch
+            ? requiredByMatch[1].split(',').map(name => name.trim()).filter(Boolean)
+            : [];
+        reverse.set(normalizePackageName(nameMatch[1].trim()), requiredBy);
+    });
+
+    return reverse;
+}
+
+/**
+ * Compares declared dependencies with the installed packages
+ * @param {Object[]} declared - Parsed requirements from pyproject.toml
+ * @param {Object[]} installed - Installed packages
+ * @returns {Object[]} Mismatches ({ requirement, installedVersion, reason })
+ */
+function findMismatches(declared, installed) {
+    const installedByName = new Map(installed.map(pkg => [normalizePackageName(pkg.name), pkg]));
+    const mismatches = [];
+
+    declared.forEach(requirement => {
+        // Requirements limited to other platforms or Python versions cannot be judged here
+        if (requirement.marker) return;
+
+        const pkg = installedByName.get(requirement.normalizedName);
+        if (!pkg) {
+            mismatches.push({ requirement, installedVersion: null, reason: 'not installed' });
+        } else if (requirement.specifier && !satisfies(pkg.version, requirement.specifier)) {
+            mismatches.push({
+                requirement,
+                installedVersion: pkg.version,
+                reason: `installed ${pkg.version} does not satisfy ${requirement.specifier}`
+            });
+        }
+    });
+
+    return mismatches;
+}
+
+/**
+ * Compares two listings of the installed packages
+ * @param {Object[]} before - Packages before a change ({ name, version })
+ * @param {Object[]} after - Packages after the change
+ * @returns {Object} { added, changed, removed }; changed entries are { name, from, to }
+ */
+function diffInstalledPackages(before, after) {
+    const previous = new Map(before.map(pkg => [normalizePackageName(pkg.name), pkg]));
+    const current = new Map(after.map(pkg => [normalizePackageName(pkg.name), pkg]));
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+    const added = after.filter(pkg => !previous.has(normalizePackageName(pkg.name))).sort(byName);
+    const removed = before.filter(pkg => !current.has(normalizePackageName(pkg.name))).sort(byName);
+    const changed = after
+        .filter(pkg => {
+            const old = previous.get(normalizePackageName(pkg.name));
+            return old && old.version !== pkg.version;
+        })
+        .map(pkg => ({ name: pkg.name, from: previous.get(normalizePackageName(pkg.name)).version, to: pkg.version }))
+        .sort(byName);
+
+    return { added, changed, removed };
+}
+
+module.exports = {
+    readPyproject,
+    getProjectDependencies,
+    findDependencyEntries,
+    getEntryGroupArgs,
+    getInstalledPackages,
+    getOutdatedPackages,
+    getReverseDependencies,
+    diffInstalledPackages,
+    findMismatches
+};
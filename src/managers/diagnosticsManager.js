@@ -0,0 +1,179 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { getOperatingSystem } = require('../utils/system');
+const { getUvCommand, getUvExecutable, getRecordedInstallation } = require('./uvManager');
+const { getSelectedInterpreter, isSamePath } = require('./interpreterManager');
+const { getPinnedPythonVersion, getVenvPythonVersion, matchesPythonRequest } = require('./pythonManager');
+const { getVenvPath, getVenvBinPath, getVenvPythonPath, readPyvenvConfig } = require('../utils/venvPaths');
+
+/**
+ * Runs a command with the unmodified environment of VS Code
+ * Unlike processManager.runProcess, PATH is not extended, so the result shows what the user's PATH resolves.
+ * @param {string} executable - Executable to run
+ * @param {string[]} args - Arguments
+ * @returns {Promise<Object>} { ok, output }
+ */
+function runQuiet(executable, args) {
+    return new Promise(resolve => {
+        execFile(executable, args, { timeout: 10000, windowsHide: true }, (error, stdout, stderr) => {
+            resolve({ ok: !error, output: `${stdout || ''}${stderr || ''}`.trim() || (error ? error.message : '') });
+        });
+    });
+}
+
+/**
+ * Lists symbolic links in a directory whose target no longer exists
+ * @param {string} directory - Directory to scan
+ * @returns {string[]} Broken link names
+ */
+function findBrokenSymlinks(directory) {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory).filter(name => {
+        const entryPath = path.join(directory, name);
+        try {
+            return fs.lstatSync(entryPath).isSymbolicLink() && !fs.existsSync(entryPath);
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Checks uv, the virtual environment and the interpreter selection of a workspace folder
+ * Each check has a status ('ok', 'info', 'warning' or 'error') and problems list fix ids
+ * ('installUv', 'createVenv', 'recreateVenv' or 'setInterpreter').
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<Object>} Report ({ workspaceFolder, generatedAt, checks })
+ */
+async function collectDiagnostics(workspaceFolder) {
+    const osInfo = getOperatingSystem();
+    const checks = [];
+    const add = (label, status, detail, fixes = []) => checks.push({ label, status, detail, fixes });
+
+    add('Workspace', 'info', workspaceFolder.uri.fsPath);
+    add('Operating system', 'info', `${osInfo.readable} (${osInfo.platform})`);
+
+    // uv: what the user's PATH resolves and what getUvCommand falls back to
+    const uvCommand = await getUvCommand();
+    const uvExecutable = await getUvExecutable();
+    const uvOnPath = await runQuiet('uv', ['--version']);
+    const uvVersion = uvOnPath.ok ? uvOnPath : await runQuiet(uvExecutable, ['--version']);
+
+    if (!uvVersion.ok) {
+        add('uv', 'error', `uv was not found on PATH or in the common install locations (${uvVersion.output})`, ['installUv']);
+    } else if (uvOnPath.ok) {
+        add('uv', 'ok', `${uvVersion.output} (found on PATH)`);
+    } else {
+        add('uv', 'warning', `${uvVersion.output} at ${uvExecutable}, which is not on PATH. pyCage adds its directory to new terminals.`);
+    }
+    add('uv command', 'info', `getUvCommand() resolves to ${uvCommand}`);
+
+    const installation = getRecordedInstallation();
+    if (installation) {
+        add('uv installation', 'info', `${installation.method} of uv ${installation.version} at ${installation.path} (SHA-256 ${installation.sha256})`);
+    }
+
+    // Virtual environment
+    const venvPath = getVenvPath(workspaceFolder);
+    const pythonPath = getVenvPythonPath(venvPath);
+
+    if (!fs.existsSync(venvPath)) {
+        add('Virtual environment', 'error', `${venvPath} does not exist`, ['createVenv']);
+    } else {
+        add('Virtual environment', 'ok', venvPath);
+
+        const brokenLinks = findBrokenSymlinks(getVenvBinPath(venvPath));
+        if (brokenLinks.length > 0) {
+            add('Broken symlinks', 'error', `${brokenLinks.join(', ')} point to files that no longer exist`, ['recreateVenv']);
+        }
+
+        const pyvenvConfig = readPyvenvConfig(venvPath);
+        if (!pyvenvConfig) {
+            // Without pyvenv.cfg or a Python executable the directory is not deleted, so recreating is not offered
+            add('pyvenv.cfg', 'warning', 'pyvenv.cfg is missing; the environment was not created by uv or venv',
+                fs.existsSync(pythonPath) ? ['recreateVenv'] : []);
+        } else if (pyvenvConfig.home && !fs.existsSync(pyvenvConfig.home)) {
+            add('Base interpreter', 'error', `${pyvenvConfig.home} (from pyvenv.cfg) no longer exists`, ['recreateVenv']);
+        }
+
+        const pinnedVersion = getPinnedPythonVersion(workspaceFolder);
+        const venvVersion = getVenvPythonVersion(venvPath);
+        if (pinnedVersion && venvVersion && matchesPythonRequest(pinnedVersion, venvVersion) === false) {
+            add('Pinned Python', 'warning', `.python-version pins ${pinnedVersion}, but the environment uses Python ${venvVersion}`, ['recreateVenv']);
+        } else if (pinnedVersion) {
+            add('Pinned Python', 'ok', `${pinnedVersion} (.python-version)`);
+        }
+
+        if (!fs.existsSync(pythonPath)) {
+            add('Python executable', 'error', `${pythonPath} does not exist`, ['recreateVenv']);
+        } else {
+            const pythonVersion = await runQuiet(pythonPath, ['--version']);
+            if (pythonVersion.ok) {
+                add('Python executable', 'ok', `${pythonVersion.output} at ${pythonPath}`);
+            } else {
+                add('Python executable', 'error', `${pythonPath} does not run: ${pythonVersion.output}`, ['recreateVenv']);
+            }
+        }
+    }
+
+    // Interpreter selection
+    const selected = await getSelectedInterpreter(workspaceFolder);
+    const defaultInterpreterPath = vscode.workspace.getConfiguration('python', workspaceFolder.uri).get('defaultInterpreterPath');
+    if (isSamePath(selected, pythonPath)) {
+        add('Selected interpreter', 'ok', selected);
+    } else {
+        add('Selected interpreter', fs.existsSync(pythonPath) ? 'warning' : 'info',
+            `${selected || 'not set'} (expected ${pythonPath})`,
+            fs.existsSync(pythonPath) ? ['setInterpreter'] : []);
+    }
+    add('python.defaultInterpreterPath', 'info', defaultInterpreterPath || 'not set');
+
+    return { workspaceFolder, generatedAt: new Date(), checks };
+}
+
+// Labels of the one-click fixes offered for problems
+const FIX_LABELS = {
+    installUv: 'Install uv',
+    createVenv: 'Create virtual environment',
+    recreateVenv: 'Recreate virtual environment',
+    setInterpreter: 'Use the virtual environment interpreter'
+};
+
+const STATUS_ICONS = { ok: '✅', info: 'ℹ️', warning: '⚠️', error: '❌' };
+
+/**
+ * Formats a diagnostics report as markdown, for copying into issues or chats
+ * @param {Object} report - Report from collectDiagnostics
+ * @returns {string} Markdown text
+ */
+function formatDiagnosticsMarkdown(report) {
+    const lines = [
+        `# pyCage diagnostics: ${report.workspaceFolder.name}`,
+        '',
+        `Generated ${report.generatedAt.toISOString()}`,
+        '',
+        '| | Check | Result |',
+        '|---|---|---|',
+        ...report.checks.map(check =>
+            `| ${STATUS_ICONS[check.status]} | ${check.label} | ${check.detail.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')} |`)
+    ];
+
+    const problems = report.checks.filter(check => check.fixes.length > 0);
+    if (problems.length > 0) {
+        lines.push('', '## Suggested fixes', '');
+        problems.forEach(check => {
+            lines.push(`- ${check.label}: ${check.fixes.map(fix => FIX_LABELS[fix]).join(', ')}`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    FIX_LABELS,
+    STATUS_ICONS,
+    collectDiagnostics,
+    formatDiagnosticsMarkdown
+};
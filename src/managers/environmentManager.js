@@ -0,0 +1,62 @@
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { getWorkspaceFolders } = require('../utils/workspace');
+const { getVenvPath, getVenvBinPath, isVenvReady, watchVenvs } = require('../utils/venvPaths');
+
+// Environment variable collection of the extension, set by registerEnvironmentVariables
+let environmentCollection = null;
+
+/**
+ * Applies the uv directory and the workspace virtual environments to the terminal environment
+ * New terminals get uv and the folder's virtual environment on PATH and VIRTUAL_ENV set, without typing any commands.
+ * @returns {Promise<void>}
+ */
+async function updateEnvironmentVariables() {
+    if (!environmentCollection) return;
+
+    const uvExecutable = await getUvExecutable();
+    const uvDirectory = path.isAbsolute(uvExecutable) ? path.dirname(uvExecutable) : null;
+
+    environmentCollection.clear();
+    if (uvDirectory) {
+        environmentCollection.prepend('PATH', uvDirectory + path.delimiter);
+    }
+
+    for (const workspaceFolder of getWorkspaceFolders()) {
+        const scoped = environmentCollection.getScoped({ workspaceFolder });
+        scoped.clear();
+
+        const venvPath = getVenvPath(workspaceFolder);
+        if (!isVenvReady(venvPath)) continue;
+
+        scoped.prepend('PATH', getVenvBinPath(venvPath) + path.delimiter);
+        scoped.replace('VIRTUAL_ENV', venvPath);
+        console.log(`Terminal environment of ${workspaceFolder.name} uses ${venvPath}`);
+    }
+}
+
+/**
+ * Registers the terminal environment contributions and keeps them in sync with the virtual environments
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {Promise<void>} Resolves once the initial environment is applied
+ */
+async function registerEnvironmentVariables(context) {
+    environmentCollection = context.environmentVariableCollection;
+    environmentCollection.persistent = true;
+    environmentCollection.description = 'Adds uv and the workspace virtual environment to PATH';
+
+    const update = () => updateEnvironmentVariables().catch(error => {
+        console.error('Failed to update terminal environment:', error);
+    });
+
+    // Creating or replacing an environment writes its pyvenv.cfg, deleting it removes the folder;
+    // switching folders or the configured environment path also triggers an update
+    context.subscriptions.push(watchVenvs(['', 'pyvenv.cfg'], update));
+
+    await update();
+}
+
+module.exports = {
+    registerEnvironmentVariables,
+    updateEnvironmentVariables
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess, maskCredentials } = require('./processManager');
+const { readPyproject, getInstalledPackages, getReverseDependencies } = require('./dependencyManager');
+const { parseRequirement, normalizePackageName, formatRequirement } = require('../utils/pep508');
+const { withIndexArgs } = require('../utils/indexConfig');
+const { getVenvEnvironment } = require('../utils/venvPaths');
+
+/**
+ * Lists the dependency groups of a uv project, including the legacy [tool.uv] dev-dependencies as "dev"
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string[]} Group names
+ */
+function getDependencyGroups(workspaceFolder) {
+    let pyproject = null;
+    try {
+        pyproject = readPyproject(workspaceFolder);
+    } catch (error) {
+        console.log(`pyproject.toml of ${workspaceFolder.name} could not be parsed: ${error.message}`);
+    }
+    if (!pyproject) return [];
+
+    const groups = Object.keys(pyproject['dependency-groups'] || {});
+    const uvTool = (pyproject.tool && pyproject.tool.uv) || {};
+    if (Array.isArray(uvTool['dev-dependencies']) && !groups.includes('dev')) {
+        groups.unshift('dev');
+    }
+    return groups;
+}
+
+/**
+ * Gets the error message of a failed export step
+ * @param {string} step - What was being run
+ * @param {Object} result - Process result
+ * @returns {string} Message with the last line of stderr
+ */
+function describeFailure(step, result) {
+    const lastLine = maskCredentials((result.stderr || '').trim().split(/\r?\n/).pop());
+    return `${step} failed${lastLine ? `: ${lastLine}` : ` (exit code ${result.code})`}`;
+}
+
+/**
+ * Lists every installed package with uv pip freeze
+ * @param {string} cwd - Workspace folder path
+ * @param {vscode.CancellationToken} [token] - Cancels the export
+ * @returns {Promise<Object>} { content } or { error }, { cancelled } when cancelled
+ */
+async function freezeRequirements(cwd, token) {
+    const result = await runProcess(await getUvExecutable(), ['pip', 'freeze'], { cwd, env: getVenvEnvironment(cwd), token, silent: true });
+    if (result.cancelled) return { cancelled: true };
+    if (!result.success) return { error: describeFailure('uv pip freeze', result) };
+    return { content: result.stdout };
+}
+
+/**
+ * Lists the top-level requirements pinned to their installed versions
+ * In a uv project these are the declared dependencies (and the chosen groups); in a plain environment,
+ * the installed packages no other package requires.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string[]} groups - Dependency groups to include
+ * @returns {Promise<Object>} { content, unpinned } or { error }
+ */
+async function topLevelRequirements(workspaceFolder, groups) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const installed = await getInstalledPackages(cwd);
+    if (!installed) return { error: 'The installed packages could not be listed. Is the virtual environment created?' };
+    const installedVersions = new Map(installed.map(pkg => [normalizePackageName(pkg.name), pkg.version]));
+
+    const pyproject = readPyproject(workspaceFolder);
+    if (!pyproject || !pyproject.project) {
+        const reverse = await getReverseDependencies(cwd, installed.map(pkg => pkg.name));
+        const lines = installed
+            .filter(pkg => (reverse.get(normalizePackageName(pkg.name)) || []).length === 0)
+            .map(pkg => `${pkg.name}==${pkg.version}`)
+            .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        return { content: lines.length > 0 ? `${lines.join('\n')}\n` : '', unpinned: [] };
+    }
+
+    const declaredGroups = pyproject['dependency-groups'] || {};
+    const uvTool = (pyproject.tool && pyproject.tool.uv) || {};
+    const strings = [...(pyproject.project.dependencies || [])];
+    groups.forEach(group => {
+        strings.push(...(declaredGroups[group] || []));
+        if (group === 'dev') {
+            strings.push(...(uvTool['dev-dependencies'] || []));
+        }
+    });
+
+    // {include-group = ...} tables and duplicates are left out
+    const seen = new Set();
+    const unpinned = [];
+    const lines = [];
+    strings.filter(entry => typeof entry === 'string').forEach(entry => {
+        const requirement = parseRequirement(entry);
+        if (!requirement || seen.has(requirement.raw)) return;
+        seen.add(requirement.raw);
+
+        const version = installedVersions.get(requirement.normalizedName);
+        if (requirement.url || !version) {
+            // URL requirements are kept as written, and so are packages that are not installed
+            if (!requirement.url) unpinned.push(requirement.name);
+            lines.push(requirement.raw);
+        } else {
+            lines.push(formatRequirement({ ...requirement, specifier: `==${version}` }));
+        }
+    });
+    return { content: lines.length > 0 ? `${lines.join('\n')}\n` : '', unpinned };
+}
+
+/**
+ * Exports uv.lock in requirements.txt format with uv export --frozen
+ * @param {string} cwd - Workspace folder path
+ * @param {Object} options - { hashes, groups }
+ * @param {vscode.CancellationToken} [token] - Cancels the export
+ * @returns {Promise<Object>} { content } or { error }, { cancelled } when cancelled
+ */
+async function exportLockedRequirements(cwd, options, token) {
+    // uv export includes the dev group unless told otherwise
+    const args = ['export', '--frozen', '--format', 'requirements-txt', '--no-emit-project'];
+    if (!options.hashes) args.push('--no-hashes');
+    if (!options.groups.includes('dev')) args.push('--no-dev');
+    options.groups.filter(group => group !== 'dev').forEach(group => args.push('--group', group));
+
+    const result = await runProcess(await getUvExecutable(), args, { cwd, env: getVenvEnvironment(cwd), token, silent: true });
+    if (result.cancelled) return { cancelled: true };
+    if (!result.success) return { error: describeFailure('uv export', result) };
+    return { content: result.stdout };
+}
+
+/**
+ * Adds --hash options to a fully pinned requirements list with uv pip compile --generate-hashes
+ * @param {string} cwd - Workspace folder path
+ * @param {string} content - Pinned requirements
+ * @param {vscode.CancellationToken} [token] - Cancels the export
+ * @returns {Promise<Object>} { content } or { error }, { cancelled } when cancelled
+ */
+async function addHashes(cwd, content, token) {
+    const inputPath = path.join(os.tmpdir(), `pycage-export-${Date.now()}.txt`);
+    fs.writeFileSync(inputPath, content);
+    try {
+        // --no-deps: the list is already complete, resolving again could only change it
+        const args = withIndexArgs('uv', ['pip', 'compile', inputPath, '--generate-hashes', '--no-deps', '--no-header', '--no-annotate'], cwd);
+        const result = await runProcess(await getUvExecutable(), args, { cwd, env: getVenvEnvironment(cwd), token, silent: true });
+        if (result.cancelled) return { cancelled: true };
+        if (!result.success) return { error: describeFailure('uv pip compile --generate-hashes', result) };
+        return { content: result.stdout };
+    } finally {
+        fs.rmSync(inputPath, { force: true });
+    }
+}
+
+/**
+ * Builds the content of a requirements export
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} options - Export options
+ * @param {string} options.source - 'freeze' (every installed package), 'topLevel' or 'lock' (uv export)
+ * @param {boolean} options.hashes - Add --hash options (freeze and lock only)
+ * @param {string[]} options.groups - Dependency groups to include (topLevel and lock only)
+ * @param {vscode.CancellationToken} [token] - Cancels the export
+ * @returns {Promise<Object>} { content, unpinned? }, { error } or { cancelled }
+ */
+async function buildRequirementsExport(workspaceFolder, options, token) {
+    const cwd = workspaceFolder.uri.fsPath;
+
+    if (options.source === 'lock') {
+        return await exportLockedRequirements(cwd, options, token);
+    }
+    if (options.source === 'topLevel') {
+        return await topLevelRequirements(workspaceFolder, options.groups);
+    }
+
+    const frozen = await freezeRequirements(cwd, token);
+    if (!frozen.content || !options.hashes) return frozen;
+    return await addHashes(cwd, frozen.content, token);
+}
+
+module.exports = {
+    getDependencyGroups,
+    buildRequirementsExport
+};
@@ -0,0 +1,148 @@
+const vscode = require('vscode');
+const path = require('path');
+const { isMultiRoot } = require('../utils/workspace');
+const { getVenvPath, getVenvPythonPath, isVenvReady } = require('../utils/venvPaths');
+
+const PYTHON_EXTENSION_ID = 'ms-python.python';
+const DECLINED_KEY = 'pyCage.declinedInterpreters';
+
+// Workspace state used to remember interpreters the user undid, set by registerInterpreterSelection
+let workspaceState = null;
+
+/**
+ * Gets the environments API of the Python extension
+ * @returns {Promise<Object|null>} environments API or null when the extension is not installed
+ */
+async function getEnvironmentsApi() {
+    const extension = vscode.extensions.getExtension(PYTHON_EXTENSION_ID);
+    if (!extension) return null;
+    try {
+        const api = extension.isActive ? extension.exports : await extension.activate();
+        return api && api.environments ? api.environments : null;
+    } catch (error) {
+        console.error('Failed to activate the Python extension:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets the interpreter currently selected for a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<string|undefined>} Interpreter path, if any
+ */
+async function getSelectedInterpreter(workspaceFolder) {
+    const environments = await getEnvironmentsApi();
+    if (environments) {
+        const active = environments.getActiveEnvironmentPath(workspaceFolder.uri);
+        return active ? active.path : undefined;
+    }
+    return vscode.workspace.getConfiguration('python', workspaceFolder.uri).get('defaultInterpreterPath') || undefined;
+}
+
+/**
+ * Selects an interpreter for a workspace folder
+ * Uses the Python extension's environments API and falls back to python.defaultInterpreterPath.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string|undefined} interpreterPath - Interpreter path, undefined to reset the setting
+ * @returns {Promise<void>}
+ */
+async function setSelectedInterpreter(workspaceFolder, interpreterPath) {
+    const environments = await getEnvironmentsApi();
+    if (environments && interpreterPath) {
+        await environments.updateActiveEnvironmentPath(interpreterPath, workspaceFolder.uri);
+        return;
+    }
+    await vscode.workspace.getConfiguration('python', workspaceFolder.uri)
+        .update('defaultInterpreterPath', interpreterPath, vscode.ConfigurationTarget.WorkspaceFolder);
+}
+
+/**
+ * Compares interpreter paths, ignoring case on Windows
+ * @param {string} [a] - First path
+ * @param {string} [b] - Second path
+ * @returns {boolean} True if both point to the same file
+ */
+function isSamePath(a, b) {
+    if (!a || !b) return false;
+    const normalize = value => {
+        const resolved = path.resolve(value);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    };
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Points the workspace interpreter at the folder's virtual environment, offering to undo the change
+ * Interpreters the user undid before are not selected again.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<boolean>} True if the interpreter was changed
+ */
+async function selectVenvInterpreter(workspaceFolder) {
+    if (!vscode.workspace.getConfiguration('pyCage', workspaceFolder.uri).get('interpreter.autoSelect', true)) {
+        return false;
+    }
+
+    const venvPath = getVenvPath(workspaceFolder);
+    if (!isVenvReady(venvPath)) return false;
+
+    const pythonPath = getVenvPythonPath(venvPath);
+    const declined = workspaceState ? workspaceState.get(DECLINED_KEY, []) : [];
+    if (declined.some(declinedPath => isSamePath(declinedPath, pythonPath))) {
+        console.log(`Interpreter ${pythonPath} was undone before, not selecting it again`);
+        return false;
+    }
+
+    try {
+        const previous = await getSelectedInterpreter(workspaceFolder);
+        if (isSamePath(previous, pythonPath)) {
+            console.log(`Interpreter already set to ${pythonPath}`);
+            return false;
+        }
+
+        await setSelectedInterpreter(workspaceFolder, pythonPath);
+        console.log(`✓ Python interpreter set to ${pythonPath}`);
+
+        const folderLabel = isMultiRoot() ? ` for ${workspaceFolder.name}` : '';
+        const message = `🐍 Python interpreter${folderLabel} set to ${path.relative(workspaceFolder.uri.fsPath, pythonPath)}`;
+        // The environments API cannot clear a selection, so with nothing selected before there is nothing to undo to
+        if (!previous && await getEnvironmentsApi()) {
+            vscode.window.showInformationMessage(message);
+            return true;
+        }
+        vscode.window.showInformationMessage(message, 'Undo')
+            .then(async choice => {
+                if (choice !== 'Undo') return;
+                try {
+                    await setSelectedInterpreter(workspaceFolder, previous);
+                    if (workspaceState) {
+                        await workspaceState.update(DECLINED_KEY, [...declined, pythonPath]);
+                    }
+                    vscode.window.showInformationMessage(`Python interpreter restored to ${previous || 'the default'}`);
+                } catch (error) {
+                    console.error('Failed to restore the Python interpreter:', error);
+                    vscode.window.showErrorMessage(`❌ Failed to restore the Python interpreter: ${error.message}`);
+                }
+            });
+        return true;
+    } catch (error) {
+        console.error('Failed to set the Python interpreter:', error);
+        vscode.window.showWarningMessage(`⚠️ Could not set the Python interpreter to ${pythonPath}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Registers the state used by automatic interpreter selection
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerInterpreterSelection(context) {
+    workspaceState = context.workspaceState;
+}
+
+module.exports = {
+    isSamePath,
+    getSelectedInterpreter,
+    setSelectedInterpreter,
+    selectVenvInterpreter,
+    registerInterpreterSelection
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess } = require('./processManager');
+const { readPyproject } = require('./dependencyManager');
+const { withIndexArgs } = require('../utils/indexConfig');
+const { parseToml } = require('../utils/tomlParser');
+const { normalizePackageName } = require('../utils/pep508');
+const { getVenvPath, getVenvEnvironment } = require('../utils/venvPaths');
+
+const SYNC_OPTIONS_KEY = 'pyCage.syncOptions';
+
+// uv sync flags that choose what gets installed; the drift check reuses them
+const SELECTION_FLAGS = ['--no-dev', '--all-extras', '--all-groups'];
+
+// Workspace state used to remember the sync options of each folder, set by registerLockState
+let workspaceState = null;
+
+/**
+ * Registers the state that remembers the sync options of each workspace folder
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerLockState(context) {
+    workspaceState = context.workspaceState;
+}
+
+/**
+ * Gets the uv sync flags last used for a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string[]} Flags (e.g. ['--no-dev'])
+ */
+function getSyncOptions(workspaceFolder) {
+    const options = workspaceState ? workspaceState.get(SYNC_OPTIONS_KEY, {}) : {};
+    return options[workspaceFolder.uri.toString()] || [];
+}
+
+/**
+ * Remembers the uv sync flags used for a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string[]} flags - Flags passed to uv sync
+ * @returns {Promise<void>}
+ */
+async function rememberSyncOptions(workspaceFolder, flags) {
+    if (!workspaceState) return;
+    const options = workspaceState.get(SYNC_OPTIONS_KEY, {});
+    await workspaceState.update(SYNC_OPTIONS_KEY, { ...options, [workspaceFolder.uri.toString()]: flags });
+}
+
+/**
+ * Checks whether a workspace folder is a uv project (pyproject.toml with a [project] table)
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {boolean} True if uv lock / uv sync apply
+ */
+function isUvProject(workspaceFolder) {
+    try {
+        const pyproject = readPyproject(workspaceFolder);
+        return Boolean(pyproject && pyproject.project);
+    } catch (error) {
+        console.log(`pyproject.toml of ${workspaceFolder.name} could not be parsed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Lists the packages in uv.lock
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Set<string>|null} Normalized package names, or null without a readable uv.lock
+ */
+function getLockedPackageNames(workspaceFolder) {
+    const lockPath = path.join(workspaceFolder.uri.fsPath, 'uv.lock');
+    if (!fs.existsSync(lockPath)) return null;
+    try {
+        const lock = parseToml(fs.readFileSync(lockPath, 'utf8'));
+        return new Set((lock.package || []).filter(pkg => pkg && pkg.name).map(pkg => normalizePackageName(pkg.name)));
+    } catch (error) {
+        console.log(`uv.lock of ${workspaceFolder.name} could not be parsed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Extracts the changes listed by uv sync --dry-run
+ * @param {string} output - Combined stdout and stderr
+ * @returns {string[]} Changes such as "+ idna==3.10" or "Would replace existing virtual environment"
+ */
+function parseSyncDryRun(output) {
+    return output.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => /^[+\-~]\s+\S/.test(line) || /^Would (create|replace)\b/i.test(line));
+}
+
+/**
+ * Compares pyproject.toml, uv.lock and the virtual environment of a workspace folder
+ * The lock is checked with uv lock --locked; when uv cannot resolve (e.g. offline), modification times are
+ * compared instead. The environment is checked with uv sync --frozen --dry-run, using the folder's last sync options.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {vscode.CancellationToken} [token] - Cancels the check
+ * @returns {Promise<Object|null>} { state, detail, changes } where state is 'noProject', 'noLock', 'lockOutdated',
+ * 'envOutOfSync' or 'inSync'; null if cancelled
+ */
+async function getLockState(workspaceFolder, token) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const pyprojectPath = path.join(cwd, 'pyproject.toml');
+    const lockPath = path.join(cwd, 'uv.lock');
+
+    if (!isUvProject(workspaceFolder)) {
+        return { state: 'noProject', detail: 'No pyproject.toml with a [project] table', changes: [] };
+    }
+    if (!fs.existsSync(lockPath)) {
+        return { state: 'noLock', detail: 'uv.lock does not exist', changes: [] };
+    }
+
+    const uvExecutable = await getUvExecutable();
+    const env = getVenvEnvironment(cwd);
+
+    const lockCheck = await runProcess(uvExecutable, withIndexArgs('uv', ['lock', '--locked'], cwd), { cwd, env, token, silent: true });
+    if (lockCheck.cancelled) return null;
+    if (!lockCheck.success) {
+        if (/needs to be updated/i.test(lockCheck.stderr)) {
+            return { state: 'lockOutdated', detail: 'uv.lock does not match pyproject.toml', changes: [] };
+        }
+        console.log(`uv lock --locked failed, comparing modification times: ${lockCheck.stderr.trim()}`);
+        if (fs.statSync(pyprojectPath).mtimeMs > fs.statSync(lockPath).mtimeMs) {
+            return { state: 'lockOutdated', detail: 'pyproject.toml was modified after uv.lock', changes: [] };
+        }
+    }
+
+    // A missing environment is created by pyCage itself
+    if (!fs.existsSync(getVenvPath(workspaceFolder))) {
+        return { state: 'inSync', detail: 'uv.lock matches pyproject.toml', changes: [] };
+    }
+
+    // --inexact: packages installed on top of the lock are not drift
+    const selection = getSyncOptions(workspaceFolder).filter(flag => SELECTION_FLAGS.includes(flag));
+    const syncCheck = await runProcess(uvExecutable, ['sync', '--frozen', '--inexact', '--dry-run', ...selection], { cwd, env, token, silent: true });
+    if (syncCheck.cancelled) return null;
+    if (!syncCheck.success) {
+        console.log(`uv sync --dry-run failed, not checking the environment: ${syncCheck.stderr.trim()}`);
+        return { state: 'inSync', detail: 'uv.lock matches pyproject.toml', changes: [] };
+    }
+
+    const changes = parseSyncDryRun(`${syncCheck.stdout}\n${syncCheck.stderr}`);
+    if (changes.length > 0) {
+        return { state: 'envOutOfSync', detail: 'The virtual environment does not match uv.lock', changes };
+    }
+    return { state: 'inSync', detail: 'uv.lock and the virtual environment are up to date', changes: [] };
+}
+
+module.exports = {
+    SELECTION_FLAGS,
+    registerLockState,
+    getSyncOptions,
+    rememberSyncOptions,
+    isUvProject,
+    getLockedPackageNames,
+    parseSyncDryRun,
+    getLockState
+};
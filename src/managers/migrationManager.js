@@ -0,0 +1,1090 @@
+const fs = require('fs');
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess } = require('./processManager');
+const { getPinnedPythonVersion } = require('./pythonManager');
+const { deleteVenv } = require('./venvManager');
+const { withIndexArgs } = require('../utils/indexConfig');
+const { parseToml, formatTomlKey, formatTomlValue, removeTomlTables } = require('../utils/tomlParser');
+const { parseRequirement, normalizePackageName, formatRequirement } = require('../utils/pep508');
+const { parseVersion } = require('../utils/pep440');
+const { parseRequirementsFile } = require('../utils/requirementsFile');
+const { getVenvPath, getVenvDisplayName, getVenvEnvironment } = require('../utils/venvPaths');
+
+// Extras that only matter during development become dependency groups instead of public extras
+const DEVELOPMENT_EXTRAS = ['dev', 'develop', 'development', 'test', 'tests', 'testing', 'lint', 'docs', 'doc'];
+
+// Folder (inside the workspace folder) that keeps the pre-migration state of every migration
+const BACKUP_DIRECTORY = '.pycage-backup';
+
+// Files a migration writes or uv lock creates
+const BACKED_UP_FILES = ['pyproject.toml', 'uv.lock'];
+
+// Requirements files that hold the main dependencies rather than a group
+const MAIN_REQUIREMENTS = ['requirements.txt', 'requirements/base.txt', 'requirements/main.txt', 'requirements/prod.txt', 'requirements/production.txt'];
+
+/**
+ * Creates an empty migration model
+ * A model is what every reader produces and buildPyprojectText turns into pyproject.toml:
+ * project metadata, dependencies, optional dependencies (extras), dependency groups,
+ * [tool.uv.sources] entries, package indexes and notes about what could not be migrated.
+ * @param {string} sourceLabel - Where the model was read from
+ * @returns {Object} Model
+ */
+function createModel(sourceLabel) {
+    return {
+        sourceLabel,
+        project: {},
+        dependencies: [],
+        optionalDependencies: {},
+        groups: {},
+        sources: {},
+        indexes: [],
+        notes: [],
+        // Existing pyproject.toml tables to drop in favour of the generated ones
+        removeTables: []
+    };
+}
+
+/**
+ * Adds a requirement to a list unless the same package is already in it
+ * @param {string[]} list - Requirement strings
+ * @param {string} requirement - Requirement to add
+ */
+function addRequirement(list, requirement) {
+    const parsed = parseRequirement(requirement);
+    const name = parsed ? parsed.normalizedName : requirement;
+    if (!list.some(existing => {
+        const other = parseRequirement(existing);
+        return (other ? other.normalizedName : existing) === name;
+    })) {
+        list.push(requirement);
+    }
+}
+
+/**
+ * Adds a requirement to a dependency group
+ * @param {Object} model - Migration model
+ * @param {string} group - Group name
+ * @param {string} requirement - Requirement string
+ */
+function addGroupRequirement(model, group, requirement) {
+    const name = normalizePackageName(group);
+    if (!model.groups[name]) model.groups[name] = [];
+    addRequirement(model.groups[name], requirement);
+}
+
+/**
+ * Builds the upper bound of a Poetry caret (^) or tilde (~) constraint
+ * @param {string} version - Version after the operator
+ * @param {string} operator - '^' or '~'
+ * @returns {string|null} Specifier such as ">=1.2.3,<2" or null if the version is invalid
+ */
+function expandPoetryRange(version, operator) {
+    const parsed = parseVersion(version);
+    if (!parsed) return null;
+    const release = parsed.release;
+
+    let index;
+    if (operator === '^') {
+        // The first non-zero part may not change; ^0.0 and ^0 keep their last part
+        index = release.findIndex(part => part !== 0);
+        if (index === -1) index = release.length - 1;
+    } else {
+        index = release.length >= 2 ? 1 : 0;
+    }
+    const upper = [...release.slice(0, index), release[index] + 1].join('.');
+    return `>=${version},<${upper}`;
+}
+
+/**
+ * Converts a Poetry version constraint to a PEP 440 specifier
+ * @param {string} constraint - Constraint such as "^1.2", "~2.0", "1.*", ">=1,<2" or "*"
+ * @returns {string|null} Specifier (empty for any version) or null when it cannot be expressed
+ */
+function convertPoetryConstraint(constraint) {
+    const text = (constraint || '').trim();
+    if (!text || text === '*') return '';
+    if (text.includes('||')) return null;
+
+    const parts = text.split(/\s*,\s*|\s+(?=[<>=!~^])/).filter(Boolean);
+    const specifiers = [];
+    for (const part of parts) {
+        let match;
+        if ((match = part.match(/^([\^~])(?!=)\s*(.+)$/))) {
+            const range = expandPoetryRange(match[2].trim(), match[1]);
+            if (!range) return null;
+            specifiers.push(range);
+        } else if ((match = part.match(/^(~=|===|==|!=|<=|>=|<|>)\s*(.+)$/))) {
+            specifiers.push(`${match[1]}${match[2].trim()}`);
+        } else if (/^[0-9][0-9a-zA-Z.*+!-]*$/.test(part)) {
+            specifiers.push(part === '*' ? '' : `==${part}`);
+        } else {
+            return null;
+        }
+    }
+    return specifiers.filter(Boolean).join(',');
+}
+
+/**
+ * Converts a Python constraint to an environment marker
+ * @param {string} specifier - PEP 440 specifier of Python versions
+ * @returns {string} Marker such as 'python_version >= "3.8" and python_version < "4"'
+ */
+function pythonSpecifierToMarker(specifier) {
+    return specifier.split(',').filter(Boolean).map(clause => {
+        const match = clause.match(/^(~=|===|==|!=|<=|>=|<|>)(.+)$/);
+        return match ? `python_version ${match[1]} "${match[2]}"` : null;
+    }).filter(Boolean).join(' and ');
+}
+
+/**
+ * Gets the lower bound of a Python constraint, for requires-python
+ * uv recommends requires-python without an upper bound, so "^3.9" becomes ">=3.9".
+ * @param {string} specifier - PEP 440 specifier
+ * @returns {string} Lower bound (e.g. ">=3.9") or the specifier itself when it has none
+ */
+function toRequiresPython(specifier) {
+    const lower = specifier.split(',').find(clause => /^(>=|>|~=|==)/.test(clause));
+    if (!lower) return specifier;
+    return lower.startsWith('==') || lower.startsWith('~=') ? `>=${lower.slice(2).replace(/\.\*$/, '')}` : lower;
+}
+
+/**
+ * Combines markers with "and"
+ * @param {string[]} markers - Markers (empty ones are skipped)
+ * @returns {string|null} Combined marker
+ */
+function joinMarkers(markers) {
+    const present = markers.filter(Boolean);
+    if (present.length === 0) return null;
+    if (present.length === 1) return present[0];
+    return present.map(marker => /\sor\s/.test(marker) ? `(${marker})` : marker).join(' and ');
+}
+
+/**
+ * Converts one Poetry dependency to a requirement, recording its source in the model
+ * @param {Object} model - Migration model
+ * @param {string} name - Package name
+ * @param {string|Object|Array} spec - Version constraint or table
+ * @param {string} table - Table the dependency came from (for notes)
+ * @returns {Object} { requirement, optional }
+ */
+function convertPoetryDependency(model, name, spec, table) {
+    if (Array.isArray(spec)) {
+        model.notes.push(`${name} in ${table} has several constraints; only the first one was migrated`);
+        spec = spec[0];
+    }
+    const options = typeof spec === 'string' ? { version: spec } : (spec || {});
+
+    let specifier = '';
+    if (options.version !== undefined) {
+        specifier = convertPoetryConstraint(String(options.version));
+        if (specifier === null) {
+            model.notes.push(`${name} in ${table}: the constraint "${options.version}" cannot be written as a PEP 440 specifier and was dropped`);
+            specifier = '';
+        }
+    }
+
+    const markers = [options.markers];
+    if (options.python) {
+        const pythonSpecifier = convertPoetryConstraint(String(options.python));
+        if (pythonSpecifier) markers.push(pythonSpecifierToMarker(pythonSpecifier));
+    }
+    if (options.platform) {
+        markers.push(`sys_platform == "${options.platform}"`);
+    }
+
+    if (options.git) {
+        model.sources[name] = { git: options.git, branch: options.branch, tag: options.tag, rev: options.rev, subdirectory: options.subdirectory };
+        specifier = '';
+    } else if (options.path) {
+        model.sources[name] = { path: options.path, editable: options.develop || undefined };
+        specifier = '';
+    } else if (options.url) {
+        model.sources[name] = { url: options.url };
+        specifier = '';
+    } else if (options.source) {
+        model.sources[name] = { index: options.source };
+    }
+
+    return {
+        requirement: formatRequirement({ name, extras: options.extras || [], specifier, url: null, marker: joinMarkers(markers) }),
+        optional: Boolean(options.optional)
+    };
+}
+
+/**
+ * Splits a Poetry author ("Name <email>") into a [project] author table
+ * @param {string} author - Author string
+ * @returns {Object} { name, email }
+ */
+function parseAuthor(author) {
+    const match = String(author).match(/^\s*([^<]*?)\s*(?:<([^>]+)>)?\s*$/);
+    const result = {};
+    if (match && match[1]) result.name = match[1];
+    if (match && match[2]) result.email = match[2];
+    return result;
+}
+
+/**
+ * Reads the [tool.poetry] tables of pyproject.toml
+ * Also handles Poetry 2 projects whose metadata is already in [project].
+ * @param {Object} pyproject - Parsed pyproject.toml
+ * @returns {Object} Migration model
+ */
+function readPoetryProject(pyproject) {
+    const model = createModel('Poetry ([tool.poetry])');
+    const poetry = pyproject.tool.poetry;
+    const existing = pyproject.project || {};
+
+    model.project = { ...existing };
+    delete model.project.dependencies;
+    delete model.project['optional-dependencies'];
+    ['name', 'version', 'description', 'license', 'keywords', 'classifiers'].forEach(key => {
+        if (poetry[key] !== undefined && model.project[key] === undefined) model.project[key] = poetry[key];
+    });
+    if (poetry.readme && !model.project.readme) {
+        model.project.readme = Array.isArray(poetry.readme) ? poetry.readme[0] : poetry.readme;
+    }
+    if (Array.isArray(poetry.authors) && !model.project.authors) {
+        model.project.authors = poetry.authors.map(parseAuthor);
+    }
+    const urls = { ...(poetry.urls || {}) };
+    ['homepage', 'repository', 'documentation'].forEach(key => {
+        if (poetry[key]) urls[key.charAt(0).toUpperCase() + key.slice(1)] = poetry[key];
+    });
+    if (Object.keys(urls).length > 0) {
+        model.project.urls = { ...urls, ...(existing.urls || {}) };
+    }
+    if (poetry.scripts) {
+        const scripts = {};
+        Object.entries(poetry.scripts).forEach(([name, target]) => {
+            if (typeof target === 'string') {
+                scripts[name] = target;
+            } else {
+                model.notes.push(`The script ${name} is not a plain entry point and was not migrated`);
+            }
+        });
+        model.project.scripts = { ...scripts, ...(existing.scripts || {}) };
+    }
+
+    // Optional dependencies only land in the extras that list them
+    const optionalRequirements = new Map();
+    Object.entries(poetry.dependencies || {}).forEach(([name, spec]) => {
+        if (name.toLowerCase() === 'python') {
+            const pythonSpecifier = convertPoetryConstraint(String(typeof spec === 'object' ? spec.version : spec));
+            if (pythonSpecifier && !model.project['requires-python']) {
+                model.project['requires-python'] = toRequiresPython(pythonSpecifier);
+            }
+            return;
+        }
+        const converted = convertPoetryDependency(model, name, spec, '[tool.poetry.dependencies]');
+        if (converted.optional) {
+            optionalRequirements.set(normalizePackageName(name), converted.requirement);
+        } else {
+            addRequirement(model.dependencies, converted.requirement);
+        }
+    });
+
+    Object.entries(poetry.extras || {}).forEach(([extra, names]) => {
+        model.optionalDependencies[extra] = model.optionalDependencies[extra] || [];
+        names.forEach(name => {
+            const requirement = optionalRequirements.get(normalizePackageName(name));
+            if (requirement) {
+                addRequirement(model.optionalDependencies[extra], requirement);
+            }
+        });
+    });
+    const inExtras = new Set(Object.values(poetry.extras || {}).flat().map(normalizePackageName));
+    optionalRequirements.forEach((requirement, name) => {
+        if (!inExtras.has(name)) {
+            model.notes.push(`${requirement} is optional but not part of any extra; it was not migrated`);
+        }
+    });
+
+    Object.entries(poetry['dev-dependencies'] || {}).forEach(([name, spec]) => {
+        addGroupRequirement(model, 'dev', convertPoetryDependency(model, name, spec, '[tool.poetry.dev-dependencies]').requirement);
+    });
+    Object.entries(poetry.group || {}).forEach(([group, table]) => {
+        if (table.optional) {
+            model.notes.push(`The group ${group} was optional in Poetry; uv installs every group listed in default-groups (only dev by default)`);
+        }
+        Object.entries(table.dependencies || {}).forEach(([name, spec]) => {
+            addGroupRequirement(model, group, convertPoetryDependency(model, name, spec, `[tool.poetry.group.${group}.dependencies]`).requirement);
+        });
+    });
+
+    (poetry.source || []).forEach(source => {
+        if (source.url) model.indexes.push({ name: source.name, url: source.url });
+    });
+    if (poetry.packages) {
+        model.notes.push('[tool.poetry] packages/include settings were not migrated; configure the build backend if the project is a package');
+    }
+
+    const backend = (pyproject['build-system'] && pyproject['build-system']['build-backend']) || '';
+    model.removeTables.push(name => name === 'tool.poetry' || name.startsWith('tool.poetry.'));
+    if (/poetry/.test(backend)) {
+        model.removeTables.push(name => name === 'build-system');
+        model.notes.push('The Poetry build backend was removed; the project is now managed by uv without being built. Add a [build-system] (e.g. hatchling) if it is a package');
+    }
+    return model;
+}
+
+/**
+ * Converts a Pipfile package entry to a requirement
+ * @param {Object} model - Migration model
+ * @param {string} name - Package name
+ * @param {string|Object} spec - "*", a specifier or a table
+ * @param {string|null} lockedVersion - Version from Pipfile.lock (used as lower bound for "*")
+ * @returns {string} Requirement string
+ */
+function convertPipfileEntry(model, name, spec, lockedVersion) {
+    const options = typeof spec === 'string' ? { version: spec } : (spec || {});
+    let specifier = options.version && options.version !== '*' ? options.version.replace(/\s+/g, '') : '';
+    if (!specifier && lockedVersion) {
+        specifier = `>=${lockedVersion}`;
+    }
+
+    // Marker keys such as sys_platform = "== 'win32'" next to the markers string
+    const markerKeys = ['sys_platform', 'platform_system', 'platform_machine', 'os_name', 'python_version', 'python_full_version', 'implementation_name'];
+    const markers = [options.markers, ...markerKeys.filter(key => options[key]).map(key => `${key} ${options[key]}`)];
+
+    if (options.git) {
+        model.sources[name] = { git: options.git, rev: options.ref, subdirectory: options.subdirectory };
+        specifier = '';
+    } else if (options.path || options.file) {
+        model.sources[name] = options.path ? { path: options.path, editable: options.editable || undefined } : { url: options.file };
+        specifier = '';
+    } else if (options.index) {
+        model.sources[name] = { index: options.index };
+    }
+
+    return formatRequirement({ name, extras: options.extras || [], specifier, url: null, marker: joinMarkers(markers) });
+}
+
+/**
+ * Reads Pipfile (and Pipfile.lock for versions of "*" entries, or alone when there is no Pipfile)
+ * @param {string} folderPath - Workspace folder path
+ * @returns {Object} Migration model
+ */
+function readPipenvProject(folderPath) {
+    const pipfilePath = path.join(folderPath, 'Pipfile');
+    const lockPath = path.join(folderPath, 'Pipfile.lock');
+    const hasPipfile = fs.existsSync(pipfilePath);
+    const lock = fs.existsSync(lockPath) ? JSON.parse(fs.readFileSync(lockPath, 'utf8')) : null;
+    const model = createModel(hasPipfile ? (lock ? 'Pipfile and Pipfile.lock' : 'Pipfile') : 'Pipfile.lock');
+
+    const lockedVersion = (section, name) => {
+        const entry = lock && lock[section] && lock[section][normalizePackageName(name)];
+        return entry && entry.version ? entry.version.replace(/^==/, '') : null;
+    };
+
+    if (hasPipfile) {
+        const pipfile = parseToml(fs.readFileSync(pipfilePath, 'utf8'));
+        Object.entries(pipfile.packages || {}).forEach(([name, spec]) => {
+            addRequirement(model.dependencies, convertPipfileEntry(model, name, spec, lockedVersion('default', name)));
+        });
+        Object.entries(pipfile['dev-packages'] || {}).forEach(([name, spec]) => {
+            addGroupRequirement(model, 'dev', convertPipfileEntry(model, name, spec, lockedVersion('develop', name)));
+        });
+        const requires = pipfile.requires || {};
+        const python = requires.python_version || requires.python_full_version;
+        if (python) {
+            model.project['requires-python'] = `>=${python}`;
+        }
+        (pipfile.source || []).forEach(source => {
+            // pypi.org is uv's default index
+            if (source.url && !/pypi\.org\/simple/.test(source.url)) {
+                model.indexes.push({ name: source.name, url: source.url });
+            }
+        });
+        Object.keys(pipfile).filter(key => !['packages', 'dev-packages', 'requires', 'source', 'pipenv', 'scripts'].includes(key)).forEach(key => {
+            if (pipfile[key] && typeof pipfile[key] === 'object' && !Array.isArray(pipfile[key])) {
+                model.notes.push(`The Pipfile category [${key}] was migrated as the dependency group ${normalizePackageName(key)}`);
+                Object.entries(pipfile[key]).forEach(([name, spec]) => {
+                    addGroupRequirement(model, key, convertPipfileEntry(model, name, spec, null));
+                });
+            }
+        });
+        if (pipfile.scripts) {
+            model.notes.push('Pipfile [scripts] are shell commands and were not migrated; run them with uv run');
+        }
+    } else {
+        // Only the lock: pin what it resolved
+        Object.entries(lock.default || {}).forEach(([name, entry]) => {
+            addRequirement(model.dependencies, convertPipfileEntry(model, name, { ...entry, version: entry.version || '*' }, null));
+        });
+        Object.entries(lock.develop || {}).forEach(([name, entry]) => {
+            addGroupRequirement(model, 'dev', convertPipfileEntry(model, name, { ...entry, version: entry.version || '*' }, null));
+        });
+        model.notes.push('Without a Pipfile, every package of Pipfile.lock (including indirect dependencies) was migrated with its locked version');
+    }
+
+    model.notes.push('Pipfile and Pipfile.lock were left in place; delete them once the migration is verified');
+    return model;
+}
+
+/**
+ * Converts a URL or path reference of a requirements file to a [tool.uv.sources] entry
+ * @param {Object} entry - 'reference' entry from parseRequirementsFile
+ * @returns {Object} { git, rev }, { url } or { path, editable }
+ */
+function referenceToSource(entry) {
+    const target = entry.target.replace(/#.*$/, '');
+    const git = target.match(/^git\+(.+?)(?:@([^@/]+))?$/);
+    if (git) return { git: git[1], rev: git[2] };
+    if (/^file:\/\//i.test(target)) return { path: target.replace(/^file:\/\//i, ''), editable: entry.editable || undefined };
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) return { url: target };
+    return { path: target, editable: entry.editable || undefined };
+}
+
+/**
+ * Parses the INI format of setup.cfg
+ * @param {string} text - setup.cfg contents
+ * @returns {Object} Sections by name, each mapping keys to (possibly multi-line) values
+ */
+function parseSetupCfg(text) {
+    const sections = {};
+    let section = null;
+    let key = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (/^\s*[#;]/.test(line)) return;
+        const header = line.match(/^\[([^\]]+)\]\s*$/);
+        if (header) {
+            section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+            key = null;
+            return;
+        }
+        if (!section) return;
+
+        const pair = line.match(/^([^\s=:][^=:]*?)\s*[=:]\s*(.*)$/);
+        if (pair) {
+            key = pair[1].trim();
+            section[key] = pair[2].trim();
+        } else if (key && /^\s+\S/.test(line)) {
+            section[key] += `\n${line.trim()}`;
+        }
+    });
+    return sections;
+}
+
+/**
+ * Splits a multi-line setup.cfg value into its non-empty lines
+ * @param {string} value - Value
+ * @returns {string[]} Lines
+ */
+function splitCfgList(value) {
+    return (value || '').split(/\n/).map(line => line.replace(/\s+#.*$/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Gets the string items of a Python list literal
+ * @param {string} source - Text between the brackets
+ * @returns {string[]} Items
+ */
+function readPythonStrings(source) {
+    const items = [];
+    const pattern = /(['"])((?:\\.|(?!\1).)*)\1/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        items.push(match[2]);
+    }
+    return items;
+}
+
+/**
+ * Reads setup() keyword arguments from setup.py without running it
+ * Only literal values are found: strings, lists of strings (directly or through a variable) and
+ * extras_require dictionaries of such lists.
+ * @param {string} text - setup.py source
+ * @returns {Object} { name, version, description, python_requires, install_requires, extras_require }
+ */
+function readSetupPy(text) {
+    const result = {};
+    ['name', 'version', 'description', 'python_requires', 'license', 'url'].forEach(key => {
+        const match = text.match(new RegExp(`\\b${key}\\s*=\\s*(['"])(.*?)\\1`));
+        if (match) result[key] = match[2];
+    });
+
+    const readList = key => {
+        const literal = text.match(new RegExp(`\\b${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`));
+        if (literal) return readPythonStrings(literal[1]);
+        const variable = text.match(new RegExp(`\\b${key}\\s*=\\s*([A-Za-z_][A-Za-z0-9_]*)\\s*[,)]`));
+        if (variable) {
+            const assignment = text.match(new RegExp(`^\\s*${variable[1]}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+            if (assignment) return readPythonStrings(assignment[1]);
+        }
+        return null;
+    };
+    result.install_requires = readList('install_requires');
+
+    const extras = text.match(/\bextras_require\s*=\s*\{([\s\S]*?)\}\s*[,)]/);
+    if (extras) {
+        result.extras_require = {};
+        const pattern = /(['"])([^'"]+)\1\s*:\s*\[([\s\S]*?)\]/g;
+        let match;
+        while ((match = pattern.exec(extras[1])) !== null) {
+            result.extras_require[match[2]] = readPythonStrings(match[3]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Adds extras to the model; development extras become dependency groups
+ * @param {Object} model - Migration model
+ * @param {Object} extras - Extra name -> requirement strings
+ */
+function addExtras(model, extras) {
+    Object.entries(extras).forEach(([extra, requirements]) => {
+        const target = DEVELOPMENT_EXTRAS.includes(extra.toLowerCase()) ? null : (model.optionalDependencies[extra] = model.optionalDependencies[extra] || []);
+        if (!target) {
+            model.notes.push(`The extra "${extra}" became the dependency group ${normalizePackageName(extra)}`);
+        }
+        requirements.forEach(requirement => {
+            if (!parseRequirement(requirement)) {
+                model.notes.push(`"${requirement}" in the extra ${extra} is not a valid requirement and was skipped`);
+            } else if (target) {
+                addRequirement(target, requirement);
+            } else {
+                addGroupRequirement(model, extra, requirement);
+            }
+        });
+    });
+}
+
+/**
+ * Reads install_requires and extras from setup.cfg and setup.py (setup.cfg wins where both have a value)
+ * @param {string} folderPath - Workspace folder path
+ * @returns {Object} Migration model
+ */
+function readSetuptoolsProject(folderPath) {
+    const cfgPath = path.join(folderPath, 'setup.cfg');
+    const pyPath = path.join(folderPath, 'setup.py');
+    const cfg = fs.existsSync(cfgPath) ? parseSetupCfg(fs.readFileSync(cfgPath, 'utf8')) : {};
+    const py = fs.existsSync(pyPath) ? readSetupPy(fs.readFileSync(pyPath, 'utf8')) : {};
+    const model = createModel([fs.existsSync(cfgPath) && 'setup.cfg', fs.existsSync(pyPath) && 'setup.py'].filter(Boolean).join(' and '));
+
+    const metadata = cfg.metadata || {};
+    const options = cfg.options || {};
+    const pick = (cfgValue, pyValue) => (cfgValue && !cfgValue.startsWith('attr:') && !cfgValue.startsWith('file:')) ? cfgValue : pyValue;
+
+    const name = pick(metadata.name, py.name);
+    const version = pick(metadata.version, py.version);
+    if (name) model.project.name = name;
+    if (version) model.project.version = version;
+    const description = pick(metadata.description, py.description);
+    if (description) model.project.description = description;
+    const requiresPython = pick(options.python_requires, py.python_requires);
+    if (requiresPython) model.project['requires-python'] = requiresPython.replace(/\s+/g, '');
+    if ((metadata.long_description || '').startsWith('file:')) {
+        model.project.readme = metadata.long_description.slice(5).split(',')[0].trim();
+    }
+    if ((metadata.version || '').startsWith('attr:') || (!version && fs.existsSync(pyPath))) {
+        model.notes.push('The version is computed at build time; set [project] version (or dynamic = ["version"] with a build backend) by hand');
+    }
+
+    const installRequires = options.install_requires !== undefined ? splitCfgList(options.install_requires) : (py.install_requires || []);
+    if (options.install_requires === undefined && py.install_requires === null && fs.existsSync(pyPath)) {
+        model.notes.push('install_requires in setup.py is not a literal list and could not be read');
+    }
+    installRequires.forEach(requirement => {
+        if (requirement.startsWith('file:')) {
+            model.notes.push(`install_requires = ${requirement} was not migrated; add the listed packages with uv add -r`);
+        } else if (parseRequirement(requirement)) {
+            addRequirement(model.dependencies, requirement);
+        } else {
+            model.notes.push(`"${requirement}" in install_requires is not a valid requirement and was skipped`);
+        }
+    });
+
+    const cfgExtras = {};
+    Object.entries(cfg['options.extras_require'] || {}).forEach(([extra, value]) => {
+        cfgExtras[extra] = splitCfgList(value);
+    });
+    addExtras(model, Object.keys(cfgExtras).length > 0 ? cfgExtras : (py.extras_require || {}));
+
+    const consoleScripts = (cfg['options.entry_points'] || {}).console_scripts;
+    if (consoleScripts) {
+        model.project.scripts = {};
+        splitCfgList(consoleScripts).forEach(line => {
+            const match = line.match(/^([^=]+?)\s*=\s*(.+)$/);
+            if (match) model.project.scripts[match[1]] = match[2];
+        });
+    }
+
+    if (fs.existsSync(pyPath)) {
+        model.notes.push('setup.py was read without running it; values computed at run time were not migrated');
+    }
+    model.notes.push('setup.py / setup.cfg were left in place; remove what the new pyproject.toml replaces once the migration is verified');
+    return model;
+}
+
+/**
+ * Reads the dependencies of a conda environment.yml, including its pip section
+ * @param {string} text - environment.yml contents
+ * @returns {Object} { name, conda, pip } where conda and pip are the listed strings
+ */
+function parseEnvironmentYml(text) {
+    const result = { name: null, conda: [], pip: [] };
+    let inDependencies = false;
+    let pipIndent = null;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/\s+#.*$/, '');
+        if (!line.trim() || /^\s*#/.test(line)) return;
+
+        const topLevel = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (topLevel) {
+            inDependencies = topLevel[1] === 'dependencies';
+            pipIndent = null;
+            if (topLevel[1] === 'name') result.name = topLevel[2].replace(/^['"]|['"]$/g, '').trim();
+            return;
+        }
+        if (!inDependencies) return;
+
+        const item = line.match(/^(\s*)-\s*(.+)$/);
+        if (!item) return;
+        const indent = item[1].length;
+        const value = item[2].trim().replace(/^['"]|['"]$/g, '');
+
+        if (pipIndent !== null && indent > pipIndent) {
+            result.pip.push(value);
+            return;
+        }
+        pipIndent = null;
+        if (/^pip\s*:$/.test(value)) {
+            pipIndent = indent;
+        } else {
+            result.conda.push(value);
+        }
+    });
+    return result;
+}
+
+/**
+ * Reads the pip section (and the Python version) of environment.yml
+ * Conda packages are not migrated: their names and builds do not always match PyPI.
+ * @param {string} filePath - environment.yml path
+ * @returns {Object} Migration model
+ */
+function readCondaEnvironment(filePath) {
+    const environment = parseEnvironmentYml(fs.readFileSync(filePath, 'utf8'));
+    const model = createModel(`${path.basename(filePath)} (pip section)`);
+    if (environment.name) model.project.name = environment.name;
+
+    const condaPackages = [];
+    environment.conda.forEach(spec => {
+        const python = spec.match(/^python\s*[=<>]=?\s*([0-9][0-9.]*)/);
+        if (python) {
+            model.project['requires-python'] = `>=${python[1].split('.').slice(0, 2).join('.')}`;
+        } else if (!/^pip([=<>\s]|$)/.test(spec)) {
+            condaPackages.push(spec);
+        }
+    });
+    if (condaPackages.length > 0) {
+        model.notes.push(`Conda packages were not migrated: ${condaPackages.join(', ')}. Add the ones available on PyPI with uv add`);
+    }
+
+    parseRequirementsFile(environment.pip.join('\n')).forEach(entry => {
+        if (entry.kind === 'requirement') {
+            addRequirement(model.dependencies, entry.requirement.raw);
+        } else if (entry.kind === 'include') {
+            model.notes.push(`The pip section includes ${entry.path}; add it with uv add -r ${entry.path}`);
+        } else if (entry.kind === 'reference' && entry.name) {
+            model.sources[entry.name] = referenceToSource(entry);
+            addRequirement(model.dependencies, entry.name);
+        } else if (entry.kind === 'reference') {
+            model.notes.push(`${entry.editable ? '-e ' : ''}${entry.target} has no package name and was not migrated`);
+        }
+    });
+    return model;
+}
+
+/**
+ * Finds the requirements files at the root of a folder and in its requirements/ directory
+ * @param {string} folderPath - Workspace folder path
+ * @returns {string[]} Paths relative to the folder, using "/"
+ */
+function findRootRequirementsFiles(folderPath) {
+    const files = [];
+    const list = (relativeDir, pattern) => {
+        const directory = path.join(folderPath, relativeDir);
+        if (!fs.existsSync(directory)) return;
+        fs.readdirSync(directory)
+            .filter(name => pattern.test(name) && fs.statSync(path.join(directory, name)).isFile())
+            .sort()
+            .forEach(name => files.push(relativeDir ? `${relativeDir}/${name}` : name));
+    };
+    list('', /^(requirements.*|.*-requirements)\.(txt|in)$/i);
+    list('requirements', /\.(txt|in)$/i);
+    return files;
+}
+
+/**
+ * Gets the dependency group of a requirements file (null for the main dependencies)
+ * @param {string} relativePath - Path relative to the folder
+ * @returns {string|null} Group name such as "dev" or "test"
+ */
+function getRequirementsGroup(relativePath) {
+    const normalized = relativePath.toLowerCase().replace(/\.in$/, '.txt');
+    if (MAIN_REQUIREMENTS.includes(normalized)) return null;
+    const base = path.posix.basename(normalized, '.txt')
+        .replace(/^requirements[-_.]?/, '')
+        .replace(/[-_.]?requirements$/, '');
+    return base ? normalizePackageName(base) : null;
+}
+
+/**
+ * Reads requirements*.txt files: requirements.txt holds the main dependencies, requirements-<group>.txt
+ * and requirements/<group>.txt become dependency groups
+ * @param {string} folderPath - Workspace folder path
+ * @returns {Object} Migration model
+ */
+function readRequirementsFiles(folderPath) {
+    const files = findRootRequirementsFiles(folderPath);
+    // A compiled requirements.txt next to its requirements.in: the .in file has the intent
+    const sources = files.filter(file => !(file.endsWith('.txt') && files.includes(file.replace(/\.txt$/, '.in'))));
+    const model = createModel(sources.join(', '));
+
+    sources.forEach(file => {
+        const group = getRequirementsGroup(file);
+        const target = group ? (model.groups[group] = model.groups[group] || []) : model.dependencies;
+        parseRequirementsFile(fs.readFileSync(path.join(folderPath, file), 'utf8')).forEach(entry => {
+            if (entry.kind === 'requirement') {
+                addRequirement(target, entry.requirement.raw);
+            } else if (entry.kind === 'reference' && entry.name) {
+                model.sources[entry.name] = referenceToSource(entry);
+                addRequirement(target, entry.name);
+            } else if (entry.kind === 'reference' && !['.', './'].includes(entry.target)) {
+                model.notes.push(`${file}: ${entry.target} has no package name and was not migrated`);
+            } else if (entry.kind === 'include' && entry.option === 'constraint') {
+                model.notes.push(`${file}: the constraints file ${entry.path} was not migrated; consider [tool.uv] constraint-dependencies`);
+            } else if (entry.kind === 'option' && /^(-i|--index-url|--extra-index-url)$/.test(entry.name) && entry.value) {
+                if (!model.indexes.some(index => index.url === entry.value)) {
+                    model.indexes.push({ name: `index-${model.indexes.length + 1}`, url: entry.value });
+                }
+            }
+        });
+    });
+    model.notes.push('The requirements files were left in place; uv.lock replaces them once the migration is verified');
+    return model;
+}
+
+/**
+ * Reads the installed packages with uv pip freeze (the fallback when nothing declares dependencies)
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<Object>} Migration model
+ * @throws {Error} When uv pip freeze fails
+ */
+async function readInstalledPackages(workspaceFolder) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const result = await runProcess(await getUvExecutable(), ['pip', 'freeze', '--exclude-editable'], { cwd, env: getVenvEnvironment(cwd), silent: true });
+    if (!result.success) {
+        throw new Error(`uv pip freeze failed: ${result.stderr.trim()}`);
+    }
+
+    const model = createModel('installed packages (uv pip freeze)');
+    parseRequirementsFile(result.stdout).forEach(entry => {
+        if (entry.kind === 'requirement') addRequirement(model.dependencies, entry.requirement.raw);
+    });
+    model.notes.push('Every installed package was migrated, including indirect dependencies; remove the ones the project does not import');
+    return model;
+}
+
+/**
+ * Reads pyproject.toml if it exists
+ * @param {string} folderPath - Workspace folder path
+ * @returns {Object|null} { text, document } or null
+ * @throws {TomlParseError} When pyproject.toml is not valid TOML
+ */
+function readExistingPyproject(folderPath) {
+    const pyprojectPath = path.join(folderPath, 'pyproject.toml');
+    if (!fs.existsSync(pyprojectPath)) return null;
+    const text = fs.readFileSync(pyprojectPath, 'utf8');
+    return { text, document: parseToml(text) };
+}
+
+/**
+ * Lists the project formats a workspace folder can be migrated from, best first
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Object[]} Sources ({ id, label, detail })
+ */
+function detectMigrationSources(workspaceFolder) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const exists = name => fs.existsSync(path.join(folderPath, name));
+    const sources = [];
+
+    let pyproject = null;
+    try {
+        pyproject = readExistingPyproject(folderPath);
+    } catch (error) {
+        console.log(`pyproject.toml of ${workspaceFolder.name} could not be parsed: ${error.message}`);
+    }
+    if (pyproject && pyproject.document.tool && pyproject.document.tool.poetry) {
+        sources.push({ id: 'poetry', label: 'Poetry', detail: '[tool.poetry] in pyproject.toml' });
+    }
+    if (exists('Pipfile') || exists('Pipfile.lock')) {
+        sources.push({ id: 'pipenv', label: 'Pipenv', detail: [exists('Pipfile') && 'Pipfile', exists('Pipfile.lock') && 'Pipfile.lock'].filter(Boolean).join(' and ') });
+    }
+    if (exists('setup.cfg') || exists('setup.py')) {
+        sources.push({ id: 'setuptools', label: 'setuptools', detail: [exists('setup.cfg') && 'setup.cfg', exists('setup.py') && 'setup.py'].filter(Boolean).join(' and ') });
+    }
+    ['environment.yml', 'environment.yaml'].filter(exists).slice(0, 1).forEach(file => {
+        sources.push({ id: 'conda', label: 'conda', detail: `pip section of ${file}`, file });
+    });
+    const requirementsFiles = findRootRequirementsFiles(folderPath);
+    if (requirementsFiles.length > 0) {
+        sources.push({ id: 'requirements', label: 'Requirements files', detail: requirementsFiles.join(', ') });
+    }
+    if (fs.existsSync(getVenvPath(workspaceFolder))) {
+        sources.push({ id: 'freeze', label: 'Installed packages', detail: 'uv pip freeze of the virtual environment' });
+    }
+    return sources;
+}
+
+/**
+ * Reads a migration source into a model
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} source - Source from detectMigrationSources
+ * @returns {Promise<Object>} Migration model
+ */
+async function readMigrationSource(workspaceFolder, source) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    switch (source.id) {
+        case 'poetry':
+            return readPoetryProject(readExistingPyproject(folderPath).document);
+        case 'pipenv':
+            return readPipenvProject(folderPath);
+        case 'setuptools':
+            return readSetuptoolsProject(folderPath);
+        case 'conda':
+            return readCondaEnvironment(path.join(folderPath, source.file));
+        case 'requirements':
+            return readRequirementsFiles(folderPath);
+        default:
+            return await readInstalledPackages(workspaceFolder);
+    }
+}
+
+/**
+ * Writes a table of key/value pairs
+ * @param {string} header - Table header (e.g. "project.scripts")
+ * @param {Object} table - Values
+ * @returns {string[]} Lines
+ */
+function formatTable(header, table) {
+    return [
+        `[${header}]`,
+        ...Object.keys(table).map(key => `${formatTomlKey(key)} = ${formatTomlValue(table[key])}`)
+    ];
+}
+
+/**
+ * Builds the migrated pyproject.toml
+ * Tables of an existing pyproject.toml that the migration does not produce ([tool.*] settings, a setuptools
+ * [build-system], ...) are kept as written after the generated ones. Its dependencies, extras, dependency
+ * groups and [tool.uv.sources] are merged with the migrated ones.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} model - Migration model
+ * @returns {string} pyproject.toml contents
+ */
+function buildPyprojectText(workspaceFolder, model) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const existing = readExistingPyproject(folderPath);
+    const existingDocument = existing ? existing.document : {};
+
+    // Keys of an existing [project] survive unless the source sets them; its dependencies and extras are
+    // kept, with the migrated requirements of packages they do not list added after them
+    const project = { ...(existingDocument.project || {}), ...model.project };
+    const dependencies = [...(project.dependencies || [])];
+    model.dependencies.forEach(requirement => addRequirement(dependencies, requirement));
+    const optionalDependencies = {};
+    Object.entries(project['optional-dependencies'] || {}).forEach(([extra, requirements]) => {
+        optionalDependencies[extra] = [...requirements];
+    });
+    Object.entries(model.optionalDependencies).forEach(([extra, requirements]) => {
+        if (!optionalDependencies[extra]) optionalDependencies[extra] = [];
+        requirements.forEach(requirement => addRequirement(optionalDependencies[extra], requirement));
+    });
+    delete project.dependencies;
+    delete project['optional-dependencies'];
+    if (!project.name) {
+        project.name = normalizePackageName(path.basename(folderPath)).replace(/[^a-z0-9-]/g, '-').replace(/^-+|-+$/g, '') || 'project';
+    }
+    if (!project.version && !(project.dynamic || []).includes('version')) {
+        project.version = '0.1.0';
+    }
+    if (!project['requires-python']) {
+        const pinned = getPinnedPythonVersion(workspaceFolder);
+        const pinnedVersion = pinned && pinned.match(/(\d+\.\d+)/);
+        if (pinnedVersion) project['requires-python'] = `>=${pinnedVersion[1]}`;
+    }
+
+    // Sub-tables are written as their own [project.x] tables after the plain keys
+    const subTables = ['urls', 'scripts', 'gui-scripts', 'entry-points'];
+    const order = ['name', 'version', 'description', 'readme', 'requires-python', 'license', 'authors', 'maintainers', 'keywords', 'classifiers'];
+    const keys = [
+        ...order.filter(key => project[key] !== undefined),
+        ...Object.keys(project).filter(key => !order.includes(key) && !subTables.includes(key))
+    ];
+
+    const lines = ['[project]'];
+    keys.forEach(key => lines.push(`${formatTomlKey(key)} = ${formatTomlValue(project[key])}`));
+    lines.push(`dependencies = ${formatTomlValue(dependencies)}`);
+
+    const optional = Object.keys(optionalDependencies).filter(extra => optionalDependencies[extra].length > 0);
+    if (optional.length > 0) {
+        lines.push('', '[project.optional-dependencies]');
+        optional.forEach(extra => lines.push(`${formatTomlKey(extra)} = ${formatTomlValue(optionalDependencies[extra])}`));
+    }
+    subTables.filter(key => project[key] && Object.keys(project[key]).length > 0).forEach(key => {
+        if (key === 'entry-points') {
+            Object.entries(project[key]).forEach(([group, entries]) => lines.push('', ...formatTable(`project.entry-points.${formatTomlKey(group)}`, entries)));
+        } else {
+            lines.push('', ...formatTable(`project.${key}`, project[key]));
+        }
+    });
+
+    // Existing groups keep their entries ({include-group = ...} tables included); migrated requirements of
+    // packages a group does not list yet are added after them
+    const groups = {};
+    Object.entries(existingDocument['dependency-groups'] || {}).forEach(([group, requirements]) => {
+        groups[group] = Array.isArray(requirements) ? [...requirements] : [];
+    });
+    Object.entries(model.groups).forEach(([group, requirements]) => {
+        if (!groups[group]) groups[group] = [];
+        requirements.forEach(requirement => addRequirement(groups[group], requirement));
+    });
+    const groupNames = Object.keys(groups).filter(group => groups[group].length > 0);
+    if (groupNames.length > 0) {
+        lines.push('', '[dependency-groups]');
+        groupNames.forEach(group => lines.push(`${formatTomlKey(group)} = ${formatTomlValue(groups[group])}`));
+    }
+
+    const existingSources = (existingDocument.tool && existingDocument.tool.uv && existingDocument.tool.uv.sources) || {};
+    const sources = { ...existingSources, ...model.sources };
+    if (Object.keys(sources).length > 0) {
+        lines.push('', ...formatTable('tool.uv.sources', sources));
+    }
+    model.indexes.forEach(index => {
+        lines.push('', '[[tool.uv.index]]', `name = ${formatTomlValue(index.name || 'index')}`, `url = ${formatTomlValue(index.url)}`);
+    });
+
+    let kept = '';
+    if (existing) {
+        const generated = ['project', 'dependency-groups', 'tool.uv.sources', ...(model.indexes.length > 0 ? ['tool.uv.index'] : [])];
+        kept = removeTomlTables(existing.text, name =>
+            generated.some(table => name === table || name.startsWith(`${table}.`)) ||
+            model.removeTables.some(shouldRemove => shouldRemove(name))
+        ).trim();
+    }
+
+    return `${lines.join('\n')}\n${kept ? `\n${kept}\n` : ''}`;
+}
+
+/**
+ * Saves the pre-migration state of a workspace folder to .pycage-backup/migration-<time>
+ * The backup holds pyproject.toml and uv.lock as they were, and the packages installed in the virtual
+ * environment (uv pip freeze) if there was one, so a failed migration can be undone.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<Object>} Backup ({ path, files, venvPath, hadVenv, packagesPath }); files maps each backed up file name to whether it existed
+ * @throws {Error} When the backup cannot be written
+ */
+async function backupMigrationState(workspaceFolder) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const backupRoot = path.join(folderPath, BACKUP_DIRECTORY);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const backupPath = path.join(backupRoot, `migration-${stamp}`);
+    fs.mkdirSync(backupPath, { recursive: true });
+
+    // Backups are local state, like .venv; keep them out of version control
+    const gitignorePath = path.join(backupRoot, '.gitignore');
+    if (!fs.existsSync(gitignorePath)) {
+        fs.writeFileSync(gitignorePath, '*\n');
+    }
+
+    const files = {};
+    BACKED_UP_FILES.forEach(fileName => {
+        const filePath = path.join(folderPath, fileName);
+        files[fileName] = fs.existsSync(filePath);
+        if (files[fileName]) {
+            fs.copyFileSync(filePath, path.join(backupPath, fileName));
+        }
+    });
+
+    const venvPath = getVenvPath(workspaceFolder);
+    const hadVenv = fs.existsSync(venvPath);
+    let packagesPath = null;
+    if (hadVenv) {
+        const result = await runProcess(await getUvExecutable(), ['pip', 'freeze'], { cwd: folderPath, env: getVenvEnvironment(folderPath), silent: true });
+        if (result.success) {
+            packagesPath = path.join(backupPath, 'installed-packages.txt');
+            fs.writeFileSync(packagesPath, result.stdout);
+        } else {
+            // Not fatal: the files are backed up, only the environment could not be restored exactly
+            console.log(`Installed packages of ${venvPath} not backed up: ${result.stderr.trim()}`);
+        }
+    }
+
+    console.log(`✓ Pre-migration state saved to ${backupPath}`);
+    return { path: backupPath, files, venvPath, hadVenv, packagesPath };
+}
+
+/**
+ * Puts a workspace folder back in its pre-migration state
+ * Restores pyproject.toml and uv.lock from the backup (deleting them if they did not exist), deletes a
+ * virtual environment the migration created, and reinstalls the backed up packages (uv pip sync) into an
+ * existing one the migration changed.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} backup - Backup from backupMigrationState
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.venvChanged] - Whether a migration step installed into the virtual environment
+ * @returns {Promise<string[]>} What could not be restored (empty when everything was)
+ */
+async function restoreMigrationState(workspaceFolder, backup, options = {}) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const problems = [];
+
+    BACKED_UP_FILES.forEach(fileName => {
+        const filePath = path.join(folderPath, fileName);
+        try {
+            if (backup.files[fileName]) {
+                fs.copyFileSync(path.join(backup.path, fileName), filePath);
+            } else {
+                fs.rmSync(filePath, { force: true });
+            }
+        } catch (error) {
+            problems.push(`${fileName} (${error.message})`);
+        }
+    });
+
+    if (!backup.hadVenv) {
+        if (fs.existsSync(backup.venvPath) && !(await deleteVenv(workspaceFolder))) {
+            problems.push(`the new ${getVenvDisplayName(workspaceFolder)}`);
+        }
+    } else if (options.venvChanged) {
+        const result = backup.packagesPath
+            ? await runProcess(await getUvExecutable(), withIndexArgs('uv', ['pip', 'sync', backup.packagesPath], folderPath), { cwd: folderPath, env: getVenvEnvironment(folderPath), silent: true })
+            : null;
+        if (!result || !result.success) {
+            problems.push(`the packages in ${getVenvDisplayName(workspaceFolder)}`);
+        }
+    }
+
+    console.log(problems.length === 0
+        ? `✓ Pre-migration state restored from ${backup.path}`
+        : `Pre-migration state partly restored from ${backup.path}; not restored: ${problems.join(', ')}`);
+    return problems;
+}
+
+module.exports = {
+    detectMigrationSources,
+    readMigrationSource,
+    buildPyprojectText,
+    backupMigrationState,
+    restoreMigrationState,
+    convertPoetryConstraint
+};
@@ -0,0 +1,212 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const axios = require('axios');
+const { getIndexSettings, getRequestOptions } = require('../utils/indexConfig');
+const { fetchProjectList } = require('../utils/simpleIndex');
+
+const PACKAGE_LIST_URL = 'https://hugovk.github.io/top-pypi-packages/top-pypi-packages-30-days.json';
+const CACHE_FILE_NAME = 'top-pypi-packages.json';
+
+// Lists of workspace folders whose settings select another source than the window: format + URL -> rows
+const folderPackageLists = new Map();
+
+/**
+ * Gets the path of the cached package list in the extension's global storage
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {string} Cache file path
+ */
+function getCacheFilePath(context) {
+    return vscode.Uri.joinPath(context.globalStorageUri, CACHE_FILE_NAME).fsPath;
+}
+
+/**
+ * Reads the cached package list from disk
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {Object|null} Cache ({ fetchedAt, rows }) or null if missing or unreadable
+ */
+function readCache(context) {
+    const cachePath = getCacheFilePath(context);
+    try {
+        if (!fs.existsSync(cachePath)) return null;
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        return Array.isArray(cache.rows) ? cache : null;
+    } catch (error) {
+        console.error('Failed to read cached package list:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Writes the package list to the global storage cache
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Array} rows - Package rows ({ project, download_count })
+ * @param {string} source - URL the rows were downloaded from
+ */
+function writeCache(context, rows, source) {
+    try {
+        fs.mkdirSync(context.globalStorageUri.fsPath, { recursive: true });
+        fs.writeFileSync(getCacheFilePath(context), JSON.stringify({ fetchedAt: Date.now(), source, rows }));
+    } catch (error) {
+        console.error('Failed to write package list cache:', error.message);
+    }
+}
+
+/**
+ * Gets the configured refresh interval of the package list cache
+ * @returns {number} Interval in milliseconds
+ */
+function getRefreshInterval() {
+    const hours = vscode.workspace.getConfiguration('pyCage').get('packageList.refreshIntervalHours', 24);
+    return Math.max(hours, 0) * 60 * 60 * 1000;
+}
+
+/**
+ * Gets the configured package list source
+ * A simple index without an explicit URL falls back to the primary package index (pyCage.index.url).
+ * @param {string} [cwd] - Workspace folder path (selects the folder settings)
+ * @returns {Object} { url, format } where format is 'topPypiJson' or 'simpleIndex'
+ */
+function getPackageListSource(cwd) {
+    const config = vscode.workspace.getConfiguration('pyCage', cwd ? vscode.Uri.file(cwd) : undefined);
+    const format = config.get('packageList.format', 'topPypiJson');
+    let url = (config.get('packageList.url') || '').trim();
+    if (!url) {
+        url = format === 'simpleIndex' ? getIndexSettings(cwd).indexUrl : PACKAGE_LIST_URL;
+    }
+    return { url, format };
+}
+
+/**
+ * Downloads a package list and converts it to { project, download_count } rows
+ * JSON endpoints may return the top-pypi-packages format ({ rows }) or a plain array of names.
+ * @param {Object} source - Source from getPackageListSource
+ * @param {string} [cwd] - Workspace folder path (selects the trusted hosts)
+ * @returns {Promise<Array>} Package rows
+ */
+async function downloadPackageList(source, cwd) {
+    if (!source.url) {
+        throw new Error('No package index URL configured for the simple index package list');
+    }
+
+    if (source.format === 'simpleIndex') {
+        const projects = await fetchProjectList(source.url, { cwd });
+        return projects.map(project => ({ project, download_count: 0 }));
+    }
+
+    const res = await axios.get(source.url, { ...getRequestOptions(source.url, cwd), timeout: 30000 });
+    const entries = Array.isArray(res.data) ? res.data : (res.data && res.data.rows);
+    if (!Array.isArray(entries)) {
+        throw new Error('Unexpected package list format');
+    }
+    return entries
+        .map(entry => typeof entry === 'string'
+            ? { project: entry, download_count: 0 }
+            : { project: entry.project || entry.name, download_count: entry.download_count || 0 })
+        .filter(row => row.project);
+}
+
+/**
+ * Downloads the package list and stores it in the cache
+ * The given array is updated in place so every registered command sees the new list.
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Array} names - Package list shared with the commands
+ * @returns {Promise<boolean>} True if the list was refreshed
+ */
+async function refreshPackageList(context, names) {
+    const source = getPackageListSource();
+    try {
+        console.log(`Fetching Python packages list from ${source.url}...`);
+        const rows = await downloadPackageList(source);
+        if (rows.length === 0) {
+            throw new Error('Package list response contained no packages');
+        }
+
+        names.length = 0;
+        rows.forEach(row => names.push(row));
+        writeCache(context, rows, source.url);
+        console.log(`✓ Loaded ${names.length} popular Python packages`);
+        return true;
+    } catch (error) {
+        console.error('Failed to fetch package list:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Loads the package list from the disk cache straight away and refreshes it in the background
+ * when it is missing or older than the configured interval. When offline, the cached list is kept.
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {Array} Package list (possibly empty until the first download completes)
+ */
+function loadPackageList(context) {
+    const cache = readCache(context);
+    const names = cache ? cache.rows.slice() : [];
+
+    if (cache) {
+        console.log(`✓ Loaded ${names.length} popular Python packages from cache`);
+    }
+
+    const sourceChanged = cache && (cache.source || PACKAGE_LIST_URL) !== getPackageListSource().url;
+    const isStale = !cache || sourceChanged || (Date.now() - (cache.fetchedAt || 0)) >= getRefreshInterval();
+    if (isStale) {
+        refreshPackageList(context, names).then(refreshed => {
+            if (!refreshed && names.length === 0) {
+                vscode.window.showWarningMessage('Failed to load Python packages list. You can still install packages by typing their exact name.');
+            } else if (!refreshed) {
+                console.log('Using cached package list (offline)');
+            }
+        });
+    }
+
+    // Switching the search source (e.g. to a private index) reloads the list
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('pyCage.packageList.url') ||
+            event.affectsConfiguration('pyCage.packageList.format') ||
+            event.affectsConfiguration('pyCage.index.url')) {
+            folderPackageLists.clear();
+            refreshPackageList(context, names);
+        }
+    }));
+
+    return names;
+}
+
+/**
+ * Gets the package list for a workspace folder
+ * Folders whose settings select the same source as the window share the loaded list; other
+ * sources (e.g. a folder-level private index) are downloaded once per session and the returned
+ * array is filled in place when the download completes.
+ * @param {Array} names - Package list from loadPackageList
+ * @param {string} [cwd] - Workspace folder path
+ * @returns {Array} Package list (possibly empty until the download completes)
+ */
+function getPackageListForFolder(names, cwd) {
+    if (!cwd) return names;
+
+    const source = getPackageListSource(cwd);
+    const windowSource = getPackageListSource();
+    if (source.url === windowSource.url && source.format === windowSource.format) {
+        return names;
+    }
+
+    const key = `${source.format}\n${source.url}`;
+    if (!folderPackageLists.has(key)) {
+        const rows = [];
+        folderPackageLists.set(key, rows);
+        console.log(`Fetching Python packages list from ${source.url}...`);
+        downloadPackageList(source, cwd).then(downloaded => {
+            downloaded.forEach(row => rows.push(row));
+            console.log(`✓ Loaded ${rows.length} Python packages from ${source.url}`);
+        }).catch(error => {
+            console.error(`Failed to fetch package list from ${source.url}:`, error.message);
+            folderPackageLists.delete(key);
+        });
+    }
+    return folderPackageLists.get(key);
+}
+
+module.exports = {
+    loadPackageList,
+    refreshPackageList,
+    getPackageListForFolder
+};
@@ -1,60 +1,63 @@
 const vscode = require('vscode');
 const fs = require('fs');
-const { checkUvInstalled, installUv } = require('./uvManager');
-const { getOrCreateTerminal } = require('./terminalManager');
+const { checkUvInstalled } = require('./uvManager');
+const { promptUvInstallation } = require('./uvInstaller');
+const { getOrCreateTerminal, disposeTerminal } = require('./terminalManager');
 const { createVenvIfNeeded } = require('./venvManager');
+const { getWorkspaceFolders } = require('../utils/workspace');
+const { getVenvPath } = require('../utils/venvPaths');
+
+/**
+ * Creates (or activates) the virtual environment of each workspace folder
+ * Missing environments are created in the folder's own terminal.
+ * @param {vscode.WorkspaceFolder[]} workspaceFolders - Folders to set up
+ */
+async function setupWorkspaceFolders(workspaceFolders) {
+    for (const workspaceFolder of workspaceFolders) {
+        const venvExists = fs.existsSync(getVenvPath(workspaceFolder));
+        const terminal = venvExists ? null : getOrCreateTerminal(workspaceFolder);
+        await createVenvIfNeeded(terminal, venvExists, workspaceFolder);
+    }
+}
 
 /**
  * Sets up uv installation asynchronously without blocking command registration
  * @param {Object} osInfo - Operating system information
+ * @param {vscode.WorkspaceFolder[]} [workspaceFolders] - Folders that get a virtual environment (defaults to all)
  * @returns {Promise<boolean>} - Promise that resolves to true if setup succeeded
  */
-async function setupUvAsync(osInfo) {
+async function setupUvAsync(osInfo, workspaceFolders = getWorkspaceFolders()) {
     try {
-        let terminal = getOrCreateTerminal();
-        const workspaceFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0] : null;
-        const venvPath = vscode.Uri.joinPath(workspaceFolder.uri, '.venv');
-        const venvExists = fs.existsSync(venvPath.fsPath);
-
         // Check if uv is already installed
         const uvInstalled = await checkUvInstalled();
 
         if (!uvInstalled) {
-            console.log('Installing uv...');
-            vscode.window.showInformationMessage(`pyCage detected ${osInfo.readable} - installing uv...`);
-
-            // Install uv and wait for actual completion
-            const installationSuccess = await installUv(osInfo);
+            // Installing uv requires consent and a verified download, binary or archive
+            console.log('uv not found, asking how to install it...');
+            const installationSuccess = await promptUvInstallation(osInfo);
 
             if (installationSuccess) {
-                console.log('uv installation completed, restarting terminal...');
+                console.log('uv installation completed, restarting terminals...');
 
-                // Safely dispose old terminal and create new one to refresh PATH
-                try {
-                    if (terminal && terminal.exitStatus === undefined) {
-                        terminal.dispose();
-                    }
-                } catch (disposeError) {
-                    console.log('Terminal already disposed or invalid:', disposeError.message);
-                }
+                // Dispose old terminals so new ones pick up the refreshed PATH
+                workspaceFolders.forEach(workspaceFolder => disposeTerminal(workspaceFolder));
 
-                // Wait a moment for disposal to complete, then create new terminal
+                // Wait a moment for disposal to complete before new terminals are created
                 await new Promise(resolve => setTimeout(resolve, 500));
-                terminal = getOrCreateTerminal();
 
                 // Verify installation worked by checking version again
                 const uvNowInstalled = await checkUvInstalled();
                 if (uvNowInstalled) {
                     vscode.window.showInformationMessage('uv installed successfully! Ready to use.');
 
-                    await createVenvIfNeeded(terminal, venvExists);
+                    await setupWorkspaceFolders(workspaceFolders);
                     return true;
                 } else {
                     vscode.window.showWarningMessage('uv installation completed but uv command not found. You may need to restart VS Code.');
                     return false;
                 }
             } else {
-                vscode.window.showErrorMessage('Failed to install uv. Please install manually or check your internet connection.');
+                console.log('uv was not installed');
                 return false;
             }
 
@@ -62,7 +65,7 @@ async function setupUvAsync(osInfo) {
             console.log('uv is already installed, skipping installation');
             vscode.window.showInformationMessage(`pyCage detected ${osInfo.readable} - uv already installed`);
 
-            await createVenvIfNeeded(terminal, venvExists);
+            await setupWorkspaceFolders(workspaceFolders);
             return true;
         }
     } catch (error) {
@@ -73,5 +76,6 @@ async function setupUvAsync(osInfo) {
 }
 
 module.exports = {
-    setupUvAsync
+    setupUvAsync,
+    setupWorkspaceFolders
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess } = require('./processManager');
+const { satisfies } = require('../utils/pep440');
+const { readPyvenvConfig } = require('../utils/venvPaths');
+
+// Written by uv python pin, read by uv venv, uv sync and uv run
+const PYTHON_VERSION_FILE = '.python-version';
+
+/**
+ * Reads the Python version pinned for a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string|null} Version request from .python-version (e.g. "3.12" or "pypy@3.10"), or null if not pinned
+ */
+function getPinnedPythonVersion(workspaceFolder) {
+    const filePath = path.join(workspaceFolder.uri.fsPath, PYTHON_VERSION_FILE);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+        // The first version counts; uv python pin --global and tox-style files may list several
+        const line = fs.readFileSync(filePath, 'utf8')
+            .split(/\r?\n/)
+            .map(entry => entry.trim())
+            .find(entry => entry && !entry.startsWith('#'));
+        return line || null;
+    } catch (error) {
+        console.log(`Could not read ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Gets the Python version a virtual environment was created with
+ * @param {string} venvPath - Virtual environment path
+ * @returns {string|null} Version (e.g. "3.12.4") from pyvenv.cfg, or null if unknown
+ */
+function getVenvPythonVersion(venvPath) {
+    const config = readPyvenvConfig(venvPath);
+    if (!config) return null;
+    // uv writes version_info, the venv module writes version
+    return config.version_info || config.version || null;
+}
+
+/**
+ * Checks whether a Python version fulfils a version request such as "3.12", "cpython@3.12.4" or ">=3.11"
+ * @param {string} request - Version request (as in .python-version or uv --python)
+ * @param {string} version - Python version
+ * @returns {boolean|null} Whether the version matches, or null if the request has no version to compare
+ */
+function matchesPythonRequest(request, version) {
+    const versionText = String(version).match(/^\d+(\.\d+)*/);
+    if (!versionText) return null;
+
+    if (/[<>=!~]/.test(request)) {
+        return satisfies(versionText[0], request.replace(/^[a-z]+@/i, ''));
+    }
+
+    const requested = request.match(/\d+(\.\d+)*/);
+    if (!requested) return null;
+
+    const wanted = requested[0].split('.');
+    const actual = versionText[0].split('.');
+    return wanted.every((part, index) => Number(part) === Number(actual[index]));
+}
+
+/**
+ * Lists the Python installations uv knows about
+ * @param {string} cwd - Working directory (uv marks the versions it would pick for the project)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.onlyInstalled] - Leave out versions that can be downloaded
+ * @param {vscode.CancellationToken} [options.token] - Cancels the listing
+ * @returns {Promise<Object[]|null>} Installations ({ key, version, implementation, path, installed }) or null on failure
+ */
+async function listPythonInstallations(cwd, options = {}) {
+    const uvExecutable = await getUvExecutable();
+    const args = ['python', 'list', '--output-format', 'json'];
+    if (options.onlyInstalled) {
+        args.push('--only-installed');
+    }
+
+    const result = await runProcess(uvExecutable, args, { cwd, token: options.token, silent: true });
+    if (!result.success) {
+        console.log(`Could not list Python installations: ${result.stderr.trim()}`);
+        return null;
+    }
+
+    try {
+        return JSON.parse(result.stdout || '[]').map(entry => ({
+            key: entry.key,
+            version: entry.version,
+            implementation: entry.implementation,
+            path: entry.path || null,
+            installed: Boolean(entry.path)
+        }));
+    } catch (error) {
+        console.error('Failed to parse uv python list output:', error);
+        return null;
+    }
+}
+
+module.exports = {
+    PYTHON_VERSION_FILE,
+    getPinnedPythonVersion,
+    getVenvPythonVersion,
+    matchesPythonRequest,
+    listPythonInstallations
+};
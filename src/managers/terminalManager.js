@@ -1,14 +1,28 @@
 const vscode = require('vscode');
 const os = require('os');
+const path = require('path');
+const { isMultiRoot } = require('../utils/workspace');
 
 /**
- * Gets or creates the pyCage terminal
+ * Gets the name of the pyCage terminal for a workspace folder
+ * Multi-root workspaces get one terminal per folder.
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Workspace folder
+ * @returns {string} Terminal name
+ */
+function getTerminalName(workspaceFolder) {
+    return workspaceFolder && isMultiRoot() ? `pyCage (${workspaceFolder.name})` : 'pyCage';
+}
+
+/**
+ * Gets or creates the pyCage terminal of a workspace folder
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Folder the terminal starts in
  * @returns {vscode.Terminal} The pyCage terminal
  */
-function getOrCreateTerminal() {
+function getOrCreateTerminal(workspaceFolder) {
+    const name = getTerminalName(workspaceFolder);
     try {
         // Find existing pyCage terminal
-        const existingTerminal = vscode.window.terminals.find(t => t.name === 'pyCage');
+        const existingTerminal = vscode.window.terminals.find(t => t.name === name);
         if (existingTerminal && existingTerminal.exitStatus === undefined) {
             // Double-check that the terminal is actually usable
             try {
@@ -22,47 +36,187 @@ function getOrCreateTerminal() {
         }
 
         // Create new terminal if none exists or existing one is disposed
-        console.log('Creating new pyCage terminal');
-        return vscode.window.createTerminal('pyCage');
+        console.log(`Creating new ${name} terminal`);
+        return vscode.window.createTerminal({ name, cwd: workspaceFolder ? workspaceFolder.uri : undefined });
     } catch (error) {
         console.error('Error in getOrCreateTerminal:', error);
         // Fallback: try to create a terminal with a unique name
-        return vscode.window.createTerminal(`pyCage-${Date.now()}`);
+        return vscode.window.createTerminal(`${name}-${Date.now()}`);
     }
 }
 
 /**
- * Sets up the terminal environment with correct PATH for uv
- * @param {vscode.Terminal} terminal - Terminal to setup
- * @param {string} uvPath - Path to uv executable
+ * Disposes the pyCage terminal of a workspace folder, e.g. to pick up a changed PATH
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Workspace folder
  */
-function setupTerminalEnvironment(terminal, uvPath) {
-    try {
-        // Add common uv installation paths to PATH if needed
-        const pathAdditions = [
-            os.homedir() + '/.cargo/bin',
-            os.homedir() + '/.local/bin',
-            '/usr/local/bin',
-            '/opt/homebrew/bin'
-        ];
-
-        // Only add to PATH if uvPath contains a specific path
-        if (uvPath.includes('/') || uvPath.includes('\\')) {
-            const uvDir = uvPath.replace(/['"]/g, '').split(/[/\\]/).slice(0, -1).join('/');
-            if (uvDir && !pathAdditions.includes(uvDir)) {
-                pathAdditions.unshift(uvDir);
+function disposeTerminal(workspaceFolder) {
+    const name = getTerminalName(workspaceFolder);
+    vscode.window.terminals
+        .filter(t => t.name === name && t.exitStatus === undefined)
+        .forEach(t => {
+            try {
+                t.dispose();
+            } catch (disposeError) {
+                console.log('Terminal already disposed or invalid:', disposeError.message);
             }
+        });
+}
+
+/**
+ * Gets the directories that should be prepended to PATH so uv can be found
+ * @param {string} uvPath - Path to uv executable
+ * @returns {string[]} Directories to prepend to PATH
+ */
+function getPathAdditions(uvPath) {
+    // Add common uv installation paths to PATH if needed
+    const pathAdditions = [
+        os.homedir() + '/.cargo/bin',
+        os.homedir() + '/.local/bin',
+        '/usr/local/bin',
+        '/opt/homebrew/bin'
+    ];
+
+    // Only add to PATH if uvPath contains a specific path
+    if (uvPath && (uvPath.includes('/') || uvPath.includes('\\'))) {
+        const uvDir = uvPath.replace(/['"]/g, '').split(/[/\\]/).slice(0, -1).join('/');
+        if (uvDir && !pathAdditions.includes(uvDir)) {
+            pathAdditions.unshift(uvDir);
         }
+    }
 
-        const pathExtension = pathAdditions.join(':');
-        terminal.sendText(`export PATH="${pathExtension}:$PATH"`);
-        console.log(`Terminal PATH updated with: ${pathExtension}`);
-    } catch (error) {
-        console.error('Error setting up terminal environment:', error);
+    return pathAdditions;
+}
+
+// Shell executable names (without extension) mapped to the syntax pyCage generates for them
+const SHELL_TYPES = {
+    bash: 'posix', zsh: 'posix', sh: 'posix', dash: 'posix', ksh: 'posix', ash: 'posix',
+    fish: 'fish',
+    pwsh: 'powershell', powershell: 'powershell',
+    cmd: 'cmd',
+    nu: 'nushell', nushell: 'nushell'
+};
+
+/**
+ * Detects the shell syntax to use in a terminal
+ * The pyCage.terminal.shell setting of the terminal's workspace folder overrides the detection.
+ * @param {vscode.Terminal} [terminal] - Terminal the commands are sent to
+ * @returns {string} 'posix', 'fish', 'powershell', 'cmd' or 'nushell'
+ */
+function getShellType(terminal) {
+    const cwd = terminal && terminal.creationOptions && terminal.creationOptions.cwd;
+    const scope = typeof cwd === 'string' ? vscode.Uri.file(cwd) : cwd;
+    const configured = vscode.workspace.getConfiguration('pyCage', scope).get('terminal.shell', 'auto');
+    if (configured && configured !== 'auto') {
+        return configured;
+    }
+
+    const candidates = [
+        terminal && terminal.state && terminal.state.shell,
+        terminal && terminal.creationOptions && terminal.creationOptions.shellPath,
+        vscode.env.shell
+    ];
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        const name = path.basename(String(candidate)).toLowerCase().replace(/\.exe$/, '');
+        if (SHELL_TYPES[name]) {
+            return SHELL_TYPES[name];
+        }
     }
+
+    return os.platform() === 'win32' ? 'powershell' : 'posix';
+}
+
+/**
+ * Quotes a value for a shell
+ * @param {string} shell - Shell type from getShellType
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function quoteForShell(shell, value) {
+    switch (shell) {
+        case 'powershell':
+            return `'${value.replace(/'/g, '\'\'')}'`;
+        case 'nushell':
+            // Single-quoted nushell strings are raw, so Windows paths keep their backslashes
+            return `'${value}'`;
+        case 'fish':
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+        case 'cmd':
+            return `"${value}"`;
+        default:
+            return `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+    }
+}
+
+/**
+ * Builds the command that activates a virtual environment
+ * @param {string} shell - Shell type from getShellType
+ * @param {string} venvPath - Virtual environment directory
+ * @returns {string} Shell command
+ */
+function getActivationCommand(shell, venvPath) {
+    const binPath = path.join(venvPath, os.platform() === 'win32' ? 'Scripts' : 'bin');
+    switch (shell) {
+        case 'fish':
+            return `source ${quoteForShell(shell, path.join(binPath, 'activate.fish'))}`;
+        case 'powershell':
+            return `& ${quoteForShell(shell, path.join(binPath, 'activate.ps1'))}`;
+        case 'cmd':
+            return quoteForShell(shell, path.join(binPath, 'activate.bat'));
+        case 'nushell':
+            return `overlay use ${quoteForShell(shell, path.join(binPath, 'activate.nu'))}`;
+        default:
+            return `. ${quoteForShell(shell, path.join(binPath, 'activate'))}`;
+    }
+}
+
+/**
+ * Builds a command line that runs an executable in a shell
+ * @param {string} shell - Shell type from getShellType
+ * @param {string} executable - Executable name or path
+ * @param {string[]} args - Arguments
+ * @returns {string} Shell command
+ */
+function getInvocationCommand(shell, executable, args) {
+    const needsQuoting = /[\s'"]/.test(executable) || executable.includes('/') || executable.includes('\\');
+    let command = needsQuoting ? quoteForShell(shell, executable) : executable;
+    if (needsQuoting && shell === 'powershell') {
+        command = `& ${command}`;
+    } else if (needsQuoting && shell === 'nushell') {
+        command = `^${command}`;
+    }
+    const quotedArgs = args.map(arg => /[\s'"$`&|;<>()]/.test(arg) ? quoteForShell(shell, arg) : arg);
+    return [command, ...quotedArgs].join(' ');
+}
+
+/**
+ * Runs an executable in a terminal using the syntax of its shell
+ * @param {vscode.Terminal} terminal - Terminal to run in
+ * @param {string} executable - Executable name or path (unquoted)
+ * @param {string[]} args - Arguments
+ */
+function runInTerminal(terminal, executable, args) {
+    terminal.sendText(getInvocationCommand(getShellType(terminal), executable, args));
+}
+
+/**
+ * Activates a virtual environment in a terminal using the syntax of its shell
+ * @param {vscode.Terminal} terminal - Terminal to activate the environment in
+ * @param {string} venvPath - Virtual environment directory
+ */
+function activateVenvInTerminal(terminal, venvPath) {
+    const shell = getShellType(terminal);
+    const activationCommand = getActivationCommand(shell, venvPath);
+    console.log(`Executing activation command (${shell}): ${activationCommand}`);
+    terminal.sendText(activationCommand);
 }
 
 module.exports = {
     getOrCreateTerminal,
-    setupTerminalEnvironment
+    disposeTerminal,
+    getPathAdditions,
+    getShellType,
+    getActivationCommand,
+    runInTerminal,
+    activateVenvInTerminal
 };
\ No newline at end of file
@@ -0,0 +1,324 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getUvStorageDirectory, recordInstallation } = require('./uvManager');
+const { runProcess, getOutputChannel } = require('./processManager');
+
+const UV_RELEASES_URL = 'https://github.com/astral-sh/uv/releases/download';
+// Keep in sync with the default of pyCage.uv.version in package.json
+const DEFAULT_UV_VERSION = '0.8.0';
+
+/**
+ * Reads the uv installation settings
+ * @returns {Object} { version, sha256, downloadUrl }
+ */
+function getInstallSettings() {
+    const config = vscode.workspace.getConfiguration('pyCage');
+    return {
+        version: (config.get('uv.version') || DEFAULT_UV_VERSION).trim(),
+        sha256: (config.get('uv.sha256') || '').trim().toLowerCase(),
+        downloadUrl: (config.get('uv.downloadUrl') || UV_RELEASES_URL).trim().replace(/\/+$/, '')
+    };
+}
+
+/**
+ * Gets the uv release archive name for this machine
+ * @param {Object} osInfo - Operating system information
+ * @returns {string|null} Archive name (e.g. uv-x86_64-unknown-linux-gnu.tar.gz) or null if unsupported
+ */
+function getArchiveName(osInfo) {
+    const arch = { x64: 'x86_64', arm64: 'aarch64' }[os.arch()];
+    if (!arch) return null;
+    if (osInfo.isWindows) return `uv-${arch}-pc-windows-msvc.zip`;
+    if (osInfo.isMacOS) return `uv-${arch}-apple-darwin.tar.gz`;
+    if (osInfo.isLinux) return `uv-${arch}-unknown-linux-gnu.tar.gz`;
+    return null;
+}
+
+/**
+ * Extracts the SHA-256 digest from a checksum file ("<digest>  <file name>")
+ * @param {string} text - Checksum file content
+ * @returns {string|null} Lowercase hex digest
+ */
+function parseChecksum(text) {
+    const match = String(text).match(/\b[0-9a-fA-F]{64}\b/);
+    return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Computes the SHA-256 digest of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Verifies the SHA-256 digest of an archive
+ * @param {string} archivePath - Archive to verify
+ * @param {string} expected - Expected digest
+ * @returns {Promise<string>} The verified digest
+ */
+async function verifyChecksum(archivePath, expected) {
+    const actual = await sha256File(archivePath);
+    if (actual !== expected) {
+        throw new Error(`Checksum mismatch for ${path.basename(archivePath)}: expected ${expected}, got ${actual}`);
+    }
+    getOutputChannel().appendLine(`[pyCage] SHA-256 verified for ${path.basename(archivePath)}: ${actual}`);
+    return actual;
+}
+
+/**
+ * Downloads a file
+ * @param {string} url - Source URL
+ * @param {string} destination - Target file
+ * @param {vscode.CancellationToken} token - Cancels the download
+ * @returns {Promise<void>}
+ */
+async function downloadFile(url, destination, token) {
+    const controller = new AbortController();
+    const cancellation = token.onCancellationRequested(() => controller.abort());
+    try {
+        const res = await axios.get(url, { responseType: 'stream', signal: controller.signal, timeout: 60000 });
+        await new Promise((resolve, reject) => {
+            const file = fs.createWriteStream(destination);
+            res.data.on('error', reject);
+            file.on('error', reject);
+            file.on('finish', resolve);
+            res.data.pipe(file);
+        });
+    } finally {
+        cancellation.dispose();
+    }
+}
+
+/**
+ * Finds the uv executable in an extracted archive
+ * @param {string} directory - Extraction directory
+ * @returns {string|null} Executable path
+ */
+function findUvBinary(directory) {
+    const names = os.platform() === 'win32' ? ['uv.exe'] : ['uv'];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isFile() && names.includes(entry.name)) return entryPath;
+        if (entry.isDirectory()) {
+            const found = findUvBinary(entryPath);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Extracts a uv release archive and returns the path of its uv executable
+ * tar handles .tar.gz everywhere and .zip on Windows 10 and later.
+ * @param {string} archivePath - Archive to extract
+ * @param {string} destination - Extraction directory (recreated)
+ * @returns {Promise<string>} uv executable path
+ */
+async function extractUvBinary(archivePath, destination) {
+    fs.rmSync(destination, { recursive: true, force: true });
+    fs.mkdirSync(destination, { recursive: true });
+
+    const result = await runProcess('tar', ['-xf', archivePath, '-C', destination]);
+    if (!result.success) {
+        throw new Error(`Could not extract ${path.basename(archivePath)}: ${result.stderr.trim() || `exit code ${result.code}`}`);
+    }
+
+    const binaryPath = findUvBinary(destination);
+    if (!binaryPath) {
+        throw new Error(`${path.basename(archivePath)} does not contain a uv executable`);
+    }
+    if (os.platform() !== 'win32') {
+        fs.chmodSync(binaryPath, 0o755);
+    }
+    return binaryPath;
+}
+
+/**
+ * Runs uv --version for a binary
+ * @param {string} binaryPath - uv executable
+ * @returns {Promise<string>} Version number
+ */
+async function getBinaryVersion(binaryPath) {
+    const result = await runProcess(binaryPath, ['--version'], { silent: true });
+    const match = result.success ? result.stdout.match(/uv\s+(\S+)/) : null;
+    if (!match) {
+        throw new Error(`${binaryPath} is not a working uv binary${result.stderr ? `: ${result.stderr.trim()}` : ''}`);
+    }
+    return match[1];
+}
+
+/**
+ * Downloads the pinned uv release, verifies its checksum and installs it into the extension storage
+ * The expected digest must be set in pyCage.uv.sha256: a .sha256 file fetched from the same host as the
+ * archive would only catch corrupted downloads, not a replaced release.
+ * @param {Object} osInfo - Operating system information
+ * @param {vscode.CancellationToken} token - Cancels the download
+ * @returns {Promise<Object>} Recorded installation
+ */
+async function installFromDownload(osInfo, token) {
+    const settings = getInstallSettings();
+    const archiveName = getArchiveName(osInfo);
+    if (!archiveName) {
+        throw new Error(`No uv release is available for ${osInfo.readable} on ${os.arch()}`);
+    }
+
+    const url = `${settings.downloadUrl}/${settings.version}/${archiveName}`;
+    const expected = settings.sha256;
+    if (!expected) {
+        throw new Error(`Set pyCage.uv.sha256 to the SHA-256 of ${archiveName} (from the uv ${settings.version} release page) before downloading`);
+    }
+
+    const versionDirectory = path.join(getUvStorageDirectory(), 'uv', settings.version);
+    fs.mkdirSync(versionDirectory, { recursive: true });
+    const archivePath = path.join(versionDirectory, archiveName);
+
+    try {
+        getOutputChannel().appendLine(`[pyCage] Downloading ${url}`);
+        await downloadFile(url, archivePath, token);
+        const sha256 = await verifyChecksum(archivePath, expected);
+        const binaryPath = await extractUvBinary(archivePath, path.join(versionDirectory, 'bin'));
+
+        const installation = { method: 'download', path: binaryPath, version: await getBinaryVersion(binaryPath), sha256, source: url };
+        await recordInstallation(installation);
+        return installation;
+    } finally {
+        fs.rmSync(archivePath, { force: true });
+    }
+}
+
+/**
+ * Installs uv from a local release archive (for air-gapped machines)
+ * The expected digest comes from pyCage.uv.sha256 or a <archive>.sha256 file next to the archive.
+ * @param {string} archivePath - Local uv release archive
+ * @returns {Promise<Object>} Recorded installation
+ */
+async function installFromArchive(archivePath) {
+    let expected = getInstallSettings().sha256;
+    const checksumPath = `${archivePath}.sha256`;
+    if (!expected && fs.existsSync(checksumPath)) {
+        expected = parseChecksum(fs.readFileSync(checksumPath, 'utf8'));
+    }
+    if (!expected) {
+        throw new Error(`No checksum to verify ${path.basename(archivePath)}. Set pyCage.uv.sha256 or place ${path.basename(checksumPath)} next to the archive.`);
+    }
+
+    const sha256 = await verifyChecksum(archivePath, expected);
+    const binaryPath = await extractUvBinary(archivePath, path.join(getUvStorageDirectory(), 'uv', `archive-${sha256.slice(0, 12)}`, 'bin'));
+
+    const installation = { method: 'archive', path: binaryPath, version: await getBinaryVersion(binaryPath), sha256, source: archivePath };
+    await recordInstallation(installation);
+    return installation;
+}
+
+/**
+ * Records an existing uv binary as the one pyCage uses
+ * @param {string} binaryPath - uv executable
+ * @returns {Promise<Object>} Recorded installation
+ */
+async function useExistingBinary(binaryPath) {
+    const installation = { method: 'existing', path: binaryPath, version: await getBinaryVersion(binaryPath), sha256: await sha256File(binaryPath) };
+    await recordInstallation(installation);
+    return installation;
+}
+
+/**
+ * Asks how uv should be installed and installs it; nothing is downloaded without consent
+ * @param {Object} osInfo - Operating system information
+ * @param {string} [reason] - Message shown above the choices
+ * @returns {Promise<boolean>} True if uv was installed
+ */
+async function promptUvInstallation(osInfo, reason = 'uv was not found.') {
+    const { version, downloadUrl } = getInstallSettings();
+    let downloadHost = downloadUrl;
+    try {
+        downloadHost = new URL(downloadUrl).host;
+    } catch (error) {
+        console.error(`Invalid uv download URL ${downloadUrl}:`, error.message);
+    }
+    const downloadChoice = `Download uv ${version}`;
+    const existingChoice = 'Use Existing Binary...';
+    const archiveChoice = 'Install from Archive...';
+
+    const choice = await vscode.window.showWarningMessage(
+        `${reason} pyCage can download uv ${version} from ${downloadHost} (verified against pyCage.uv.sha256), use a uv binary you already have, or install from a local release archive.`,
+        downloadChoice,
+        existingChoice,
+        archiveChoice
+    );
+    if (!choice) {
+        console.log('uv installation declined by user');
+        return false;
+    }
+
+    if (choice === downloadChoice && !getInstallSettings().sha256) {
+        const archiveName = getArchiveName(osInfo) || 'the release archive';
+        const action = await vscode.window.showErrorMessage(
+            `❌ Set pyCage.uv.sha256 to the SHA-256 of ${archiveName} (listed in sha256.sum on the uv ${version} release page) before downloading; the download is verified against it.`,
+            'Open Settings'
+        );
+        if (action === 'Open Settings') {
+            vscode.commands.executeCommand('workbench.action.openSettings', 'pyCage.uv.sha256');
+        }
+        return false;
+    }
+
+    let sourcePath = null;
+    if (choice !== downloadChoice) {
+        const picked = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: choice === existingChoice ? 'Use this uv binary' : 'Install this archive',
+            filters: choice === archiveChoice ? { 'uv release archive': ['gz', 'zip'] } : undefined
+        });
+        if (!picked || picked.length === 0) return false;
+        sourcePath = picked[0].fsPath;
+    }
+
+    try {
+        const installation = await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: choice === downloadChoice ? `Downloading uv ${version}...` : 'Setting up uv...',
+                cancellable: choice === downloadChoice
+            },
+            (progress, token) => {
+                if (choice === downloadChoice) return installFromDownload(osInfo, token);
+                if (choice === archiveChoice) return installFromArchive(sourcePath);
+                return useExistingBinary(sourcePath);
+            }
+        );
+
+        console.log(`uv ${installation.version} installed (${installation.method}) at ${installation.path}`);
+        vscode.window.showInformationMessage(`✅ uv ${installation.version} ready at ${installation.path}`);
+        return true;
+    } catch (error) {
+        console.error('uv installation failed:', error);
+        const message = axios.isCancel(error) ? 'uv download cancelled' : `Failed to install uv: ${error.message}`;
+        const action = await vscode.window.showErrorMessage(`❌ ${message}`, 'Show Output');
+        if (action === 'Show Output') {
+            getOutputChannel().show();
+        }
+        return false;
+    }
+}
+
+module.exports = {
+    getArchiveName,
+    parseChecksum,
+    installFromDownload,
+    installFromArchive,
+    useExistingBinary,
+    promptUvInstallation
+};
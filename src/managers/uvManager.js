@@ -1,12 +1,87 @@
 const vscode = require('vscode');
+const fs = require('fs');
 const os = require('os');
 const { exec } = require('child_process');
 
+const INSTALLATION_KEY = 'pyCage.uvInstallation';
+
+// Global state holding the recorded uv installation and the directory uv is installed into, set by registerUvState
+let globalState = null;
+let storageDirectory = null;
+
+/**
+ * Registers the state used to record how uv was installed
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerUvState(context) {
+    globalState = context.globalState;
+    storageDirectory = context.globalStorageUri.fsPath;
+}
+
+/**
+ * Gets the directory pyCage installs uv into
+ * @returns {string|null} Directory in the extension's global storage
+ */
+function getUvStorageDirectory() {
+    return storageDirectory;
+}
+
+/**
+ * Gets the recorded uv installation
+ * @returns {Object|null} Installation ({ method, path, version, sha256, installedAt }) or null
+ */
+function getRecordedInstallation() {
+    return globalState ? globalState.get(INSTALLATION_KEY, null) : null;
+}
+
+/**
+ * Records how uv was installed so that exactly this binary is used from now on
+ * @param {Object} installation - Installation ({ method: 'download' | 'archive' | 'existing', path, version, sha256 })
+ * @returns {Promise<void>}
+ */
+async function recordInstallation(installation) {
+    if (!globalState) return;
+    await globalState.update(INSTALLATION_KEY, { ...installation, installedAt: new Date().toISOString() });
+}
+
+/**
+ * Gets the uv binary pinned by the pyCage.uv.path setting or the recorded installation
+ * @returns {string|null} Binary path, or null when uv should be looked up on PATH
+ */
+function getPinnedUvPath() {
+    const configured = (vscode.workspace.getConfiguration('pyCage').get('uv.path') || '').trim();
+    if (configured) {
+        return configured.replace(/^~(?=$|[/\\])/, os.homedir());
+    }
+
+    const installation = getRecordedInstallation();
+    if (installation && installation.path && fs.existsSync(installation.path)) {
+        return installation.path;
+    }
+    return null;
+}
+
 /**
  * Checks if uv is already installed by running uv --version
+ * A configured or recorded binary is checked instead of searching PATH.
  * @returns {Promise<boolean>} - Promise that resolves to true if uv is installed
  */
 async function checkUvInstalled() {
+    const pinnedPath = getPinnedUvPath();
+    if (pinnedPath) {
+        return new Promise((resolve) => {
+            exec(`"${pinnedPath}" --version`, (error, stdout) => {
+                if (error) {
+                    console.log(`Configured uv binary ${pinnedPath} does not run: ${error.message}`);
+                    resolve(false);
+                } else {
+                    console.log(`uv is installed at ${pinnedPath}: ${stdout.trim()}`);
+                    resolve(true);
+                }
+            });
+        });
+    }
+
     return new Promise((resolve) => {
         // First try the simple command
         exec('uv --version', (error, stdout, stderr) => {
@@ -47,51 +122,15 @@ async function checkUvInstalled() {
 }
 
 /**
- * Installs uv using the appropriate method for the OS
- * @param {Object} osInfo - Operating system information
- * @returns {Promise<boolean>} - Promise that resolves to true if installation succeeded
- */
-async function installUv(osInfo) {
-    return new Promise((resolve) => {
-        let installCommand;
-
-        if (osInfo.isWindows) {
-            // Windows: Use PowerShell to install uv
-            installCommand = 'powershell -ExecutionPolicy ByPass -c "irm https://astral.sh/uv/install.ps1 | iex"';
-        } else if (osInfo.isMacOS || osInfo.isLinux) {
-            // macOS/Linux: Use curl to install uv
-            installCommand = 'curl -LsSf https://astral.sh/uv/install.sh | sh';
-        } else {
-            console.error('Unsupported operating system for uv installation');
-            resolve(false);
-            return;
-        }
-
-        console.log(`Executing installation command: ${installCommand}`);
-
-        exec(installCommand, (error, stdout, stderr) => {
-            if (error) {
-                console.error('uv installation failed:', error);
-                console.error('stderr:', stderr);
-                vscode.window.showErrorMessage(`Failed to install uv: ${error.message}`);
-                resolve(false);
-            } else {
-                console.log('uv installation completed successfully');
-                console.log('stdout:', stdout);
-                if (stderr) {
-                    console.log('stderr:', stderr);
-                }
-                resolve(true);
-            }
-        });
-    });
-}
-
-/**
- * Gets the correct uv command, checking common installation paths
+ * Gets the correct uv command: the configured or recorded binary, otherwise uv on PATH or in common installation paths
  * @returns {Promise<string>} - Promise that resolves to the uv command path
  */
 async function getUvCommand() {
+    const pinnedPath = getPinnedUvPath();
+    if (pinnedPath) {
+        return `"${pinnedPath}"`;
+    }
+
     return new Promise((resolve) => {
         // First try the simple command
         exec('uv --version', (error, stdout, stderr) => {
@@ -127,8 +166,21 @@ async function getUvCommand() {
     });
 }
 
+/**
+ * Gets the uv executable path without shell quoting, for spawning it directly
+ * @returns {Promise<string>} - Promise that resolves to the uv executable path
+ */
+async function getUvExecutable() {
+    const uvCommand = await getUvCommand();
+    return uvCommand.replace(/^"(.*)"$/, '$1');
+}
+
 module.exports = {
+    registerUvState,
+    getUvStorageDirectory,
+    getRecordedInstallation,
+    recordInstallation,
     checkUvInstalled,
-    installUv,
-    getUvCommand
+    getUvCommand,
+    getUvExecutable
 };
\ No newline at end of file
@@ -1,154 +1,401 @@
 const vscode = require('vscode');
 const fs = require('fs');
-const { getOperatingSystem } = require('../utils/system');
-const { getUvCommand } = require('./uvManager');
-const { getOrCreateTerminal, setupTerminalEnvironment } = require('./terminalManager');
+const os = require('os');
+const path = require('path');
+const { getUvExecutable } = require('./uvManager');
+const { runProcess, runWithProgress, getOutputChannel, maskCredentials } = require('./processManager');
+const { activateVenvInTerminal } = require('./terminalManager');
+const { updateEnvironmentVariables } = require('./environmentManager');
+const { selectVenvInterpreter } = require('./interpreterManager');
+const { getPinnedPythonVersion } = require('./pythonManager');
+const { readPyproject } = require('./dependencyManager');
+const { withIndexArgs } = require('../utils/indexConfig');
+const { isMultiRoot } = require('../utils/workspace');
+const { getVenvPath, getVenvDisplayName, getVenvEnvironment, getVenvPythonPath } = require('../utils/venvPaths');
 
-// Global state to track venv creation
-let venvCreationInProgress = false;
+// Workspace folders whose venv is currently being created
+const venvCreationInProgress = new Set();
+
+// How long a new interpreter may take to start (e.g. while a virus scanner inspects it)
+const READY_TIMEOUT_MS = 15000;
+
+/**
+ * Gets the " in <folder>" suffix used in messages of multi-root workspaces
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string} Suffix, empty in single-folder workspaces
+ */
+function getFolderLabel(workspaceFolder) {
+    return workspaceFolder && isMultiRoot() ? ` in ${workspaceFolder.name}` : '';
+}
+
+/**
+ * Shows an error message offering to open the output channel
+ * @param {string} message - Error message
+ */
+async function showErrorWithOutput(message) {
+    const choice = await vscode.window.showErrorMessage(message, 'Show Output');
+    if (choice === 'Show Output') {
+        getOutputChannel().show();
+    }
+}
+
+/**
+ * Gets the last line of a process's error output, for messages
+ * @param {Object} result - Process result
+ * @returns {string} ": <line>" or an empty string
+ */
+function getErrorDetail(result) {
+    const lastLine = maskCredentials((result.stderr || '').trim().split(/\r?\n/).pop());
+    return lastLine ? `: ${lastLine}` : '';
+}
+
+/**
+ * Builds the uv venv arguments for a workspace folder
+ * @param {string} venvPath - Virtual environment path
+ * @param {string|null} pythonVersion - Python version request, if any
+ * @returns {string[]} Arguments passed to uv
+ */
+function getVenvArgs(venvPath, pythonVersion) {
+    return pythonVersion ? ['venv', venvPath, '--python', pythonVersion] : ['venv', venvPath];
+}
+
+/**
+ * Checks that the interpreter of a virtual environment starts
+ * Retries with a growing delay until the timeout, since a freshly created interpreter can be locked briefly.
+ * @param {string} venvPath - Virtual environment path
+ * @param {number} [timeoutMs] - How long to keep trying (0 checks once)
+ * @returns {Promise<Object>} { ready, version } or { ready: false, detail }
+ */
+async function waitForVenvReady(venvPath, timeoutMs = READY_TIMEOUT_MS) {
+    const pythonPath = getVenvPythonPath(venvPath);
+    const deadline = Date.now() + timeoutMs;
+    let detail = '';
+
+    for (let delay = 100; ; delay = Math.min(delay * 2, 2000)) {
+        if (fs.existsSync(pythonPath)) {
+            const result = await runProcess(pythonPath, ['-c', 'import sys; print(sys.version.split()[0])'], { silent: true });
+            if (result.success) {
+                return { ready: true, version: result.stdout.trim() };
+            }
+            detail = `${pythonPath} does not run${getErrorDetail(result)}`;
+        } else {
+            detail = `${pythonPath} does not exist`;
+        }
+
+        if (Date.now() + delay > deadline) {
+            return { ready: false, detail };
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Runs uv venv for a workspace folder and waits until the new interpreter works
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string|null} pythonVersion - Python version request, if any
+ * @returns {Promise<boolean>} True if the environment was created and its interpreter runs
+ */
+async function createVenv(workspaceFolder, pythonVersion) {
+    const folderLabel = getFolderLabel(workspaceFolder);
+    const venvPath = getVenvPath(workspaceFolder);
+    const versionLabel = pythonVersion ? ` with Python ${pythonVersion}` : '';
+
+    const result = await runWithProgress(
+        `Creating virtual environment${versionLabel}${folderLabel}...`,
+        await getUvExecutable(),
+        getVenvArgs(venvPath, pythonVersion),
+        { cwd: workspaceFolder.uri.fsPath }
+    );
+    if (result.cancelled) {
+        vscode.window.showWarningMessage(`⚠️ Virtual environment creation${folderLabel} cancelled`);
+        return false;
+    }
+    if (!result.success) {
+        await showErrorWithOutput(`❌ Virtual environment creation failed${folderLabel} (exit code ${result.code})${getErrorDetail(result)}`);
+        return false;
+    }
+
+    const readiness = await waitForVenvReady(venvPath);
+    if (!readiness.ready) {
+        console.log(`⚠️ Virtual environment created but not usable: ${readiness.detail}`);
+        await showErrorWithOutput(`⚠️ Virtual environment created${folderLabel}, but its Python does not work: ${readiness.detail}`);
+        return false;
+    }
+
+    console.log(`✓ Virtual environment ready (Python ${readiness.version})`);
+    return true;
+}
 
 /**
  * Creates virtual environment if needed, with duplicate prevention
- * @param {vscode.Terminal} terminal - Terminal to use for venv creation
- * @param {boolean} venvExists - Whether .venv already exists
+ * Existing environments are checked first: a broken one is reported with an offer to recreate it.
+ * Terminals opened afterwards use the environment through the extension's environment variable collection.
+ * @param {vscode.Terminal} [terminal] - Terminal of the workspace folder to activate the new environment in
+ * @param {boolean} venvExists - Whether the virtual environment (pyCage.venv.path, .venv by default) already exists
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Folder that gets the virtual environment
+ * @param {string} [pythonVersion] - Python version to create it with (defaults to the version pinned in .python-version)
+ * @returns {Promise<boolean>} True if a working environment exists afterwards
  */
-async function createVenvIfNeeded(terminal, venvExists) {
+async function createVenvIfNeeded(terminal, venvExists, workspaceFolder, pythonVersion) {
+    const folderLabel = getFolderLabel(workspaceFolder);
+
     if (venvExists) {
-        console.log('.venv already exists, skipping creation');
-
-        // Activate the existing virtual environment in terminal
-        const workspaceFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0] : null;
-        if (workspaceFolder) {
-            console.log('Activating existing virtual environment in terminal...');
-            const osInfo = getOperatingSystem();
-            let activationCommand;
-
-            if (osInfo.isWindows) {
-                activationCommand = '.venv\\Scripts\\activate';
-            } else {
-                // Linux or macOS
-                activationCommand = 'source .venv/bin/activate';
+        console.log('Virtual environment already exists, skipping creation');
+        if (!workspaceFolder) return true;
+
+        const readiness = await waitForVenvReady(getVenvPath(workspaceFolder), 0);
+        if (!readiness.ready) {
+            console.log(`⚠️ Existing virtual environment is broken: ${readiness.detail}`);
+            const choice = await vscode.window.showWarningMessage(
+                `⚠️ The virtual environment${folderLabel} is broken: ${readiness.detail}`,
+                'Recreate'
+            );
+            if (choice === 'Recreate') {
+                return await recreateVenv(workspaceFolder, { reinstall: true });
             }
+            return false;
+        }
 
-            console.log(`Executing activation command: ${activationCommand}`);
-            terminal.sendText(`${activationCommand} && echo "✓ Virtual environment activated"`);
-            console.log('✓ Existing virtual environment activated in terminal');
+        // New terminals already get the environment on PATH
+        await updateEnvironmentVariables();
+        console.log('✓ Existing virtual environment applied to the terminal environment');
 
-            vscode.window.showInformationMessage('🐍 Virtual environment activated!');
-        }
-        return;
+        vscode.window.showInformationMessage(`🐍 Virtual environment activated${folderLabel}!`);
+        await selectVenvInterpreter(workspaceFolder);
+        return true;
+    }
+
+    if (!workspaceFolder) {
+        console.log('❌ No workspace folder found, cannot create virtual environment');
+        vscode.window.showErrorMessage('❌ No workspace folder found. Please open a folder to create a virtual environment.');
+        return false;
     }
 
-    if (venvCreationInProgress) {
-        console.log('venv creation already in progress, skipping duplicate call');
-        return;
+    const folderPath = workspaceFolder.uri.fsPath;
+    if (venvCreationInProgress.has(folderPath)) {
+        console.log(`venv creation already in progress for ${folderPath}, skipping duplicate call`);
+        return false;
     }
 
     try {
-        venvCreationInProgress = true;
-        console.log('Creating virtual environment...');
-
-        // Double-check that .venv doesn't exist (race condition protection)
-        const workspaceFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0] : null;
-        if (!workspaceFolder) {
-            console.log('❌ No workspace folder found, cannot create virtual environment');
-            vscode.window.showErrorMessage('❌ No workspace folder found. Please open a folder to create a virtual environment.');
-            return;
+        venvCreationInProgress.add(folderPath);
+        pythonVersion = pythonVersion || getPinnedPythonVersion(workspaceFolder);
+        console.log(`Creating virtual environment in ${folderPath}${pythonVersion ? ` with Python ${pythonVersion}` : ''}...`);
+
+        // Double-check that the environment doesn't exist (race condition protection)
+        const venvPath = getVenvPath(workspaceFolder);
+        if (fs.existsSync(venvPath)) {
+            console.log(`${venvPath} was created by another process, skipping`);
+            return true;
+        }
+
+        if (!(await createVenv(workspaceFolder, pythonVersion))) {
+            return false;
         }
 
-        const venvPath = vscode.Uri.joinPath(workspaceFolder.uri, '.venv');
-        if (fs.existsSync(venvPath.fsPath)) {
-            console.log('.venv was created by another process, skipping');
-            return;
+        // New terminals get the environment from the collection; a terminal that was
+        // started before the environment existed is activated once
+        await updateEnvironmentVariables();
+        if (terminal) {
+            activateVenvInTerminal(terminal, venvPath);
+            terminal.show();
+            console.log('✓ Virtual environment activated in terminal');
         }
 
-        // Get the correct uv command path
-        const uvCommand = await getUvCommand();
-        setupTerminalEnvironment(terminal, uvCommand);
-        terminal.sendText(`${uvCommand} venv`);
-        terminal.show();
-
-        // Wait for virtual environment to be created and Python executable to be available
-        console.log('Waiting for virtual environment creation...');
-
-        let venvCreated = false;
-        let pythonExists = false;
-        const maxAttempts = 15; // 15 seconds total wait time
-
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-
-            if (workspaceFolder) {
-                const venvPath = vscode.Uri.joinPath(workspaceFolder.uri, '.venv');
-                venvCreated = fs.existsSync(venvPath.fsPath);
-
-                if (venvCreated) {
-                    // Check if Python executable exists
-                    const osInfo = getOperatingSystem();
-                    const pythonPath = osInfo.isWindows
-                        ? `${venvPath.fsPath}\\Scripts\\python.exe`
-                        : `${venvPath.fsPath}/bin/python`;
-                    pythonExists = fs.existsSync(pythonPath);
-
-                    if (pythonExists) {
-                        console.log(`✓ Virtual environment ready after ${attempt + 1} seconds`);
-                        break;
-                    } else {
-                        console.log(`Virtual environment directory exists but Python executable not ready yet (attempt ${attempt + 1}/${maxAttempts})`);
-                    }
-                } else {
-                    console.log(`Waiting for .venv directory to be created (attempt ${attempt + 1}/${maxAttempts})`);
-                }
+        const versionLabel = pythonVersion ? ` with Python ${pythonVersion}` : '';
+        vscode.window.showInformationMessage(`🐍 Virtual environment created${versionLabel} and activated${folderLabel}!`);
+        await selectVenvInterpreter(workspaceFolder);
+        return true;
+    } catch (error) {
+        console.error('Error creating venv:', error);
+        vscode.window.showErrorMessage(`❌ Virtual environment creation failed${folderLabel}: ${error.message}`);
+        return false;
+    } finally {
+        venvCreationInProgress.delete(folderPath);
+    }
+}
+
+/**
+ * Checks that a path can be deleted as a virtual environment
+ * Refuses the workspace folder itself, its parents, the home directory and any directory with neither
+ * a pyvenv.cfg nor a Python executable, in case pyCage.venv.path is wrong (e.g. "src" or "..").
+ * @param {string} venvPath - Virtual environment path
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string|null} Reason it must not be deleted, or null
+ */
+function getDeletionBlocker(venvPath, workspaceFolder) {
+    const relativeToVenv = path.relative(venvPath, workspaceFolder.uri.fsPath);
+    if (!relativeToVenv || (!relativeToVenv.startsWith('..') && !path.isAbsolute(relativeToVenv))) {
+        return `${venvPath} contains the workspace folder`;
+    }
+    if (path.resolve(venvPath) === path.resolve(os.homedir()) || path.dirname(venvPath) === venvPath) {
+        return `${venvPath} is not a virtual environment directory`;
+    }
+    if (!fs.existsSync(path.join(venvPath, 'pyvenv.cfg')) && !fs.existsSync(getVenvPythonPath(venvPath))) {
+        return `${venvPath} has no pyvenv.cfg or Python executable, so it is not a virtual environment`;
+    }
+    return null;
+}
+
+/**
+ * Deletes the virtual environment of a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<boolean>} True if the environment is gone afterwards
+ */
+async function deleteVenv(workspaceFolder) {
+    const venvPath = getVenvPath(workspaceFolder);
+    if (!fs.existsSync(venvPath)) return true;
+
+    const blocker = getDeletionBlocker(venvPath, workspaceFolder);
+    if (blocker) {
+        vscode.window.showErrorMessage(`❌ Not deleting the virtual environment: ${blocker}. Check pyCage.venv.path.`);
+        return false;
+    }
+
+    // A directory without pyvenv.cfg (e.g. a damaged environment) is only deleted once the user confirms the path
+    if (!fs.existsSync(path.join(venvPath, 'pyvenv.cfg'))) {
+        const pythonPath = path.relative(venvPath, getVenvPythonPath(venvPath));
+        const confirmed = await vscode.window.showWarningMessage(
+            `${venvPath} has no pyvenv.cfg but contains ${pythonPath}. Delete ${venvPath} and everything in it?`,
+            { modal: true },
+            'Delete'
+        );
+        if (confirmed !== 'Delete') return false;
+    }
+
+    try {
+        await fs.promises.rm(venvPath, { recursive: true, force: true, maxRetries: 3 });
+        console.log(`✓ Deleted ${venvPath}`);
+    } catch (error) {
+        console.error(`Failed to delete ${venvPath}:`, error);
+        vscode.window.showErrorMessage(`❌ Could not delete ${venvPath}: ${error.message}. Close programs that use its Python and try again.`);
+        return false;
+    } finally {
+        // Terminals must not keep pointing at a missing environment
+        await updateEnvironmentVariables();
+    }
+    return true;
+}
+
+/**
+ * Determines what a recreated environment is reinstalled from
+ * uv.lock is installed exactly, a pyproject.toml project is synced, requirements.txt is installed with uv pip.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Object|null} { label, args } for uv, or null if the folder declares no dependencies
+ */
+function getReinstallSource(workspaceFolder) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const hasPyproject = fs.existsSync(path.join(folderPath, 'pyproject.toml'));
+
+    if (hasPyproject && fs.existsSync(path.join(folderPath, 'uv.lock'))) {
+        return { label: 'uv.lock', args: ['sync', '--frozen'] };
+    }
+    if (hasPyproject) {
+        try {
+            const pyproject = readPyproject(workspaceFolder);
+            if (pyproject && pyproject.project) {
+                return { label: 'pyproject.toml', args: ['sync'] };
             }
+        } catch (error) {
+            console.log(`Not reinstalling from pyproject.toml: ${error.message}`);
         }
+    }
+    if (fs.existsSync(path.join(folderPath, 'requirements.txt'))) {
+        return { label: 'requirements.txt', args: ['pip', 'install', '-r', 'requirements.txt'] };
+    }
+    return null;
+}
 
-        if (venvCreated && pythonExists) {
-            console.log('✓ Virtual environment creation completed successfully');
+/**
+ * Saves the packages installed in a virtual environment (uv pip freeze) to a temporary requirements file
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<string|null>} Requirements file path, or null if nothing is installed or the environment is unusable
+ */
+async function snapshotInstalledPackages(workspaceFolder) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const result = await runProcess(await getUvExecutable(), ['pip', 'freeze'], { cwd, env: getVenvEnvironment(cwd), silent: true });
+    if (!result.success || !result.stdout.trim()) {
+        console.log(`No package snapshot taken${result.success ? ' (nothing installed)' : getErrorDetail(result)}`);
+        return null;
+    }
 
-            // Activate the virtual environment in the terminal
-            if (workspaceFolder) {
-                console.log('Activating virtual environment in terminal...');
-                const osInfo = getOperatingSystem();
-                let activationCommand;
+    const snapshotPath = path.join(os.tmpdir(), `pycage-snapshot-${Date.now()}.txt`);
+    fs.writeFileSync(snapshotPath, result.stdout);
+    return snapshotPath;
+}
 
-                if (osInfo.isWindows) {
-                    activationCommand = '.venv\\Scripts\\activate';
-                } else {
-                    // Linux or macOS
-                    activationCommand = 'source .venv/bin/activate';
-                }
+/**
+ * Reinstalls dependencies into a freshly created environment
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} source - Source from getReinstallSource
+ * @param {string|null} pythonVersion - Python version the environment was created with
+ * @returns {Promise<boolean>} True if the installation succeeded
+ */
+async function reinstallDependencies(workspaceFolder, source, pythonVersion) {
+    const cwd = workspaceFolder.uri.fsPath;
+    // uv sync would otherwise replace an environment that does not match .python-version
+    const args = source.args[0] === 'sync' && pythonVersion
+        ? [...source.args, '--python', pythonVersion]
+        : source.args;
 
-                console.log(`Executing activation command: ${activationCommand}`);
-                terminal.sendText(`${activationCommand} && echo "✓ Virtual environment activated"`);
-                console.log('✓ Virtual environment activated in terminal');
+    const result = await runWithProgress(
+        `Reinstalling dependencies from ${source.label}${getFolderLabel(workspaceFolder)}...`,
+        await getUvExecutable(),
+        withIndexArgs('uv', args, cwd),
+        { cwd, env: getVenvEnvironment(cwd) }
+    );
+    if (result.success) {
+        vscode.window.showInformationMessage(`✅ Dependencies reinstalled from ${source.label}`);
+    } else if (result.cancelled) {
+        vscode.window.showWarningMessage(`⚠️ Reinstalling dependencies from ${source.label} cancelled`);
+    } else {
+        await showErrorWithOutput(`❌ Reinstalling dependencies from ${source.label} failed (exit code ${result.code})${getErrorDetail(result)}`);
+    }
+    return result.success;
+}
+
+/**
+ * Deletes and recreates the virtual environment of a workspace folder
+ * With reinstall, dependencies come from uv.lock, pyproject.toml or requirements.txt, or else from a
+ * snapshot of the packages installed before deletion.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {Object} [options] - Options
+ * @param {string} [options.pythonVersion] - Python version for the new environment (defaults to the pinned one)
+ * @param {boolean} [options.reinstall] - Reinstall dependencies afterwards
+ * @returns {Promise<boolean>} True if the environment was recreated (and dependencies reinstalled)
+ */
+async function recreateVenv(workspaceFolder, options = {}) {
+    const pythonVersion = options.pythonVersion || getPinnedPythonVersion(workspaceFolder);
+    let source = options.reinstall ? getReinstallSource(workspaceFolder) : null;
+    let snapshotPath = null;
 
-                vscode.window.showInformationMessage('🐍 Virtual environment created and activated!');
+    try {
+        if (options.reinstall && !source) {
+            snapshotPath = await snapshotInstalledPackages(workspaceFolder);
+            if (snapshotPath) {
+                source = { label: 'the previously installed packages', args: ['pip', 'install', '-r', snapshotPath] };
             }
-        } else if (venvCreated && !pythonExists) {
-            console.log('⚠️ Virtual environment directory created but Python executable not found');
-            vscode.window.showWarningMessage('⚠️ Virtual environment created but Python executable not found. Please check if uv venv completed successfully.');
-        } else {
-            console.log('❌ Virtual environment creation may have failed - directory not found after waiting');
-            vscode.window.showErrorMessage('❌ Virtual environment creation failed. Please check the terminal for errors.');
         }
 
-    } catch (error) {
-        console.error('Error creating venv:', error);
-        // Try with a fresh terminal if the current one has issues
-        try {
-            const freshTerminal = getOrCreateTerminal();
-            const uvCommand = await getUvCommand();
-            setupTerminalEnvironment(freshTerminal, uvCommand);
-            freshTerminal.sendText(`${uvCommand} venv`);
-            freshTerminal.show();
-        } catch (fallbackError) {
-            console.error('Failed to create venv with fallback terminal:', fallbackError);
+        if (!(await deleteVenv(workspaceFolder))) return false;
+        if (!(await createVenvIfNeeded(undefined, false, workspaceFolder, pythonVersion))) return false;
+
+        if (!source) {
+            console.log(`Recreated ${getVenvDisplayName(workspaceFolder)} without reinstalling dependencies`);
+            return true;
         }
+        return await reinstallDependencies(workspaceFolder, source, pythonVersion);
     } finally {
-        venvCreationInProgress = false;
+        if (snapshotPath) {
+            fs.rmSync(snapshotPath, { force: true });
+        }
     }
 }
 
 module.exports = {
-    createVenvIfNeeded
-};
\ No newline at end of file
+    createVenvIfNeeded,
+    waitForVenvReady,
+    deleteVenv,
+    getReinstallSource,
+    recreateVenv
+};
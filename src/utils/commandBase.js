@@ -1,23 +1,32 @@
 const vscode = require('vscode');
 const fs = require('fs');
-const { checkUvInstalled, getUvCommand } = require('../managers/uvManager');
-const { getOrCreateTerminal, setupTerminalEnvironment } = require('../managers/terminalManager');
+const path = require('path');
+const { checkUvInstalled, getUvExecutable } = require('../managers/uvManager');
+const { runWithProgress, getOutputChannel, formatCommandLine, maskCredentials } = require('../managers/processManager');
+const { withIndexArgs } = require('./indexConfig');
+const { getWorkspaceFolders, getActiveWorkspaceFolder, resolveWorkspaceFolder } = require('./workspace');
+const { getVenvEnvironment } = require('./venvPaths');
 
 /**
  * Common validation and setup for commands
  */
 class CommandBase {
     /**
-     * Check if a workspace folder is available
+     * Resolve the workspace folder a command acts on
+     * The active editor's folder is used; in multi-root workspaces without one, a folder picker is shown.
      * @param {string} errorMessage - Custom error message if no workspace found
-     * @returns {Object|null} Workspace folder or null if not found
+     * @returns {Promise<Object|null>} Workspace folder or null if not found or the picker was dismissed
      */
-    static checkWorkspaceFolder(errorMessage = '❌ No workspace folder found. Please open a folder.') {
-        const workspaceFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0] : null;
-        if (!workspaceFolder) {
+    static async checkWorkspaceFolder(errorMessage = '❌ No workspace folder found. Please open a folder.') {
+        const workspaceFolder = await resolveWorkspaceFolder();
+        if (workspaceFolder === null) {
             vscode.window.showErrorMessage(errorMessage);
             return null;
         }
+        if (!workspaceFolder) {
+            console.log('Workspace folder selection cancelled by user');
+            return null;
+        }
         return workspaceFolder;
     }
 
@@ -34,19 +43,6 @@ class CommandBase {
         return true;
     }
 
-    /**
-     * Check if package list is available
-     * @param {Array} names - Package names array
-     * @returns {boolean} True if package list is available
-     */
-    static checkPackageListAvailable(names) {
-        if (!names || names.length === 0) {
-            vscode.window.showErrorMessage('Package list not available. Please check your internet connection and try again.');
-            return false;
-        }
-        return true;
-    }
-
     /**
      * Check if a file exists in the workspace
      * @param {Object} workspaceFolder - VS Code workspace folder
@@ -70,35 +66,100 @@ class CommandBase {
     }
 
     /**
-     * Execute a UV command in terminal
-     * @param {string} command - The UV command to execute
-     * @param {string} successMessage - Message to show on success
-     * @param {string} terminalEcho - Echo message for terminal
-     * @returns {Promise<void>}
+     * Get the default working directory for commands
+     * @returns {string|undefined} Active (or first) workspace folder path, if any
+     */
+    static getDefaultCwd() {
+        const workspaceFolder = getActiveWorkspaceFolder() || getWorkspaceFolders()[0];
+        return workspaceFolder ? workspaceFolder.uri.fsPath : undefined;
+    }
+
+    /**
+     * Execute a command as a child process with a cancellable progress notification
+     * @param {string} executable - Executable to run
+     * @param {string[]} args - Command arguments
+     * @param {Object} options - Execution options
+     * @param {string} options.title - Progress notification title
+     * @param {string} [options.successMessage] - Message to show when the command exits with code 0
+     * @param {string} [options.cwd] - Working directory (defaults to the workspace folder)
+     * @param {boolean} [options.quiet] - Do not show the cancelled and failure messages; the caller reports them
+     * @returns {Promise<Object>} Process result with success, code, stdout, stderr and cancelled
      */
-    static async executeUvCommand(command, successMessage, terminalEcho = null) {
+    static async executeCommand(executable, args, options = {}) {
+        // Masks index credentials, which would otherwise show up in the cancelled and failure messages
+        const commandLabel = formatCommandLine(path.basename(executable), args);
+        const title = options.title || `Running ${commandLabel}...`;
+
         try {
-            const terminal = getOrCreateTerminal();
-            const uvCommand = await getUvCommand();
-            setupTerminalEnvironment(terminal, uvCommand);
-            
-            const fullCommand = terminalEcho 
-                ? `${uvCommand} ${command} && echo "${terminalEcho}"`
-                : `${uvCommand} ${command}`;
-            
-            terminal.sendText(fullCommand);
-            terminal.show();
-            
-            if (successMessage) {
-                vscode.window.showInformationMessage(successMessage);
+            const result = await runWithProgress(title, executable, args, {
+                cwd: options.cwd || CommandBase.getDefaultCwd(),
+                env: options.env
+            });
+
+            if (result.success) {
+                if (options.successMessage) {
+                    vscode.window.showInformationMessage(options.successMessage);
+                }
+            } else if (options.quiet) {
+                console.log(`${commandLabel} ${result.cancelled ? 'cancelled' : `failed (exit code ${result.code})`}`);
+            } else if (result.cancelled) {
+                vscode.window.showWarningMessage(`⚠️ Cancelled: ${commandLabel}`);
+            } else {
+                CommandBase.showCommandFailure(commandLabel, result);
             }
+
+            return result;
         } catch (error) {
-            console.error(`❌ Error executing UV command: ${command}`, error);
+            console.error(`❌ Error executing command: ${commandLabel}`, error);
             vscode.window.showErrorMessage(`❌ Failed to execute command: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Execute a uv command as a child process, adding the configured package index flags
+     * @param {string[]} args - Arguments passed to uv
+     * @param {Object} options - Execution options (see executeCommand)
+     * @returns {Promise<Object>} Process result
+     */
+    static async executeUvCommand(args, options = {}) {
+        const uvExecutable = await getUvExecutable();
+        const cwd = options.cwd || CommandBase.getDefaultCwd();
+        return await CommandBase.executeCommand(uvExecutable, withIndexArgs('uv', args, cwd), {
+            ...options,
+            cwd,
+            // Target the configured virtual environment of the folder (pyCage.venv.path)
+            env: { ...getVenvEnvironment(cwd), ...options.env }
+        });
+    }
+
+    /**
+     * Execute a pip command as a child process, adding the configured package index flags
+     * @param {string[]} args - Arguments passed to pip
+     * @param {Object} options - Execution options (see executeCommand)
+     * @returns {Promise<Object>} Process result
+     */
+    static async executePipCommand(args, options = {}) {
+        return await CommandBase.executeCommand('pip', withIndexArgs('pip', args, options.cwd || CommandBase.getDefaultCwd()), options);
+    }
+
+    /**
+     * Show an error for a failed command, offering to open the output channel
+     * @param {string} commandLabel - Human readable command
+     * @param {Object} result - Process result
+     */
+    static async showCommandFailure(commandLabel, result) {
+        const lastLine = maskCredentials((result.stderr || '').trim().split(/\r?\n/).pop());
+        const detail = lastLine ? `: ${lastLine}` : '';
+        const choice = await vscode.window.showErrorMessage(
+            `❌ ${commandLabel} failed (exit code ${result.code})${detail}`,
+            'Show Output'
+        );
+        if (choice === 'Show Output') {
+            getOutputChannel().show();
+        }
+    }
+
     /**
      * Show confirmation dialog
      * @param {string} message - Confirmation message
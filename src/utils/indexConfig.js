@@ -0,0 +1,91 @@
+const vscode = require('vscode');
+const https = require('https');
+
+/**
+ * Reads the package index settings
+ * The settings are resource scoped: in multi-root workspaces each folder can use its own indexes.
+ * @param {string} [cwd] - Directory whose workspace folder settings apply
+ * @returns {Object} { indexUrl, extraIndexUrls, trustedHosts }
+ */
+function getIndexSettings(cwd) {
+    const config = vscode.workspace.getConfiguration('pyCage', cwd ? vscode.Uri.file(cwd) : undefined);
+    const clean = values => (Array.isArray(values) ? values : [])
+        .map(value => String(value).trim())
+        .filter(Boolean);
+
+    return {
+        indexUrl: (config.get('index.url') || '').trim(),
+        extraIndexUrls: clean(config.get('index.extraUrls')),
+        trustedHosts: clean(config.get('index.trustedHosts'))
+    };
+}
+
+// Subcommands that resolve packages and therefore accept index flags
+const UV_INDEX_SUBCOMMANDS = ['add', 'remove', 'lock', 'sync', 'export', 'venv', 'pip install', 'pip sync', 'pip compile', 'pip list'];
+const PIP_INDEX_SUBCOMMANDS = ['install', 'download', 'wheel', 'list'];
+
+/**
+ * Builds uv/pip command line flags for the configured indexes
+ * @param {string} tool - 'uv' or 'pip' (trusted hosts use different flags)
+ * @param {string} [cwd] - Working directory of the command (selects the folder settings)
+ * @returns {string[]} Index flags
+ */
+function getIndexArgs(tool, cwd) {
+    const settings = getIndexSettings(cwd);
+    const args = [];
+    if (settings.indexUrl) {
+        args.push('--index-url', settings.indexUrl);
+    }
+    settings.extraIndexUrls.forEach(url => args.push('--extra-index-url', url));
+    settings.trustedHosts.forEach(host => args.push(tool === 'pip' ? '--trusted-host' : '--allow-insecure-host', host));
+    return args;
+}
+
+/**
+ * Inserts the configured index flags after the subcommand, if that subcommand resolves packages
+ * @param {string} tool - 'uv' or 'pip'
+ * @param {string[]} args - Command arguments (e.g. ['pip', 'install', 'requests'])
+ * @param {string} [cwd] - Working directory of the command (selects the folder settings)
+ * @returns {string[]} Arguments including index flags
+ */
+function withIndexArgs(tool, args, cwd) {
+    const subcommandLength = tool === 'uv' && args[0] === 'pip' ? 2 : 1;
+    const subcommand = args.slice(0, subcommandLength).join(' ');
+    const supported = tool === 'uv' ? UV_INDEX_SUBCOMMANDS : PIP_INDEX_SUBCOMMANDS;
+    if (!supported.includes(subcommand)) {
+        return args;
+    }
+
+    const indexArgs = getIndexArgs(tool, cwd);
+    if (indexArgs.length === 0) {
+        return args;
+    }
+    return [...args.slice(0, subcommandLength), ...indexArgs, ...args.slice(subcommandLength)];
+}
+
+/**
+ * Gets axios request options for a URL, skipping certificate checks for trusted hosts
+ * @param {string} url - Request URL
+ * @param {string} [cwd] - Directory whose workspace folder settings apply
+ * @returns {Object} axios request options
+ */
+function getRequestOptions(url, cwd) {
+    const options = { timeout: 15000 };
+    try {
+        const { hostname, host } = new URL(url);
+        const { trustedHosts } = getIndexSettings(cwd);
+        if (trustedHosts.includes(hostname) || trustedHosts.includes(host)) {
+            options.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+        }
+    } catch (error) {
+        console.error(`Invalid index URL ${url}:`, error.message);
+    }
+    return options;
+}
+
+module.exports = {
+    getIndexSettings,
+    getIndexArgs,
+    withIndexArgs,
+    getRequestOptions
+};
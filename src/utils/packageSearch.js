@@ -1,4 +1,8 @@
 const vscode = require('vscode');
+const { normalizePackageName } = require('./pep508');
+const { fetchPackageMetadata, isNotFoundError, getReleaseVersions } = require('./pypiClient');
+const { isValidSpecifier, parseVersion } = require('./pep440');
+const { getIndexSettings } = require('./indexConfig');
 
 /**
  * Calculate keyword similarity score between search term and package name
@@ -60,78 +64,455 @@ function calculateWeightedScore(pkg, searchTerm, maxDownloads) {
     return (exponentialDownloadScore * 0.8) + (similarityScore * 0.2);
 }
 
+// Index lookups: indexes + normalized name -> { name, version, summary }, or null when the package does not exist
+const packageInfoCache = new Map();
+const PACKAGE_INFO_CACHE_LIMIT = 500;
+const LOOKUP_DELAY_MS = 300;
+const LOOKUP_TOP_MATCHES = 5;
+
+/**
+ * Build the package info cache key, so folders using different indexes don't share results
+ * @param {string} name - Package name
+ * @param {string} [cwd] - Workspace folder path (selects the folder's index settings)
+ * @returns {string} Cache key
+ */
+function getPackageInfoKey(name, cwd) {
+    const { indexUrl, extraIndexUrls } = getIndexSettings(cwd);
+    return [indexUrl, ...extraIndexUrls, normalizePackageName(name)].join('\n');
+}
+
+/**
+ * Look up a package's latest version and summary on the configured index
+ * @param {string} name - Package name
+ * @param {AbortSignal} signal - Aborts the request
+ * @param {string} [cwd] - Workspace folder path (selects the folder's index settings)
+ * @returns {Promise<Object|null|undefined>} Package info, null if not found, undefined if the lookup failed
+ */
+async function lookupPackageInfo(name, signal, cwd) {
+    const key = getPackageInfoKey(name, cwd);
+    if (packageInfoCache.has(key)) {
+        return packageInfoCache.get(key);
+    }
+
+    let info;
+    try {
+        const metadata = await fetchPackageMetadata(name, { signal, cwd });
+        info = {
+            name: (metadata.info && metadata.info.name) || name,
+            version: metadata.info ? metadata.info.version : null,
+            summary: (metadata.info && metadata.info.summary) || ''
+        };
+    } catch (error) {
+        if (signal.aborted) return undefined;
+        if (!isNotFoundError(error)) {
+            console.log(`Package lookup for ${name} failed: ${error.message}`);
+            return undefined;
+        }
+        info = null;
+    }
+
+    if (packageInfoCache.size >= PACKAGE_INFO_CACHE_LIMIT) {
+        packageInfoCache.delete(packageInfoCache.keys().next().value);
+    }
+    packageInfoCache.set(key, info);
+    return info;
+}
+
+/**
+ * Rank the popular packages that match a search term
+ * @param {Array} names - Array of package objects
+ * @param {string} value - Search term
+ * @returns {Array} Matching package objects, best first
+ */
+function rankPopularMatches(names, value) {
+    const filter = (value || '').toLowerCase();
+    const matches = names.filter(pkg =>
+        pkg.project && pkg.project.toLowerCase().includes(filter)
+    );
+    
+    // If no search term, just sort by downloads
+    if (!filter) {
+        matches.sort((a, b) => (b.download_count || 0) - (a.download_count || 0));
+    } else {
+        // Sort by downloads first to get top matches, then use top 20 for normalization
+        matches.sort((a, b) => (b.download_count || 0) - (a.download_count || 0));
+        const topMatches = matches.slice(0, 20);
+        const maxMatchDownloads = Math.max(...topMatches.map(pkg => pkg.download_count || 0));
+        
+        // Calculate weighted scores
+        matches.forEach(pkg => {
+            pkg._weightedScore = calculateWeightedScore(pkg, filter, maxMatchDownloads);
+        });
+        
+        // Sort by weighted scores (highest first)
+        matches.sort((a, b) => {
+            const scoreA = a._weightedScore || 0;
+            const scoreB = b._weightedScore || 0;
+            return scoreB - scoreA;
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Compute the edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Suggest a popular package for a name that may be misspelled
+ * Short names allow one edit, longer names two; ties go to the more downloaded package.
+ * @param {Array} names - Array of package objects
+ * @param {string} name - Name as written
+ * @returns {string|null} Suggested project name or null
+ */
+function suggestPackageName(names, name) {
+    const target = normalizePackageName(name);
+    const maxDistance = target.length <= 4 ? 1 : 2;
+    let best = null;
+
+    names.forEach(pkg => {
+        if (!pkg.project) return;
+        const candidate = normalizePackageName(pkg.project);
+        if (candidate === target || Math.abs(candidate.length - target.length) > maxDistance) return;
+
+        const distance = editDistance(target, candidate);
+        if (distance > maxDistance) return;
+        if (!best || distance < best.distance ||
+            (distance === best.distance && (pkg.download_count || 0) > (best.pkg.download_count || 0))) {
+            best = { pkg, distance };
+        }
+    });
+
+    return best ? best.pkg.project : null;
+}
+
+/**
+ * Build the description of a package item from its index info and download count
+ * @param {Object|null|undefined} info - Looked up package info
+ * @param {number} downloadCount - Download count from the popular list
+ * @returns {string|undefined} Description text
+ */
+function describePackage(info, downloadCount) {
+    const parts = [];
+    if (info && info.version) parts.push(`v${info.version}`);
+    if (downloadCount) parts.push(`Downloads: ${downloadCount.toLocaleString()}`);
+    return parts.length > 0 ? parts.join(' · ') : undefined;
+}
+
 /**
  * Show a searchable quick pick for selecting packages
+ * The popular list is filtered locally while the typed name and the top matches are
+ * looked up on the package index (debounced), adding summaries and latest versions.
+ * In multi-select mode, checked packages are kept in a basket shown above the results
+ * of every new search query.
  * @param {Array} names - Array of package objects
  * @param {string} placeHolder - Placeholder text for the quick pick
- * @returns {Promise} Promise that resolves to the selected item
+ * @param {Object} [options] - Quick pick options
+ * @param {boolean} [options.canSelectMany] - Enable the multi-select basket
+ * @param {string} [options.cwd] - Workspace folder path whose index settings the lookups use
+ * @returns {Promise} Promise that resolves to the selected item (or array of items in multi-select mode)
  */
-async function showPopularQuickPick(names, placeHolder) {
+async function showPopularQuickPick(names, placeHolder, options = {}) {
+    const canSelectMany = Boolean(options.canSelectMany);
+    const cwd = options.cwd;
+
     return new Promise(resolve => {
         const qp = vscode.window.createQuickPick();
-        qp.placeholder = placeHolder;
+        qp.placeholder = names.length > 0
+            ? placeHolder
+            : 'Package list unavailable - type the exact name of a Python package';
         qp.matchOnDescription = false; // Disable VS Code's built-in description matching
         qp.matchOnDetail = false; // Disable VS Code's built-in detail matching
-        qp.canSelectMany = false;
-        qp.ignoreFocusOut = false;
+        qp.canSelectMany = canSelectMany;
+        qp.ignoreFocusOut = canSelectMany;
+
+        // Basket of checked packages (normalized name -> quick pick item), kept across queries
+        const basket = new Map();
+
+        const updateTitle = () => {
+            qp.title = basket.size > 0
+                ? `Basket (${basket.size}): ${[...basket.values()].map(item => item.packageName).join(', ')}`
+                : undefined;
+        };
+
+        let lookupTimer = null;
+        let lookupController = null;
+
+        const cancelLookup = () => {
+            if (lookupTimer) {
+                clearTimeout(lookupTimer);
+                lookupTimer = null;
+            }
+            if (lookupController) {
+                lookupController.abort();
+                lookupController = null;
+            }
+            qp.busy = false;
+        };
 
         const updateItems = (value) => {
-            const filter = (value || '').toLowerCase();
-            const matches = names.filter(pkg =>
-                pkg.project && pkg.project.toLowerCase().includes(filter)
-            );
-            
-            // If no search term, just sort by downloads
-            if (!filter) {
-                matches.sort((a, b) => (b.download_count || 0) - (a.download_count || 0));
-            } else {
-                // Sort by downloads first to get top matches, then use top 20 for normalization
-                matches.sort((a, b) => (b.download_count || 0) - (a.download_count || 0));
-                const topMatches = matches.slice(0, 20);
-                const maxMatchDownloads = Math.max(...topMatches.map(pkg => pkg.download_count || 0));
-                
-                // Calculate weighted scores
-                matches.forEach(pkg => {
-                    pkg._weightedScore = calculateWeightedScore(pkg, filter, maxMatchDownloads);
-                });
-                
-                // Sort by weighted scores (highest first)
-                matches.sort((a, b) => {
-                    const scoreA = a._weightedScore || 0;
-                    const scoreB = b._weightedScore || 0;
-                    return scoreB - scoreA;
+            const typedName = (value || '').trim();
+            const matches = rankPopularMatches(names, typedName);
+
+            const items = matches.slice(0, 200).map((pkg, index) => {
+                const info = packageInfoCache.get(getPackageInfoKey(pkg.project, cwd));
+                return {
+                    label: `${String(index + 1).padStart(2, '0')}. ${pkg.project}`,
+                    description: describePackage(info, pkg.download_count),
+                    detail: info && info.summary ? info.summary : undefined,
+                    packageName: pkg.project
+                };
+            });
+
+            // Offer the exact typed name when it is not part of the popular list
+            const typedKey = normalizePackageName(typedName);
+            if (typedName && !matches.some(pkg => normalizePackageName(pkg.project) === typedKey)) {
+                const info = packageInfoCache.get(getPackageInfoKey(typedName, cwd));
+                items.unshift({
+                    label: info ? info.name : typedName,
+                    description: info
+                        ? `${describePackage(info, 0)} · from package index`
+                        : (info === null ? 'Not found on the package index - install anyway' : 'Install this exact package name'),
+                    detail: info && info.summary ? info.summary : undefined,
+                    alwaysShow: true,
+                    packageName: info ? info.name : typedName
                 });
             }
-            
-            const items = matches.slice(0, 200).map((pkg, index) => ({
-                label: `${String(index + 1).padStart(2, '0')}. ${pkg.project}`,
-                description: pkg.download_count ? `Downloads: ${pkg.download_count.toLocaleString()}` : undefined
-            }));
-            
-            qp.items = items;
+
+            if (!canSelectMany || basket.size === 0) {
+                qp.items = items;
+                return;
+            }
+
+            // Basket entries stay checked on top, whatever the current query is
+            const basketItems = [...basket.values()];
+            const results = items.filter(item => !basket.has(normalizePackageName(item.packageName)));
+            qp.items = [
+                { label: 'Basket', kind: vscode.QuickPickItemKind.Separator },
+                ...basketItems,
+                { label: 'Search results', kind: vscode.QuickPickItemKind.Separator },
+                ...results
+            ];
+            qp.selectedItems = basketItems;
+        };
+
+        const scheduleLookup = (value) => {
+            cancelLookup();
+            const typedName = (value || '').trim();
+            if (!typedName) return;
+
+            lookupTimer = setTimeout(async () => {
+                lookupTimer = null;
+                const candidates = [typedName, ...rankPopularMatches(names, typedName)
+                    .slice(0, LOOKUP_TOP_MATCHES)
+                    .map(pkg => pkg.project)];
+                const pending = candidates.filter(name => !packageInfoCache.has(getPackageInfoKey(name, cwd)));
+                if (pending.length === 0) return;
+
+                const controller = new AbortController();
+                lookupController = controller;
+                qp.busy = true;
+                await Promise.all(pending.map(name => lookupPackageInfo(name, controller.signal, cwd)));
+                if (controller.signal.aborted) return;
+
+                lookupController = null;
+                qp.busy = false;
+                updateItems(qp.value);
+            }, LOOKUP_DELAY_MS);
         };
 
         // Don't call updateItems initially - let user start typing first
-        qp.onDidChangeValue(updateItems);
+        qp.onDidChangeValue(value => {
+            updateItems(value);
+            scheduleLookup(value);
+        });
+        qp.onDidChangeSelection(selected => {
+            if (!canSelectMany) return;
+            basket.clear();
+            selected.forEach(item => {
+                basket.set(normalizePackageName(item.packageName), {
+                    ...item,
+                    label: item.packageName,
+                    alwaysShow: true,
+                    picked: true
+                });
+            });
+            updateTitle();
+        });
         qp.onDidAccept(() => {
-            const sel = qp.selectedItems[0];
+            cancelLookup();
+            if (!canSelectMany) {
+                const sel = qp.selectedItems[0];
+                qp.hide();
+                resolve(sel);
+                return;
+            }
+
+            // Enter without checking anything installs the highlighted package
+            const picks = basket.size > 0
+                ? [...basket.values()]
+                : qp.activeItems.slice(0, 1);
             qp.hide();
-            resolve(sel);
+            resolve(picks.length > 0 ? picks : undefined);
         });
         qp.onDidHide(() => {
+            cancelLookup();
+            qp.dispose();
             resolve(undefined);
         });
         qp.show();
     });
 }
 
+/**
+ * Ask for a custom version specifier
+ * A bare version such as "2.1.0" is treated as "==2.1.0".
+ * @param {string} packageName - Package name
+ * @returns {Promise<string|undefined>} Normalized specifier or undefined if cancelled
+ */
+async function showSpecifierInput(packageName) {
+    const toSpecifier = value => {
+        const trimmed = (value || '').replace(/\s+/g, '');
+        return parseVersion(trimmed) ? `==${trimmed}` : trimmed;
+    };
+
+    const value = await vscode.window.showInputBox({
+        prompt: `Version specifier for ${packageName}`,
+        placeHolder: 'e.g. >=2,<3 or ~=1.4 or 2.1.0',
+        validateInput: input => isValidSpecifier(toSpecifier(input))
+            ? null
+            : 'Enter a PEP 440 version specifier such as >=2,<3'
+    });
+    return value === undefined ? undefined : toSpecifier(value);
+}
+
+/**
+ * Let the user choose a version or version specifier for a package
+ * Lists released versions from the index metadata, marking pre-releases and yanked releases.
+ * @param {string} packageName - Package name
+ * @param {string} [cwd] - Workspace folder path (selects the folder's index settings)
+ * @returns {Promise<string|undefined>} Requirement string (e.g. "requests>=2,<3") or undefined if cancelled
+ */
+async function showVersionQuickPick(packageName, cwd) {
+    const qp = vscode.window.createQuickPick();
+    qp.title = `Version of ${packageName}`;
+    qp.placeholder = 'Press Enter to install the latest version, or pick a version';
+    qp.matchOnDescription = true;
+    qp.busy = true;
+
+    const baseItems = [
+        { label: '$(star) Latest version', description: 'No version constraint', value: '' },
+        { label: '$(edit) Enter a version specifier...', description: 'e.g. >=2,<3', value: null }
+    ];
+    qp.items = baseItems;
+
+    const abortController = new AbortController();
+    fetchPackageMetadata(packageName, { signal: abortController.signal, cwd })
+        .then(metadata => {
+            const versions = getReleaseVersions(metadata);
+            const latest = metadata.info && metadata.info.version;
+            baseItems[0].description = latest ? `${latest} (no version constraint)` : baseItems[0].description;
+
+            const versionItems = versions.map(release => {
+                const tags = [];
+                if (release.prerelease) tags.push('pre-release');
+                if (release.yanked) tags.push(release.yankedReason ? `yanked: ${release.yankedReason}` : 'yanked');
+                if (release.uploadTime) tags.push(String(release.uploadTime).slice(0, 10));
+                return {
+                    label: `${release.yanked ? '$(warning)' : (release.prerelease ? '$(beaker)' : '$(tag)')} ${release.version}`,
+                    description: tags.join(' · '),
+                    value: `==${release.version}`
+                };
+            });
+
+            qp.items = [
+                ...baseItems,
+                { label: 'Released versions', kind: vscode.QuickPickItemKind.Separator },
+                ...versionItems
+            ];
+        })
+        .catch(error => {
+            if (!abortController.signal.aborted) {
+                console.log(`Could not load versions of ${packageName}: ${error.message}`);
+                qp.items = baseItems;
+            }
+        })
+        .finally(() => {
+            qp.busy = false;
+        });
+
+    const choice = await new Promise(resolve => {
+        qp.onDidAccept(() => {
+            resolve(qp.selectedItems[0]);
+            qp.hide();
+        });
+        qp.onDidHide(() => resolve(undefined));
+        qp.show();
+    });
+    abortController.abort();
+    qp.dispose();
+
+    if (!choice) return undefined;
+
+    let specifier = choice.value;
+    if (specifier === null) {
+        specifier = await showSpecifierInput(packageName);
+        if (specifier === undefined) return undefined;
+    }
+    return `${packageName}${specifier}`;
+}
+
+/**
+ * Let the user pick one or more packages and turn them into requirement strings
+ * A single package goes through the version step; a basket of several installs the latest versions.
+ * @param {Array} names - Array of package objects
+ * @param {string} placeHolder - Placeholder text for the quick pick
+ * @param {string} [cwd] - Workspace folder path whose index settings the lookups use
+ * @returns {Promise<string[]|undefined>} Requirement strings or undefined if cancelled
+ */
+async function selectPackageRequirements(names, placeHolder, cwd) {
+    const picks = await showPopularQuickPick(names, placeHolder, { canSelectMany: true, cwd });
+    if (!picks || picks.length === 0) {
+        console.log('Package selection cancelled by user');
+        return undefined;
+    }
+
+    const packageNames = picks.map(getProjectNameFromQuickPick).filter(Boolean);
+    if (packageNames.length === 1) {
+        const requirement = await showVersionQuickPick(packageNames[0], cwd);
+        return requirement ? [requirement] : undefined;
+    }
+    return packageNames.length > 0 ? packageNames : undefined;
+}
+
 /**
  * Extract the project name from a quick pick item
  * @param {Object} item - The selected quick pick item
  * @returns {string|null} The extracted package name
  */
 function getProjectNameFromQuickPick(item) {
-    if (!item || !item.label) return null;
+    if (!item) return null;
+    if (item.packageName) return item.packageName;
+    if (!item.label) return null;
     
     // Remove rank numbers (e.g., "01. python-dotenv" -> "python-dotenv")
     const match = item.label.match(/^\d+\.\s*(.+)$/);
@@ -141,6 +522,10 @@ function getProjectNameFromQuickPick(item) {
 module.exports = {
     calculateKeywordSimilarity,
     calculateWeightedScore,
+    rankPopularMatches,
+    suggestPackageName,
     showPopularQuickPick,
+    showVersionQuickPick,
+    selectPackageRequirements,
     getProjectNameFromQuickPick
 };
@@ -0,0 +1,232 @@
+/**
+ * PEP 440 version parsing, comparison and specifier matching
+ */
+
+const VERSION_PATTERN = /^\s*v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:(?:-(\d+))|(?:[-_.]?(post|rev|r)[-_.]?(\d+)?))?(?:[-_.]?(dev)[-_.]?(\d+)?)?(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?\s*$/i;
+
+const PRE_RELEASE_TAGS = {
+    a: 'a', alpha: 'a',
+    b: 'b', beta: 'b',
+    c: 'rc', rc: 'rc', pre: 'rc', preview: 'rc'
+};
+
+/**
+ * Parse a PEP 440 version string
+ * @param {string} version - Version string (e.g. "2.1.0rc1")
+ * @returns {Object|null} Parsed version or null if the string is not a valid version
+ */
+function parseVersion(version) {
+    if (typeof version !== 'string') return null;
+    const match = version.match(VERSION_PATTERN);
+    if (!match) return null;
+
+    const postNumber = match[5] !== undefined ? match[5] : match[7];
+    return {
+        epoch: match[1] ? parseInt(match[1], 10) : 0,
+        release: match[2].split('.').map(part => parseInt(part, 10)),
+        pre: match[3] ? [PRE_RELEASE_TAGS[match[3].toLowerCase()], parseInt(match[4] || '0', 10)] : null,
+        post: (match[5] !== undefined || match[6]) ? parseInt(postNumber || '0', 10) : null,
+        dev: match[8] ? parseInt(match[9] || '0', 10) : null,
+        local: match[10] ? match[10].toLowerCase() : null,
+        raw: version.trim()
+    };
+}
+
+/**
+ * Check whether a version is a pre-release or development release
+ * @param {string|Object} version - Version string or parsed version
+ * @returns {boolean} True for pre-releases and dev releases
+ */
+function isPrerelease(version) {
+    const parsed = typeof version === 'string' ? parseVersion(version) : version;
+    return Boolean(parsed && (parsed.pre || parsed.dev !== null));
+}
+
+/**
+ * Compare two release segments, padding the shorter one with zeros
+ * @param {number[]} a - First release segment
+ * @param {number[]} b - Second release segment
+ * @returns {number} Negative, zero or positive
+ */
+function compareRelease(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Build a sortable key for the pre/post/dev part of a version
+ * @param {Object} v - Parsed version
+ * @returns {number[]} Comparison key
+ */
+function suffixKey(v) {
+    const preOrder = { a: 0, b: 1, rc: 2 };
+    // A bare dev release (1.0.dev1) sorts before any pre-release of the same version
+    const pre = v.pre
+        ? [preOrder[v.pre[0]], v.pre[1]]
+        : (v.post === null && v.dev !== null ? [-1, 0] : [3, 0]);
+    const post = v.post === null ? -1 : v.post;
+    const dev = v.dev === null ? Infinity : v.dev;
+    return [...pre, post, dev];
+}
+
+/**
+ * Compare two versions
+ * @param {string|Object} a - First version
+ * @param {string|Object} b - Second version
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+    const va = typeof a === 'string' ? parseVersion(a) : a;
+    const vb = typeof b === 'string' ? parseVersion(b) : b;
+    if (!va || !vb) {
+        return String(a).localeCompare(String(b));
+    }
+
+    if (va.epoch !== vb.epoch) return va.epoch - vb.epoch;
+
+    const release = compareRelease(va.release, vb.release);
+    if (release !== 0) return release;
+
+    const ka = suffixKey(va);
+    const kb = suffixKey(vb);
+    for (let i = 0; i < ka.length; i++) {
+        if (ka[i] !== kb[i]) return ka[i] < kb[i] ? -1 : 1;
+    }
+
+    if (va.local === vb.local) return 0;
+    if (!va.local) return -1;
+    if (!vb.local) return 1;
+    return va.local.localeCompare(vb.local);
+}
+
+/**
+ * Split a specifier set like ">=2,<3" into individual clauses
+ * @param {string} specifier - Specifier set
+ * @returns {Object[]} Clauses with operator and version
+ */
+function parseSpecifier(specifier) {
+    if (!specifier) return [];
+    return specifier
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(~=|===|==|!=|<=|>=|<|>)\s*(.+)$/);
+            return match ? { operator: match[1], version: match[2].trim() } : null;
+        });
+}
+
+/**
+ * Check whether a specifier set is syntactically valid
+ * @param {string} specifier - Specifier set
+ * @returns {boolean} True if every clause is valid
+ */
+function isValidSpecifier(specifier) {
+    const clauses = parseSpecifier(specifier);
+    return clauses.length > 0 && clauses.every(clause => {
+        if (!clause) return false;
+        if (clause.operator === '===') return true;
+        const version = clause.version.replace(/\.\*$/, '');
+        return parseVersion(version) !== null;
+    });
+}
+
+/**
+ * Check whether a single specifier clause matches a version
+ * @param {Object} version - Parsed version
+ * @param {Object} clause - Specifier clause
+ * @returns {boolean} True if matched
+ */
+function matchesClause(version, clause) {
+    const { operator } = clause;
+
+    if (operator === '===') {
+        return version.raw === clause.version;
+    }
+
+    if ((operator === '==' || operator === '!=') && clause.version.endsWith('.*')) {
+        const prefix = parseVersion(clause.version.slice(0, -2));
+        if (!prefix) return false;
+        const matches = version.epoch === prefix.epoch &&
+            prefix.release.every((part, index) => (version.release[index] || 0) === part);
+        return operator === '==' ? matches : !matches;
+    }
+
+    const target = parseVersion(clause.version);
+    if (!target) return false;
+
+    // Local versions are ignored unless the specifier has one
+    const candidate = target.local ? version : { ...version, local: null };
+    const cmp = compareVersions(candidate, target);
+
+    switch (operator) {
+        case '==': return cmp === 0;
+        case '!=': return cmp !== 0;
+        case '<=': return cmp <= 0;
+        case '>=': return cmp >= 0;
+        case '<':
+            // <V excludes pre-releases of V itself
+            return cmp < 0 && !(isPrerelease(version) && !isPrerelease(target) &&
+                compareRelease(version.release, target.release) === 0);
+        case '>':
+            // >V excludes post-releases of V unless V is a post-release
+            return cmp > 0 && !(version.post !== null && target.post === null &&
+                compareRelease(version.release, target.release) === 0);
+        case '~=': {
+            if (target.release.length < 2) return false;
+            const prefix = target.release.slice(0, -1);
+            return cmp >= 0 && prefix.every((part, index) => (version.release[index] || 0) === part);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check whether a version satisfies a specifier set
+ * @param {string} version - Version string
+ * @param {string} specifier - Specifier set such as ">=2,<3" (empty matches everything)
+ * @returns {boolean} True if the version satisfies every clause
+ */
+function satisfies(version, specifier) {
+    const parsed = parseVersion(version);
+    if (!parsed) return false;
+    const clauses = parseSpecifier(specifier);
+    if (clauses.some(clause => !clause)) return false;
+    return clauses.every(clause => matchesClause(parsed, clause));
+}
+
+/**
+ * Check whether moving from one version to another stays within an upgrade level
+ * @param {string} current - Currently installed version
+ * @param {string} candidate - Candidate version
+ * @param {string} level - 'patch' (same major.minor), 'minor' (same major) or 'latest'
+ * @returns {boolean} True if candidate is newer than current and within the level
+ */
+function isUpgradeWithin(current, candidate, level) {
+    const from = parseVersion(current);
+    const to = parseVersion(candidate);
+    if (!from || !to || compareVersions(to, from) <= 0) return false;
+    if (level === 'latest') return true;
+    if (from.epoch !== to.epoch) return false;
+
+    const fixedParts = level === 'patch' ? 2 : 1;
+    for (let i = 0; i < fixedParts; i++) {
+        if ((from.release[i] || 0) !== (to.release[i] || 0)) return false;
+    }
+    return true;
+}
+
+module.exports = {
+    parseVersion,
+    isPrerelease,
+    compareVersions,
+    parseSpecifier,
+    isValidSpecifier,
+    satisfies,
+    isUpgradeWithin
+};
@@ -0,0 +1,91 @@
+/**
+ * PEP 508 dependency specifier parsing and PEP 503 name normalization
+ */
+
+const REQUIREMENT_PATTERN = /^\s*([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*(?:\[([^\]]*)\])?\s*(.*)$/;
+
+/**
+ * Normalize a package name as described in PEP 503
+ * @param {string} name - Package name
+ * @returns {string} Normalized name (lowercase, runs of -_. replaced by -)
+ */
+function normalizePackageName(name) {
+    return (name || '').toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Parse a PEP 508 requirement string
+ * @param {string} requirement - Requirement such as "requests[socks]>=2.0; python_version < '3.12'"
+ * @returns {Object|null} Parsed requirement (name, extras, specifier, url, marker) or null if invalid
+ */
+function parseRequirement(requirement) {
+    if (typeof requirement !== 'string') return null;
+    const match = requirement.match(REQUIREMENT_PATTERN);
+    if (!match) return null;
+
+    const name = match[1];
+    const extras = match[2]
+        ? match[2].split(',').map(extra => extra.trim()).filter(Boolean)
+        : [];
+    let rest = match[3].trim();
+    let url = null;
+    let marker = null;
+
+    if (rest.startsWith('@')) {
+        // URL requirements need whitespace before the marker separator
+        const markerIndex = rest.search(/\s;/);
+        url = (markerIndex === -1 ? rest.slice(1) : rest.slice(1, markerIndex)).trim();
+        rest = markerIndex === -1 ? '' : rest.slice(markerIndex).trim();
+        if (!url) return null;
+    }
+
+    const semicolon = rest.indexOf(';');
+    if (semicolon !== -1) {
+        marker = rest.slice(semicolon + 1).trim() || null;
+        rest = rest.slice(0, semicolon).trim();
+    }
+
+    let specifier = rest;
+    if (specifier.startsWith('(') && specifier.endsWith(')')) {
+        specifier = specifier.slice(1, -1).trim();
+    }
+    if (url && specifier) return null;
+    if (specifier && !/^(~=|===|==|!=|<=|>=|<|>)/.test(specifier)) return null;
+
+    return {
+        name,
+        normalizedName: normalizePackageName(name),
+        extras,
+        specifier: specifier.replace(/\s+/g, ''),
+        url,
+        marker,
+        raw: requirement.trim()
+    };
+}
+
+/**
+ * Build a requirement string from its parts
+ * @param {Object} requirement - Requirement with name, extras, specifier, url and marker
+ * @returns {string} PEP 508 requirement string
+ */
+function formatRequirement(requirement) {
+    const extras = requirement.extras && requirement.extras.length > 0
+        ? `[${requirement.extras.join(',')}]`
+        : '';
+    let result = `${requirement.name}${extras}`;
+    if (requirement.url) {
+        result += ` @ ${requirement.url}`;
+    } else if (requirement.specifier) {
+        result += requirement.specifier;
+    }
+    if (requirement.marker) {
+        result += `${requirement.url ? ' ' : ''}; ${requirement.marker}`;
+    }
+    return result;
+}
+
+module.exports = {
+    normalizePackageName,
+    parseRequirement,
+    formatRequirement
+};
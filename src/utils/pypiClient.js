@@ -0,0 +1,175 @@
+const axios = require('axios');
+const { parseVersion, isPrerelease, compareVersions } = require('./pep440');
+const { getIndexSettings } = require('./indexConfig');
+const { fetchProjectFiles } = require('./simpleIndex');
+const { normalizePackageName } = require('./pep508');
+
+const PYPI_JSON_URL = 'https://pypi.org/pypi';
+
+/**
+ * Build PyPI-JSON-shaped metadata from the files listed in a simple index
+ * @param {string} indexUrl - Simple index root URL
+ * @param {string} name - Package name
+ * @param {Object} options - Request options (see fetchPackageMetadata)
+ * @returns {Promise<Object>} Metadata with info and releases
+ */
+async function fetchSimpleIndexMetadata(indexUrl, name, options) {
+    const files = await fetchProjectFiles(indexUrl, name, options);
+    if (files.length === 0) {
+        const error = new Error(`${name} was not found on ${indexUrl}`);
+        error.notFound = true;
+        throw error;
+    }
+
+    const releases = {};
+    files.forEach(file => {
+        if (!releases[file.version]) releases[file.version] = [];
+        releases[file.version].push({
+            filename: file.filename,
+            yanked: file.yanked,
+            yanked_reason: file.yankedReason,
+            upload_time_iso_8601: file.uploadTime
+        });
+    });
+
+    const stable = Object.keys(releases)
+        .filter(version => !isPrerelease(version) && releases[version].some(file => !file.yanked))
+        .sort(compareVersions);
+    const all = Object.keys(releases).sort(compareVersions);
+
+    return {
+        info: {
+            name,
+            version: stable.length > 0 ? stable[stable.length - 1] : all[all.length - 1],
+            summary: ''
+        },
+        releases
+    };
+}
+
+/**
+ * Fetch package metadata from the configured index (PyPI JSON API by default)
+ * Packages the primary index does not have are looked up on the extra indexes in order, the way uv picks
+ * the first index that has a package.
+ * @param {string} name - Package name
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} [options.cwd] - Directory whose workspace folder index settings apply
+ * @returns {Promise<Object>} Metadata with info and releases
+ */
+async function fetchPackageMetadata(name, options = {}) {
+    const { indexUrl, extraIndexUrls } = getIndexSettings(options.cwd);
+    try {
+        if (indexUrl) {
+            return await fetchSimpleIndexMetadata(indexUrl, name, options);
+        }
+        const res = await axios.get(`${PYPI_JSON_URL}/${encodeURIComponent(name)}/json`, {
+            timeout: 10000,
+            signal: options.signal
+        });
+        return res.data;
+    } catch (error) {
+        if (!isNotFoundError(error)) throw error;
+        for (const extraIndexUrl of extraIndexUrls) {
+            try {
+                return await fetchSimpleIndexMetadata(extraIndexUrl, name, options);
+            } catch (extraError) {
+                if (!isNotFoundError(extraError)) throw extraError;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether a metadata request failed because the package does not exist
+ * @param {Error} error - Error thrown by fetchPackageMetadata
+ * @returns {boolean} True for "not found" errors
+ */
+function isNotFoundError(error) {
+    return Boolean((error.response && error.response.status === 404) || error.notFound);
+}
+
+/**
+ * List the released versions of a package, newest first
+ * @param {Object} metadata - Metadata returned by fetchPackageMetadata
+ * @returns {Object[]} Versions ({ version, prerelease, yanked, yankedReason, uploadTime })
+ */
+function getReleaseVersions(metadata) {
+    const releases = (metadata && metadata.releases) || {};
+    return Object.keys(releases)
+        .filter(version => parseVersion(version) !== null)
+        .map(version => {
+            const files = releases[version] || [];
+            const yankedFile = files.find(file => file.yanked);
+            return {
+                version,
+                prerelease: isPrerelease(version),
+                // A release counts as yanked only when every file was yanked
+                yanked: files.length > 0 && files.every(file => file.yanked),
+                yankedReason: yankedFile ? yankedFile.yanked_reason || null : null,
+                uploadTime: files.length > 0 ? files[0].upload_time_iso_8601 || files[0].upload_time : null
+            };
+        })
+        .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// Package lookups per index and normalized package name, for editor features that ask repeatedly
+const LOOKUP_TTL_MS = 60 * 60 * 1000;
+const FAILED_LOOKUP_TTL_MS = 5 * 60 * 1000;
+const lookupCache = new Map();
+
+/**
+ * Look up a package on the configured index, cached for an hour (failed lookups for five minutes)
+ * @param {string} name - Package name
+ * @param {string} [cwd] - Directory whose workspace folder index settings apply
+ * @returns {Promise<Object|null>} { found: false } for unknown packages, { found: true, version, summary, versions }
+ * otherwise (versions as returned by getReleaseVersions), or null if the index could not be reached
+ */
+function lookupPackage(name, cwd) {
+    // Folders of a multi-root workspace can use different indexes
+    const { indexUrl, extraIndexUrls } = getIndexSettings(cwd);
+    const key = [indexUrl, ...extraIndexUrls, normalizePackageName(name)].join('\n');
+    const cached = lookupCache.get(key);
+    if (cached && Date.now() < cached.expiresAt) {
+        return cached.promise;
+    }
+
+    const entry = { expiresAt: Date.now() + LOOKUP_TTL_MS };
+    entry.promise = fetchPackageMetadata(name, { cwd })
+        .then(metadata => ({
+            found: true,
+            version: (metadata.info && metadata.info.version) || null,
+            summary: (metadata.info && metadata.info.summary) || '',
+            versions: getReleaseVersions(metadata)
+        }))
+        .catch(error => {
+            if (isNotFoundError(error)) {
+                return { found: false };
+            }
+            console.log(`Could not look up ${name}: ${error.message}`);
+            entry.expiresAt = Date.now() + FAILED_LOOKUP_TTL_MS;
+            return null;
+        });
+    lookupCache.set(key, entry);
+    return entry.promise;
+}
+
+/**
+ * Get the latest version and summary of a package (cached, see lookupPackage)
+ * @param {string} name - Package name
+ * @param {string} [cwd] - Directory whose workspace folder index settings apply
+ * @returns {Promise<Object|null>} { version, summary } or null if the package is unknown or the index could not be reached
+ */
+async function fetchLatestVersion(name, cwd) {
+    const info = await lookupPackage(name, cwd);
+    return info && info.found ? { version: info.version, summary: info.summary } : null;
+}
+
+module.exports = {
+    fetchPackageMetadata,
+    fetchLatestVersion,
+    lookupPackage,
+    isNotFoundError,
+    getReleaseVersions
+};
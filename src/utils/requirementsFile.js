@@ -0,0 +1,248 @@
+/**
+ * pip requirements file parsing (requirements.txt, constraints and .in files)
+ */
+
+const { parseRequirement } = require('./pep508');
+
+// Options that take a value as the next token when no "=" is used
+const OPTIONS_WITH_VALUE = [
+    '-r', '--requirement', '-c', '--constraint', '-e', '--editable',
+    '-i', '--index-url', '--extra-index-url', '-f', '--find-links',
+    '--trusted-host', '--no-binary', '--only-binary', '--hash',
+    '--config-settings', '--global-option'
+];
+
+// Local archives are not PEP 508 names even though they look like one ("pkg-1.0.tar.gz")
+const ARCHIVE_PATTERN = /\.(whl|zip|tar\.gz|tar\.bz2|tar\.xz|tgz)$/i;
+
+/**
+ * Joins continuation lines and strips comments, keeping the position of every character
+ * @param {string} text - File contents
+ * @returns {Object[]} Logical lines ({ text, positions }), positions[i] is the { line, character } of text[i]
+ */
+function toLogicalLines(text) {
+    const physicalLines = text.split(/\r?\n/);
+    const logicalLines = [];
+    let current = null;
+
+    physicalLines.forEach((rawLine, lineIndex) => {
+        // A comment starts at "#" at the beginning of the line or after whitespace
+        const commentMatch = rawLine.match(/(^|\s)#/);
+        let content = commentMatch ? rawLine.slice(0, commentMatch.index) : rawLine;
+        const continued = /\\\s*$/.test(content) && !commentMatch;
+        if (continued) {
+            content = content.replace(/\\\s*$/, '');
+        }
+
+        if (!current) {
+            current = { text: '', positions: [] };
+        } else {
+            // Continuation lines are joined with a space so tokens do not run together
+            current.text += ' ';
+            current.positions.push({ line: lineIndex, character: 0 });
+        }
+        for (let i = 0; i < content.length; i++) {
+            current.text += content[i];
+            current.positions.push({ line: lineIndex, character: i });
+        }
+
+        if (!continued) {
+            logicalLines.push(current);
+            current = null;
+        }
+    });
+    if (current) {
+        logicalLines.push(current);
+    }
+    return logicalLines;
+}
+
+/**
+ * Splits a logical line into whitespace separated tokens
+ * @param {string} text - Logical line
+ * @returns {Object[]} Tokens ({ text, start, end }) with offsets into the line
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Reads the options of a line into { name, value, start, end } entries
+ * Supports "--opt value", "--opt=value" and the short form "-rfile".
+ * @param {Object[]} tokens - Tokens starting with an option
+ * @returns {Object[]} Options; start and end are the offsets of the value (or the option without one)
+ */
+function readOptions(tokens) {
+    const options = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!token.text.startsWith('-')) {
+            // Stray value; keep it so the caller can flag it
+            options.push({ name: null, value: token.text, start: token.start, end: token.end });
+            continue;
+        }
+
+        const equals = token.text.indexOf('=');
+        if (token.text.startsWith('--') && equals !== -1) {
+            options.push({
+                name: token.text.slice(0, equals),
+                value: token.text.slice(equals + 1),
+                start: token.start + equals + 1,
+                end: token.end
+            });
+        } else if (/^-[a-z]./i.test(token.text)) {
+            const valueOffset = token.text[2] === '=' ? 3 : 2;
+            options.push({
+                name: token.text.slice(0, 2),
+                value: token.text.slice(valueOffset),
+                start: token.start + valueOffset,
+                end: token.end
+            });
+        } else if (OPTIONS_WITH_VALUE.includes(token.text) && i + 1 < tokens.length) {
+            const next = tokens[++i];
+            options.push({ name: token.text, value: next.text, start: next.start, end: next.end });
+        } else {
+            options.push({ name: token.text, value: null, start: token.start, end: token.end });
+        }
+    }
+    return options;
+}
+
+/**
+ * Gets the project name of a direct reference from its "#egg=" fragment
+ * @param {string} target - URL or path
+ * @returns {string|null} Project name or null
+ */
+function getEggName(target) {
+    const match = target.match(/[#&]egg=([A-Za-z0-9][A-Za-z0-9._-]*)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Checks whether a requirement line is a URL or local path rather than a PEP 508 requirement
+ * @param {string} text - Requirement part of the line
+ * @returns {boolean} True for URLs, paths and archives
+ */
+function isDirectReference(text) {
+    if (/\s@\s|^[A-Za-z0-9][A-Za-z0-9._-]*\s*(\[[^\]]*\])?\s*@/.test(text)) return false;
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ||
+        /^(\.{1,2}|~)?[/\\]/.test(text) ||
+        /^\.{1,2}$/.test(text) ||
+        /^[A-Za-z]:[/\\]/.test(text) ||
+        ARCHIVE_PATTERN.test(text);
+}
+
+/**
+ * Parses a pip requirements file
+ * Every non-empty logical line becomes an entry with a kind:
+ * - 'requirement': PEP 508 requirement ({ requirement, hashes, editable })
+ * - 'include': -r / -c line ({ option: 'requirement' or 'constraint', path })
+ * - 'reference': URL or local path, plain or editable ({ target, name, editable, hashes })
+ * - 'option': any other option line ({ name, value })
+ * - 'invalid': a line that is none of these ({ message })
+ * Entries carry the 0-based { line, character } start and end of their main part (the requirement,
+ * the included path or the target), so editor features can point at it.
+ * @param {string} text - File contents
+ * @returns {Object[]} Entries in file order
+ */
+function parseRequirementsFile(text) {
+    const entries = [];
+
+    toLogicalLines(text).forEach(logical => {
+        const tokens = tokenize(logical.text);
+        if (tokens.length === 0) return;
+
+        const range = (start, end) => ({
+            start: logical.positions[start],
+            // end is exclusive; point just past the last character
+            end: { ...logical.positions[end - 1], character: logical.positions[end - 1].character + 1 }
+        });
+
+        // Requirement lines end where the first option starts (pip splits them the same way)
+        const optionIndex = tokens.findIndex(token => token.text.startsWith('-'));
+        const options = readOptions(optionIndex === -1 ? [] : tokens.slice(optionIndex));
+        const hashes = options.filter(option => option.name === '--hash' && option.value).map(option => option.value);
+
+        if (optionIndex === 0) {
+            const [first, ...rest] = options;
+            const name = first.name;
+            if (['-r', '--requirement', '-c', '--constraint'].includes(name)) {
+                if (!first.value) {
+                    entries.push({ kind: 'invalid', message: `${name} needs a file name`, ...range(tokens[0].start, tokens[0].end) });
+                    return;
+                }
+                entries.push({
+                    kind: 'include',
+                    option: name === '-r' || name === '--requirement' ? 'requirement' : 'constraint',
+                    path: first.value,
+                    ...range(first.start, first.end)
+                });
+            } else if (name === '-e' || name === '--editable') {
+                if (!first.value) {
+                    entries.push({ kind: 'invalid', message: `${name} needs a path or URL`, ...range(tokens[0].start, tokens[0].end) });
+                    return;
+                }
+                entries.push({
+                    kind: 'reference',
+                    target: first.value,
+                    name: getEggName(first.value),
+                    editable: true,
+                    hashes: rest.filter(option => option.name === '--hash' && option.value).map(option => option.value),
+                    ...range(first.start, first.end)
+                });
+            } else {
+                entries.push({ kind: 'option', name, value: first.value, ...range(tokens[0].start, tokens[tokens.length - 1].end) });
+            }
+            return;
+        }
+
+        const requirementEnd = optionIndex === -1 ? tokens.length : optionIndex;
+        const start = tokens[0].start;
+        const end = tokens[requirementEnd - 1].end;
+        const requirementText = logical.text.slice(start, end);
+
+        if (isDirectReference(requirementText)) {
+            entries.push({
+                kind: 'reference',
+                target: requirementText,
+                name: getEggName(requirementText),
+                editable: false,
+                hashes,
+                ...range(start, end)
+            });
+            return;
+        }
+
+        const requirement = parseRequirement(requirementText);
+        if (!requirement) {
+            entries.push({ kind: 'invalid', message: `"${requirementText}" is not a valid requirement`, ...range(start, end) });
+            return;
+        }
+        entries.push({ kind: 'requirement', requirement, hashes, editable: false, ...range(start, end) });
+    });
+
+    return entries;
+}
+
+/**
+ * Gets the offset range of a requirement's name within its entry
+ * @param {Object} entry - 'requirement' entry from parseRequirementsFile
+ * @returns {Object} { start, end } positions of the project name
+ */
+function getNameRange(entry) {
+    return {
+        start: entry.start,
+        end: { line: entry.start.line, character: entry.start.character + entry.requirement.name.length }
+    };
+}
+
+module.exports = {
+    parseRequirementsFile,
+    getNameRange
+};
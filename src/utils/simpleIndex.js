@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { normalizePackageName } = require('./pep508');
+const { getRequestOptions } = require('./indexConfig');
+
+// Prefer the PEP 691 JSON form, fall back to the PEP 503 HTML form
+const SIMPLE_ACCEPT = 'application/vnd.pypi.simple.v1+json, text/html;q=0.1';
+
+/**
+ * Decodes the HTML entities used in simple index pages
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeHtml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts the anchors of a simple index HTML page
+ * @param {string} html - Page content
+ * @returns {Object[]} Anchors ({ text, href, attributes })
+ */
+function parseAnchors(html) {
+    const anchors = [];
+    const anchorPattern = /<a\s([^>]*)>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = anchorPattern.exec(html)) !== null) {
+        const attributes = {};
+        const attributePattern = /([\w-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attribute;
+        while ((attribute = attributePattern.exec(match[1])) !== null) {
+            attributes[attribute[1].toLowerCase()] = decodeHtml(attribute[3] !== undefined ? attribute[3] : attribute[4]);
+        }
+        // data-yanked may also appear as a bare boolean attribute
+        if (attributes['data-yanked'] === undefined && /(?:^|\s)data-yanked(?=\s|\/?$)/i.test(match[1])) {
+            attributes['data-yanked'] = '';
+        }
+        anchors.push({
+            text: decodeHtml(match[2].replace(/<[^>]*>/g, '').trim()),
+            href: attributes.href || '',
+            attributes
+        });
+    }
+    return anchors;
+}
+
+/**
+ * Joins an index URL and a path segment
+ * @param {string} indexUrl - Simple index root URL
+ * @param {string} segment - Path segment
+ * @returns {string} URL ending with a slash
+ */
+function joinIndexUrl(indexUrl, segment) {
+    return `${indexUrl.replace(/\/+$/, '')}/${segment}/`;
+}
+
+/**
+ * Fetches a page of a simple index
+ * @param {string} url - Page URL
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} [options.cwd] - Directory whose workspace folder settings (trusted hosts) apply
+ * @returns {Promise<Object>} { json } for PEP 691 responses or { html } for PEP 503 responses
+ */
+async function fetchSimplePage(url, options = {}) {
+    const res = await axios.get(url, {
+        ...getRequestOptions(url, options.cwd),
+        signal: options.signal,
+        headers: { Accept: SIMPLE_ACCEPT },
+        responseType: 'text',
+        transformResponse: data => data
+    });
+    const contentType = String(res.headers['content-type'] || '');
+    if (contentType.includes('json')) {
+        return { json: JSON.parse(res.data) };
+    }
+    return { html: String(res.data) };
+}
+
+/**
+ * Lists every project of a simple index
+ * @param {string} indexUrl - Simple index root URL (e.g. http://localhost:8080/simple/)
+ * @param {Object} [options] - Request options (see fetchSimplePage)
+ * @returns {Promise<string[]>} Project names
+ */
+async function fetchProjectList(indexUrl, options = {}) {
+    const page = await fetchSimplePage(indexUrl, options);
+    if (page.json) {
+        return (page.json.projects || []).map(project => project.name);
+    }
+    return parseAnchors(page.html).map(anchor => anchor.text).filter(Boolean);
+}
+
+/**
+ * Extracts the version from a wheel or sdist file name
+ * @param {string} filename - Distribution file name
+ * @returns {string|null} Version or null if it cannot be determined
+ */
+function versionFromFilename(filename) {
+    if (filename.endsWith('.whl')) {
+        const parts = filename.slice(0, -4).split('-');
+        return parts.length >= 5 ? parts[1] : null;
+    }
+    const base = filename.replace(/\.(tar\.gz|tar\.bz2|tar\.xz|tgz|zip)$/i, '');
+    if (base === filename) return null;
+    const separator = base.lastIndexOf('-');
+    return separator === -1 ? null : base.slice(separator + 1);
+}
+
+/**
+ * Lists the distribution files of a project in a simple index
+ * @param {string} indexUrl - Simple index root URL
+ * @param {string} name - Project name
+ * @param {Object} [options] - Request options (see fetchSimplePage)
+ * @returns {Promise<Object[]>} Files ({ filename, version, yanked, yankedReason, uploadTime })
+ */
+async function fetchProjectFiles(indexUrl, name, options = {}) {
+    const page = await fetchSimplePage(joinIndexUrl(indexUrl, normalizePackageName(name)), options);
+
+    const files = page.json
+        ? (page.json.files || []).map(file => ({
+            filename: file.filename,
+            yanked: Boolean(file.yanked),
+            yankedReason: typeof file.yanked === 'string' ? file.yanked : null,
+            uploadTime: file['upload-time'] || null
+        }))
+        : parseAnchors(page.html).map(anchor => ({
+            filename: anchor.text || decodeURIComponent(anchor.href.split('#')[0].split('/').pop() || ''),
+            yanked: anchor.attributes['data-yanked'] !== undefined,
+            yankedReason: anchor.attributes['data-yanked'] || null,
+            uploadTime: null
+        }));
+
+    return files
+        .map(file => ({ ...file, version: versionFromFilename(file.filename) }))
+        .filter(file => file.version);
+}
+
+module.exports = {
+    fetchProjectList,
+    fetchProjectFiles,
+    versionFromFilename
+};
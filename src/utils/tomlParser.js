@@ -0,0 +1,441 @@
+/**
+ * TOML parser for the files pyCage reads (pyproject.toml, uv.lock, Pipfile)
+ * Supports tables, arrays of tables, dotted keys, inline tables, all string forms,
+ * numbers, booleans and dates (dates are kept as strings).
+ * Also formats keys and values and removes tables, for the pyproject.toml files pyCage writes.
+ */
+
+class TomlParseError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {number} line - 1-based line number where parsing failed
+     */
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.name = 'TomlParseError';
+        this.line = line;
+    }
+}
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+
+/**
+ * Parse a TOML document
+ * @param {string} text - TOML source
+ * @param {Object} [options] - Parser options
+ * @param {Object[]} [options.positions] - Receives { path, start, end } for every value; path lists the keys
+ * and array indexes leading to the value, start and end are 0-based { line, character } positions
+ * @returns {Object} Parsed document
+ * @throws {TomlParseError} When the document is not valid TOML
+ */
+function parseToml(text, options = {}) {
+    const source = text.replace(/\r\n/g, '\n');
+    const positions = options.positions || null;
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const root = {};
+    let current = root;
+    let currentPath = [];
+
+    const fail = (message) => {
+        throw new TomlParseError(message, line);
+    };
+
+    const peek = (offset = 0) => source[pos + offset];
+    const startsWith = (token) => source.startsWith(token, pos);
+
+    const advance = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            if (source[pos] === '\n') {
+                line++;
+                lineStart = pos + 1;
+            }
+            pos++;
+        }
+    };
+
+    // Lines and columns are unaffected by the \r\n normalization, unlike offsets
+    const location = () => ({ line: line - 1, character: pos - lineStart });
+
+    const skipSpaces = () => {
+        while (peek() === ' ' || peek() === '\t') advance();
+    };
+
+    const skipComment = () => {
+        if (peek() === '#') {
+            while (pos < source.length && peek() !== '\n') advance();
+        }
+    };
+
+    // Skips whitespace, newlines and comments (used inside arrays)
+    const skipBlank = () => {
+        for (;;) {
+            skipSpaces();
+            if (peek() === '#') {
+                skipComment();
+            } else if (peek() === '\n') {
+                advance();
+            } else {
+                return;
+            }
+        }
+    };
+
+    const expectLineEnd = () => {
+        skipSpaces();
+        skipComment();
+        if (pos < source.length && peek() !== '\n') {
+            fail(`Unexpected character '${peek()}'`);
+        }
+    };
+
+    const parseEscape = () => {
+        const ch = peek();
+        advance();
+        switch (ch) {
+            case 'b': return '\b';
+            case 't': return '\t';
+            case 'n': return '\n';
+            case 'f': return '\f';
+            case 'r': return '\r';
+            case 'e': return '\x1b';
+            case '"': return '"';
+            case '\\': return '\\';
+            case 'u':
+            case 'U': {
+                const length = ch === 'u' ? 4 : 8;
+                const hex = source.substr(pos, length);
+                if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) fail('Invalid unicode escape');
+                advance(length);
+                return String.fromCodePoint(parseInt(hex, 16));
+            }
+            default:
+                return fail(`Invalid escape sequence '\\${ch}'`);
+        }
+    };
+
+    const parseBasicString = () => {
+        advance(); // opening quote
+        let value = '';
+        while (peek() !== '"') {
+            if (pos >= source.length || peek() === '\n') fail('Unterminated string');
+            if (peek() === '\\') {
+                advance();
+                value += parseEscape();
+            } else {
+                value += peek();
+                advance();
+            }
+        }
+        advance();
+        return value;
+    };
+
+    const parseLiteralString = () => {
+        advance();
+        const end = source.indexOf('\'', pos);
+        const newline = source.indexOf('\n', pos);
+        if (end === -1 || (newline !== -1 && newline < end)) fail('Unterminated string');
+        const value = source.slice(pos, end);
+        advance(end - pos + 1);
+        return value;
+    };
+
+    const parseMultilineString = (quote) => {
+        const delimiter = quote.repeat(3);
+        advance(3);
+        if (peek() === '\n') advance();
+        let value = '';
+        for (;;) {
+            if (pos >= source.length) fail('Unterminated multi-line string');
+            if (startsWith(delimiter)) {
+                // Up to two extra quotes may directly precede the closing delimiter
+                let extra = 0;
+                while (extra < 2 && source[pos + 3 + extra] === quote) extra++;
+                value += quote.repeat(extra);
+                advance(3 + extra);
+                return value;
+            }
+            if (quote === '"' && peek() === '\\') {
+                advance();
+                if (/[ \t\n]/.test(peek())) {
+                    // Line-ending backslash trims the newline and following whitespace
+                    while (/[ \t\n]/.test(peek() || '')) advance();
+                } else {
+                    value += parseEscape();
+                }
+                continue;
+            }
+            value += peek();
+            advance();
+        }
+    };
+
+    const parseString = () => {
+        if (startsWith('"""')) return parseMultilineString('"');
+        if (startsWith('\'\'\'')) return parseMultilineString('\'');
+        if (peek() === '"') return parseBasicString();
+        return parseLiteralString();
+    };
+
+    const parseKey = () => {
+        const parts = [];
+        for (;;) {
+            skipSpaces();
+            if (peek() === '"') {
+                parts.push(parseBasicString());
+            } else if (peek() === '\'') {
+                parts.push(parseLiteralString());
+            } else {
+                const start = pos;
+                while (pos < source.length && BARE_KEY.test(peek())) advance();
+                if (start === pos) fail('Expected a key');
+                parts.push(source.slice(start, pos));
+            }
+            skipSpaces();
+            if (peek() !== '.') return parts;
+            advance();
+        }
+    };
+
+    const parseArray = (valuePath) => {
+        advance(); // [
+        const items = [];
+        for (;;) {
+            skipBlank();
+            if (peek() === ']') {
+                advance();
+                return items;
+            }
+            items.push(parseValue([...valuePath, items.length]));
+            skipBlank();
+            if (peek() === ',') {
+                advance();
+            } else if (peek() !== ']') {
+                fail('Expected , or ] in array');
+            }
+        }
+    };
+
+    const parseInlineTable = (valuePath) => {
+        advance(); // {
+        const table = {};
+        skipSpaces();
+        if (peek() === '}') {
+            advance();
+            return table;
+        }
+        for (;;) {
+            const keys = parseKey();
+            if (peek() !== '=') fail('Expected = in inline table');
+            advance();
+            skipSpaces();
+            assignValue(table, keys, parseValue([...valuePath, ...keys]));
+            skipSpaces();
+            if (peek() === ',') {
+                advance();
+            } else if (peek() === '}') {
+                advance();
+                return table;
+            } else {
+                fail('Expected , or } in inline table');
+            }
+        }
+    };
+
+    const parseScalar = () => {
+        const start = pos;
+        // Dates may contain a single space between date and time
+        while (pos < source.length && !/[,\]}\n#]/.test(peek())) {
+            if (peek() === ' ' && !/^\d{4}-\d{2}-\d{2} \d/.test(source.slice(start, pos + 2))) break;
+            advance();
+        }
+        const token = source.slice(start, pos).trim();
+        if (!token) fail('Expected a value');
+
+        if (token === 'true') return true;
+        if (token === 'false') return false;
+        if (/^[+-]?(inf|nan)$/.test(token)) {
+            return token.endsWith('nan') ? NaN : (token.startsWith('-') ? -Infinity : Infinity);
+        }
+        if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) return token;
+
+        const cleaned = token.replace(/_/g, '');
+        if (/^[+-]?0x[0-9A-Fa-f]+$/.test(cleaned)) return parseInt(cleaned, 16);
+        if (/^[+-]?0o[0-7]+$/.test(cleaned)) return parseInt(cleaned.replace('0o', ''), 8);
+        if (/^[+-]?0b[01]+$/.test(cleaned)) return parseInt(cleaned.replace('0b', ''), 2);
+        if (/^[+-]?(\d+)(\.\d+)?([eE][+-]?\d+)?$/.test(cleaned)) return Number(cleaned);
+
+        return fail(`Invalid value '${token}'`);
+    };
+
+    function parseValue(valuePath) {
+        const start = positions ? location() : null;
+        const ch = peek();
+        let value;
+        if (ch === '"' || ch === '\'') {
+            value = parseString();
+        } else if (ch === '[') {
+            value = parseArray(valuePath);
+        } else if (ch === '{') {
+            value = parseInlineTable(valuePath);
+        } else {
+            value = parseScalar();
+        }
+        if (positions) {
+            positions.push({ path: valuePath, start, end: location() });
+        }
+        return value;
+    }
+
+    function assignValue(table, keys, value) {
+        let target = table;
+        for (const key of keys.slice(0, -1)) {
+            if (target[key] === undefined) target[key] = {};
+            if (typeof target[key] !== 'object' || Array.isArray(target[key])) {
+                fail(`Key '${key}' is not a table`);
+            }
+            target = target[key];
+        }
+        const last = keys[keys.length - 1];
+        if (Object.prototype.hasOwnProperty.call(target, last)) {
+            fail(`Duplicate key '${keys.join('.')}'`);
+        }
+        target[last] = value;
+    }
+
+    const openTable = (keys, isArrayTable) => {
+        let target = root;
+        const tablePath = [];
+        keys.forEach((key, index) => {
+            const isLast = index === keys.length - 1;
+            if (isLast && isArrayTable) {
+                if (target[key] === undefined) target[key] = [];
+                if (!Array.isArray(target[key])) fail(`Key '${key}' is not an array of tables`);
+                const entry = {};
+                target[key].push(entry);
+                tablePath.push(key, target[key].length - 1);
+                target = entry;
+                return;
+            }
+            if (target[key] === undefined) target[key] = {};
+            const next = target[key];
+            // Headers below an array of tables refer to its last entry
+            target = Array.isArray(next) ? next[next.length - 1] : next;
+            tablePath.push(...(Array.isArray(next) ? [key, next.length - 1] : [key]));
+            if (typeof target !== 'object' || target === null) fail(`Key '${key}' is not a table`);
+        });
+        currentPath = tablePath;
+        return target;
+    };
+
+    while (pos < source.length) {
+        skipSpaces();
+        const ch = peek();
+        if (ch === '#') {
+            skipComment();
+        } else if (ch === '\n') {
+            advance();
+        } else if (ch === '[') {
+            const isArrayTable = startsWith('[[');
+            advance(isArrayTable ? 2 : 1);
+            const keys = parseKey();
+            if (isArrayTable ? !startsWith(']]') : peek() !== ']') fail('Unterminated table header');
+            advance(isArrayTable ? 2 : 1);
+            current = openTable(keys, isArrayTable);
+            expectLineEnd();
+        } else if (pos < source.length) {
+            const keys = parseKey();
+            if (peek() !== '=') fail('Expected = after key');
+            advance();
+            skipSpaces();
+            assignValue(current, keys, parseValue([...currentPath, ...keys]));
+            expectLineEnd();
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Parse a TOML document and record where each value is, for editor features
+ * @param {string} text - TOML source
+ * @returns {Object} { document, positions } where positions maps JSON.stringify(path) to { start, end }
+ * @throws {TomlParseError} When the document is not valid TOML
+ */
+function parseTomlWithPositions(text) {
+    const entries = [];
+    const document = parseToml(text, { positions: entries });
+    const positions = new Map(entries.map(entry => [JSON.stringify(entry.path), { start: entry.start, end: entry.end }]));
+    return { document, positions };
+}
+
+/**
+ * Format a key, quoting it when it is not a bare key
+ * @param {string} key - Key
+ * @returns {string} TOML key
+ */
+function formatTomlKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Format a value as TOML (strings, numbers, booleans, arrays and inline tables)
+ * Arrays of strings longer than one element are written one element per line.
+ * @param {*} value - Value
+ * @param {string} [indent] - Indentation of the line holding the value
+ * @returns {string} TOML value
+ */
+function formatTomlValue(value, indent = '') {
+    if (typeof value === 'string') {
+        // JSON escapes are a subset of TOML basic string escapes
+        return JSON.stringify(value);
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        if (value.length === 1 && typeof value[0] !== 'object') return `[${formatTomlValue(value[0])}]`;
+        const itemIndent = `${indent}    `;
+        return `[\n${value.map(item => `${itemIndent}${formatTomlValue(item, itemIndent)},`).join('\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+        const pairs = Object.keys(value)
+            .filter(key => value[key] !== undefined && value[key] !== null)
+            .map(key => `${formatTomlKey(key)} = ${formatTomlValue(value[key], indent)}`);
+        return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}';
+    }
+    throw new Error(`Cannot write ${value} as TOML`);
+}
+
+/**
+ * Remove tables (with their keys) from a TOML document, keeping everything else as written
+ * Works on lines: a multi-line string containing a line that looks like a header ends the table early.
+ * @param {string} text - TOML source
+ * @param {Function} shouldRemove - Called with the table name (e.g. "tool.poetry.dependencies")
+ * @returns {string} Remaining source
+ */
+function removeTomlTables(text, shouldRemove) {
+    let removing = false;
+    return text.split(/\r?\n/)
+        .filter(line => {
+            const header = line.match(/^\s*\[\[?\s*([^\]]+?)\s*\]\]?\s*(#.*)?$/);
+            if (header) {
+                removing = shouldRemove(header[1].replace(/\s*\.\s*/g, '.').replace(/"/g, ''));
+            }
+            return !removing;
+        })
+        .join('\n');
+}
+
+module.exports = {
+    TomlParseError,
+    parseToml,
+    parseTomlWithPositions,
+    formatTomlKey,
+    formatTomlValue,
+    removeTomlTables
+};
@@ -0,0 +1,160 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getOperatingSystem } = require('./system');
+
+const DEFAULT_VENV_NAME = '.venv';
+
+/**
+ * Gets the virtual environment directory of a workspace folder
+ * Uses the pyCage.venv.path setting, then UV_PROJECT_ENVIRONMENT, then .venv. Relative paths are resolved
+ * against the folder; ${workspaceFolder}, ${workspaceFolderBasename}, ${userHome}, ${env:NAME} and ~ are expanded.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string} Virtual environment path
+ */
+function getVenvPath(workspaceFolder) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const configured = (vscode.workspace.getConfiguration('pyCage', workspaceFolder.uri).get('venv.path') || '').trim()
+        || (process.env.UV_PROJECT_ENVIRONMENT || '').trim()
+        || DEFAULT_VENV_NAME;
+
+    const expanded = configured
+        .replace(/\$\{workspaceFolder\}/g, folderPath)
+        .replace(/\$\{workspaceFolderBasename\}/g, workspaceFolder.name)
+        .replace(/\$\{userHome\}/g, os.homedir())
+        .replace(/\$\{env:([^}]+)\}/g, (match, name) => process.env[name] || '')
+        .replace(/^~(?=$|[/\\])/, os.homedir());
+
+    return path.resolve(folderPath, expanded);
+}
+
+/**
+ * Gets a short name for the virtual environment of a workspace folder, for messages and labels
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string} Path relative to the folder, or the absolute path for out-of-tree environments
+ */
+function getVenvDisplayName(workspaceFolder) {
+    const relative = path.relative(workspaceFolder.uri.fsPath, getVenvPath(workspaceFolder));
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+        ? relative
+        : getVenvPath(workspaceFolder);
+}
+
+/**
+ * Gets the environment variables that point uv at the virtual environment of the folder containing a directory
+ * uv pip commands honour VIRTUAL_ENV, project commands (add, sync, ...) UV_PROJECT_ENVIRONMENT.
+ * @param {string} [cwd] - Working directory of the command
+ * @returns {Object} Environment variables (empty outside workspace folders)
+ */
+function getVenvEnvironment(cwd) {
+    const workspaceFolder = cwd ? vscode.workspace.getWorkspaceFolder(vscode.Uri.file(cwd)) : null;
+    if (!workspaceFolder) return {};
+    const venvPath = getVenvPath(workspaceFolder);
+    return { VIRTUAL_ENV: venvPath, UV_PROJECT_ENVIRONMENT: venvPath };
+}
+
+/**
+ * Watches files inside the virtual environments of all workspace folders
+ * Watchers are recreated when folders are added or removed or pyCage.venv.path changes; the listener is
+ * called for every change, including those.
+ * @param {string[]} globs - Patterns relative to the environment ('' watches the environment directory itself)
+ * @param {Function} listener - Called on changes
+ * @returns {vscode.Disposable} Disposes all watchers
+ */
+function watchVenvs(globs, listener) {
+    let watchers = [];
+
+    const createWatchers = () => {
+        watchers.forEach(watcher => watcher.dispose());
+        watchers = [];
+        (vscode.workspace.workspaceFolders || []).forEach(workspaceFolder => {
+            const venvPath = getVenvPath(workspaceFolder);
+            const name = path.basename(venvPath);
+            globs.forEach(glob => {
+                const pattern = new vscode.RelativePattern(vscode.Uri.file(path.dirname(venvPath)), glob ? `${name}/${glob}` : name);
+                const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+                watcher.onDidCreate(listener);
+                watcher.onDidChange(listener);
+                watcher.onDidDelete(listener);
+                watchers.push(watcher);
+            });
+        });
+    };
+    createWatchers();
+
+    const subscriptions = [
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            createWatchers();
+            listener();
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('pyCage.venv.path')) {
+                createWatchers();
+                listener();
+            }
+        })
+    ];
+
+    return new vscode.Disposable(() => {
+        watchers.forEach(watcher => watcher.dispose());
+        subscriptions.forEach(subscription => subscription.dispose());
+    });
+}
+
+/**
+ * Gets the directory holding the executables of a virtual environment
+ * @param {string} venvPath - Virtual environment path
+ * @returns {string} bin (or Scripts on Windows) directory
+ */
+function getVenvBinPath(venvPath) {
+    return path.join(venvPath, getOperatingSystem().isWindows ? 'Scripts' : 'bin');
+}
+
+/**
+ * Gets the Python executable of a virtual environment
+ * @param {string} venvPath - Virtual environment path
+ * @returns {string} Python executable path
+ */
+function getVenvPythonPath(venvPath) {
+    return path.join(getVenvBinPath(venvPath), getOperatingSystem().isWindows ? 'python.exe' : 'python');
+}
+
+/**
+ * Check whether a virtual environment is usable (its Python executable exists)
+ * @param {string} venvPath - Virtual environment path
+ * @returns {boolean} True if the environment has a Python executable
+ */
+function isVenvReady(venvPath) {
+    return fs.existsSync(getVenvPythonPath(venvPath));
+}
+
+/**
+ * Reads the key/value pairs of a virtual environment's pyvenv.cfg
+ * @param {string} venvPath - Virtual environment path
+ * @returns {Object|null} Configuration values or null if the file is missing
+ */
+function readPyvenvConfig(venvPath) {
+    const configPath = path.join(venvPath, 'pyvenv.cfg');
+    if (!fs.existsSync(configPath)) return null;
+
+    const config = {};
+    fs.readFileSync(configPath, 'utf8').split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            config[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return config;
+}
+
+module.exports = {
+    getVenvPath,
+    getVenvDisplayName,
+    getVenvEnvironment,
+    watchVenvs,
+    getVenvBinPath,
+    getVenvPythonPath,
+    isVenvReady,
+    readPyvenvConfig
+};
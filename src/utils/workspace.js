@@ -0,0 +1,57 @@
+const vscode = require('vscode');
+
+/**
+ * Gets the open workspace folders
+ * @returns {vscode.WorkspaceFolder[]} Workspace folders (empty when no folder is open)
+ */
+function getWorkspaceFolders() {
+    return vscode.workspace.workspaceFolders ? [...vscode.workspace.workspaceFolders] : [];
+}
+
+/**
+ * Check whether more than one folder is open in the window
+ * @returns {boolean} True for multi-root workspaces
+ */
+function isMultiRoot() {
+    return getWorkspaceFolders().length > 1;
+}
+
+/**
+ * Gets the workspace folder of the active editor, or the only folder of a single-root workspace
+ * @returns {vscode.WorkspaceFolder|null} Folder, or null when it cannot be determined without asking
+ */
+function getActiveWorkspaceFolder() {
+    const folders = getWorkspaceFolders();
+    if (folders.length === 0) return null;
+
+    const editor = vscode.window.activeTextEditor;
+    if (editor) {
+        const folder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+        if (folder) return folder;
+    }
+
+    return folders.length === 1 ? folders[0] : null;
+}
+
+/**
+ * Resolves the folder a command should act on
+ * Uses the active editor's folder and asks with a folder picker when that is ambiguous.
+ * @param {string} [placeHolder] - Folder picker placeholder
+ * @returns {Promise<vscode.WorkspaceFolder|undefined|null>} Folder, undefined if the picker was dismissed,
+ *   or null when no folder is open
+ */
+async function resolveWorkspaceFolder(placeHolder = 'Select the project folder') {
+    if (getWorkspaceFolders().length === 0) return null;
+
+    const folder = getActiveWorkspaceFolder();
+    if (folder) return folder;
+
+    return await vscode.window.showWorkspaceFolderPick({ placeHolder });
+}
+
+module.exports = {
+    getWorkspaceFolders,
+    isMultiRoot,
+    getActiveWorkspaceFolder,
+    resolveWorkspaceFolder
+};
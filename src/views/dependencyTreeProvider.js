@@ -0,0 +1,315 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const {
+    getProjectDependencies,
+    getInstalledPackages,
+    findMismatches,
+    findDependencyEntries
+} = require('../managers/dependencyManager');
+const { normalizePackageName } = require('../utils/pep508');
+const { getActiveWorkspaceFolder, getWorkspaceFolders } = require('../utils/workspace');
+const { getVenvPath, getVenvDisplayName, watchVenvs } = require('../utils/venvPaths');
+
+/**
+ * Maps the packages declared in pyproject.toml to their dependency group
+ * Installed nodes carry the group so removing them runs uv remove with the right --dev / --group; a package
+ * that is also a main dependency maps to null.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Map<string, string|null>} Group (null for main dependencies) by normalized package name
+ */
+function getDeclaredGroups(workspaceFolder) {
+    const groups = new Map();
+    try {
+        const text = fs.readFileSync(path.join(workspaceFolder.uri.fsPath, 'pyproject.toml'), 'utf8');
+        findDependencyEntries(text)
+            .filter(entry => entry.section === 'dependencies' || entry.section === 'group')
+            .forEach(entry => {
+                const name = entry.requirement.normalizedName;
+                if (!groups.has(name) || entry.section === 'dependencies') {
+                    groups.set(name, entry.group);
+                }
+            });
+    } catch (error) {
+        console.error('Failed to read the dependency groups of pyproject.toml:', error.message);
+    }
+    return groups;
+}
+
+/**
+ * Tree data provider for the pyCage dependencies view
+ * Shows pyproject.toml dependencies, packages installed in the virtual environment and mismatches between them.
+ */
+class DependencyTreeProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.snapshot = null;
+        this.refreshTimer = null;
+        this.workspaceFolder = null;
+    }
+
+    /**
+     * Follow the workspace folder of the active editor, keeping the last one when it cannot be determined
+     * @returns {boolean} True if the shown folder changed
+     */
+    updateWorkspaceFolder() {
+        const folders = getWorkspaceFolders();
+        const stillOpen = this.workspaceFolder && folders.some(folder => folder.uri.toString() === this.workspaceFolder.uri.toString());
+        const workspaceFolder = getActiveWorkspaceFolder() || (stillOpen ? this.workspaceFolder : folders[0] || null);
+
+        const changed = (workspaceFolder && workspaceFolder.uri.toString()) !== (this.workspaceFolder && this.workspaceFolder.uri.toString());
+        this.workspaceFolder = workspaceFolder;
+        return changed;
+    }
+
+    /**
+     * Reload everything on the next render
+     */
+    refresh() {
+        this.snapshot = null;
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Refresh after a short delay, collapsing bursts of file system events
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh();
+        }, 500);
+    }
+
+    dispose() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this._onDidChangeTreeData.dispose();
+    }
+
+    /**
+     * Collects the declared and installed packages of the workspace
+     * @returns {Promise<Object>} Snapshot with sections to render
+     */
+    async loadSnapshot() {
+        if (!this.workspaceFolder) {
+            this.updateWorkspaceFolder();
+        }
+        const workspaceFolder = this.workspaceFolder;
+        if (!workspaceFolder) {
+            return { sections: [] };
+        }
+
+        const sections = [];
+        let project = null;
+        try {
+            project = getProjectDependencies(workspaceFolder);
+        } catch (error) {
+            console.error('Failed to parse pyproject.toml:', error);
+            sections.push(messageNode(`pyproject.toml could not be parsed: ${error.message}`, 'error'));
+        }
+
+        const venvPath = getVenvPath(workspaceFolder);
+        const venvName = getVenvDisplayName(workspaceFolder);
+        const installed = fs.existsSync(venvPath)
+            ? await getInstalledPackages(workspaceFolder.uri.fsPath)
+            : null;
+        const installedByName = new Map((installed || []).map(pkg => [normalizePackageName(pkg.name), pkg]));
+
+        if (project) {
+            const declaredNode = (requirement) => {
+                const pkg = installedByName.get(requirement.normalizedName);
+                return {
+                    kind: 'dependency',
+                    workspaceFolder,
+                    packageName: requirement.name,
+                    group: requirement.group,
+                    declared: true,
+                    requirement,
+                    installedVersion: pkg ? pkg.version : null
+                };
+            };
+
+            sections.push(sectionNode('Dependencies', 'package', project.dependencies.map(declaredNode)));
+            sections.push(sectionNode('Dev Dependencies', 'beaker', project.devDependencies.map(declaredNode)));
+        }
+
+        if (installed) {
+            const declaredGroups = project ? getDeclaredGroups(workspaceFolder) : new Map();
+            const installedNodes = installed.map(pkg => {
+                const normalizedName = normalizePackageName(pkg.name);
+                return {
+                    kind: 'installed',
+                    workspaceFolder,
+                    packageName: pkg.name,
+                    declared: declaredGroups.has(normalizedName),
+                    group: declaredGroups.get(normalizedName) || null,
+                    installedVersion: pkg.version
+                };
+            });
+            sections.push(sectionNode(`Installed in ${venvName}`, 'library', installedNodes));
+        } else {
+            sections.push(messageNode(`No packages found in ${venvName} (is the environment created?)`, 'info'));
+        }
+
+        if (project && installed) {
+            const mismatches = findMismatches([...project.dependencies, ...project.devDependencies], installed);
+            const mismatchNodes = mismatches.map(mismatch => ({
+                kind: 'mismatch',
+                workspaceFolder,
+                packageName: mismatch.requirement.name,
+                group: mismatch.requirement.group,
+                declared: true,
+                requirement: mismatch.requirement,
+                installedVersion: mismatch.installedVersion,
+                reason: mismatch.reason
+            }));
+            sections.push(sectionNode('Mismatches', 'warning', mismatchNodes));
+        }
+
+        return { sections };
+    }
+
+    /**
+     * @param {Object} node - Tree node
+     * @returns {vscode.TreeItem} Rendered tree item
+     */
+    getTreeItem(node) {
+        if (node.kind === 'section') {
+            const item = new vscode.TreeItem(
+                `${node.label} (${node.children.length})`,
+                node.children.length > 0
+                    ? vscode.TreeItemCollapsibleState.Expanded
+                    : vscode.TreeItemCollapsibleState.None
+            );
+            item.iconPath = new vscode.ThemeIcon(node.icon);
+            item.contextValue = 'pyCageSection';
+            return item;
+        }
+
+        if (node.kind === 'message') {
+            const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+            item.iconPath = new vscode.ThemeIcon(node.icon);
+            return item;
+        }
+
+        const item = new vscode.TreeItem(node.packageName, vscode.TreeItemCollapsibleState.None);
+
+        if (node.kind === 'installed') {
+            item.description = node.installedVersion;
+            item.iconPath = new vscode.ThemeIcon(node.declared ? 'package' : 'circle-small');
+            item.tooltip = node.declared
+                ? `${node.packageName} ${node.installedVersion} (declared in pyproject.toml)`
+                : `${node.packageName} ${node.installedVersion}`;
+            item.contextValue = 'pyCageInstalledPackage';
+            return item;
+        }
+
+        const specifier = node.requirement.url ? node.requirement.url : (node.requirement.specifier || 'any version');
+        if (node.kind === 'mismatch') {
+            item.description = node.reason;
+            item.iconPath = new vscode.ThemeIcon('warning');
+        } else {
+            item.description = node.installedVersion
+                ? `${specifier} · installed ${node.installedVersion}`
+                : `${specifier} · not installed`;
+            item.iconPath = new vscode.ThemeIcon(node.installedVersion ? 'package' : 'circle-slash');
+        }
+        item.tooltip = node.requirement.raw;
+        item.contextValue = 'pyCageDependency';
+        return item;
+    }
+
+    /**
+     * @param {Object} [node] - Parent node, undefined for the root
+     * @returns {Promise<Object[]>} Child nodes
+     */
+    async getChildren(node) {
+        if (node) {
+            return node.children || [];
+        }
+        if (!this.snapshot) {
+            this.snapshot = await this.loadSnapshot();
+        }
+        return this.snapshot.sections;
+    }
+}
+
+/**
+ * @param {string} label - Section label
+ * @param {string} icon - Codicon name
+ * @param {Object[]} children - Child nodes
+ * @returns {Object} Section node
+ */
+function sectionNode(label, icon, children) {
+    return { kind: 'section', label, icon, children };
+}
+
+/**
+ * @param {string} label - Message text
+ * @param {string} icon - Codicon name
+ * @returns {Object} Message node
+ */
+function messageNode(label, icon) {
+    return { kind: 'message', label, icon };
+}
+
+/**
+ * Registers the dependency tree view, its refresh command and the file watchers that keep it current
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {DependencyTreeProvider} The registered provider
+ */
+function registerDependencyTreeView(context) {
+    const provider = new DependencyTreeProvider();
+    const treeView = vscode.window.createTreeView('pyCage.dependencies', {
+        treeDataProvider: provider,
+        showCollapseAll: true
+    });
+
+    let refreshCommand = vscode.commands.registerCommand('py-cage.refreshDependencies', () => provider.refresh());
+
+    // In multi-root workspaces the view shows the project of the active editor
+    const updateDescription = () => {
+        treeView.description = provider.workspaceFolder && getWorkspaceFolders().length > 1
+            ? provider.workspaceFolder.name
+            : undefined;
+    };
+    provider.updateWorkspaceFolder();
+    updateDescription();
+    const folderListeners = [
+        vscode.window.onDidChangeActiveTextEditor(() => {
+            if (provider.updateWorkspaceFolder()) {
+                updateDescription();
+                provider.refresh();
+            }
+        }),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            provider.updateWorkspaceFolder();
+            updateDescription();
+            provider.refresh();
+        })
+    ];
+
+    // Refresh when the project definition, the lock file or the environment change
+    const watchers = [
+        vscode.workspace.createFileSystemWatcher('**/{pyproject.toml,uv.lock}')
+    ];
+    watchers.forEach(watcher => {
+        watcher.onDidCreate(() => provider.scheduleRefresh());
+        watcher.onDidChange(() => provider.scheduleRefresh());
+        watcher.onDidDelete(() => provider.scheduleRefresh());
+    });
+    watchers.push(watchVenvs(['', '**/*.dist-info'], () => provider.scheduleRefresh()));
+
+    context.subscriptions.push(provider, treeView, refreshCommand, ...watchers, ...folderListeners);
+    return provider;
+}
+
+module.exports = {
+    DependencyTreeProvider,
+    registerDependencyTreeView
+};
@@ -0,0 +1,191 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const {
+    FIX_LABELS,
+    STATUS_ICONS,
+    collectDiagnostics,
+    formatDiagnosticsMarkdown
+} = require('../managers/diagnosticsManager');
+const { setSelectedInterpreter } = require('../managers/interpreterManager');
+const { getOrCreateTerminal } = require('../managers/terminalManager');
+const { createVenvIfNeeded, recreateVenv } = require('../managers/venvManager');
+const { setupUvAsync } = require('../managers/packageManager');
+const { getOperatingSystem } = require('../utils/system');
+const { getVenvPath, getVenvPythonPath } = require('../utils/venvPaths');
+
+// The report panel is reused for every run
+let panel = null;
+let messageListener = null;
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a diagnostics report as webview HTML
+ * @param {Object} report - Report from collectDiagnostics
+ * @param {string} cspSource - Webview CSP source
+ * @returns {string} HTML document
+ */
+function renderReport(report, cspSource) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const rows = report.checks.map(check => `
+        <tr class="${check.status}">
+            <td>${STATUS_ICONS[check.status]}</td>
+            <td>${escapeHtml(check.label)}</td>
+            <td>${escapeHtml(check.detail)}</td>
+            <td>${check.fixes.map(fix => `<button data-fix="${fix}">${escapeHtml(FIX_LABELS[fix])}</button>`).join(' ')}</td>
+        </tr>`).join('');
+    const problemCount = report.checks.filter(check => check.status === 'error' || check.status === 'warning').length;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <style>
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+        table { border-collapse: collapse; width: 100%; }
+        td { padding: 4px 8px; border-bottom: 1px solid var(--vscode-panel-border); vertical-align: top; word-break: break-all; }
+        tr.error td, tr.warning td { font-weight: bold; }
+        button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 4px 10px; cursor: pointer; }
+        button:hover { background: var(--vscode-button-hoverBackground); }
+        .actions { margin: 12px 0; }
+    </style>
+</head>
+<body>
+    <h2>pyCage diagnostics: ${escapeHtml(report.workspaceFolder.name)}</h2>
+    <p>${problemCount === 0 ? '✅ No problems found' : `${problemCount} problem(s) found`} · ${escapeHtml(report.generatedAt.toLocaleString())}</p>
+    <div class="actions">
+        <button data-action="refresh">Run again</button>
+        <button data-action="copy">Copy report</button>
+        <button data-action="openMarkdown">Open as Markdown</button>
+    </div>
+    <table>${rows}</table>
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        document.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                vscode.postMessage(button.dataset.fix
+                    ? { type: 'fix', fix: button.dataset.fix }
+                    : { type: button.dataset.action });
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Runs a one-click fix from the report
+ * @param {string} fix - Fix id from collectDiagnostics
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<void>}
+ */
+async function runFix(fix, workspaceFolder) {
+    const venvPath = getVenvPath(workspaceFolder);
+
+    switch (fix) {
+        case 'installUv':
+            await setupUvAsync(getOperatingSystem(), [workspaceFolder]);
+            break;
+        case 'createVenv':
+            await createVenvIfNeeded(getOrCreateTerminal(workspaceFolder), false, workspaceFolder);
+            break;
+        case 'recreateVenv': {
+            const choice = await vscode.window.showWarningMessage(
+                `Delete ${venvPath} and create it again? Dependencies are reinstalled afterwards.`,
+                { modal: true },
+                'Recreate'
+            );
+            if (choice !== 'Recreate') return;
+            await recreateVenv(workspaceFolder, { reinstall: true });
+            break;
+        }
+        case 'setInterpreter':
+            await setSelectedInterpreter(workspaceFolder, getVenvPythonPath(venvPath));
+            vscode.window.showInformationMessage('🐍 Python interpreter set to the virtual environment');
+            break;
+        default:
+            console.log(`Unknown diagnostics fix: ${fix}`);
+    }
+}
+
+/**
+ * Collects the diagnostics of a workspace folder and shows them in the report panel
+ * @param {vscode.ExtensionContext} context - VS Code extension context (disposes the panel on deactivation)
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {Promise<void>}
+ */
+async function showDiagnosticsReport(context, workspaceFolder) {
+    if (!panel) {
+        panel = vscode.window.createWebviewPanel('pyCage.diagnostics', 'pyCage Diagnostics', vscode.ViewColumn.Active, {
+            enableScripts: true
+        });
+        context.subscriptions.push(panel);
+        panel.onDidDispose(() => {
+            panel = null;
+            if (messageListener) {
+                messageListener.dispose();
+                messageListener = null;
+            }
+        });
+    } else {
+        panel.reveal();
+    }
+
+    const currentPanel = panel;
+    let report = null;
+
+    const render = async () => {
+        report = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Window, title: 'pyCage: Running diagnostics...' },
+            () => collectDiagnostics(workspaceFolder)
+        );
+        if (panel === currentPanel) {
+            currentPanel.webview.html = renderReport(report, currentPanel.webview.cspSource);
+        }
+    };
+
+    // Replace the handler of a previous run, which may belong to another folder
+    if (messageListener) {
+        messageListener.dispose();
+    }
+    messageListener = currentPanel.webview.onDidReceiveMessage(async message => {
+        try {
+            if (message.type === 'fix') {
+                await runFix(message.fix, workspaceFolder);
+                await render();
+            } else if (message.type === 'refresh') {
+                await render();
+            } else if (message.type === 'copy' && report) {
+                await vscode.env.clipboard.writeText(formatDiagnosticsMarkdown(report));
+                vscode.window.showInformationMessage('📋 Diagnostics report copied to the clipboard');
+            } else if (message.type === 'openMarkdown' && report) {
+                const document = await vscode.workspace.openTextDocument({
+                    language: 'markdown',
+                    content: formatDiagnosticsMarkdown(report)
+                });
+                await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+            }
+        } catch (error) {
+            console.error('Diagnostics action failed:', error);
+            vscode.window.showErrorMessage(`❌ ${error.message}`);
+        }
+    });
+
+    await render();
+}
+
+module.exports = {
+    showDiagnosticsReport
+};
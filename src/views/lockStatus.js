@@ -0,0 +1,160 @@
+const vscode = require('vscode');
+const { checkUvInstalled } = require('../managers/uvManager');
+const { getOutputChannel } = require('../managers/processManager');
+const { getLockState, getSyncOptions } = require('../managers/lockManager');
+const { getActiveWorkspaceFolder, getWorkspaceFolders, isMultiRoot } = require('../utils/workspace');
+const { getVenvDisplayName, watchVenvs } = require('../utils/venvPaths');
+
+/**
+ * Gets the uv sync flags for a one-click sync of a drifted folder
+ * --locked would refuse to update an outdated lock, so it is dropped; so is --frozen when the lock is outdated.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} state - Lock state
+ * @returns {string[]} Flags for uv sync
+ */
+function getOneClickSyncFlags(workspaceFolder, state) {
+    return getSyncOptions(workspaceFolder)
+        .filter(flag => flag !== '--locked' && !(state === 'lockOutdated' && flag === '--frozen'));
+}
+
+/**
+ * Watches pyproject.toml, uv.lock and the virtual environments for drift
+ * Drift shows as a warning notification (once per change of state) and as a status bar item; both sync in one click.
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerLockDriftDetection(context) {
+    const item = vscode.window.createStatusBarItem('pyCage.lockState', vscode.StatusBarAlignment.Right, 99);
+    item.name = 'pyCage Lock State';
+
+    // Latest result and last notified state per folder URI
+    const states = new Map();
+    const notified = new Map();
+    let refreshTimer = null;
+    let tokenSource = null;
+
+    const updateStatusItem = () => {
+        const workspaceFolder = getActiveWorkspaceFolder() || getWorkspaceFolders()[0];
+        const result = workspaceFolder && states.get(workspaceFolder.uri.toString());
+        if (!result || (result.state !== 'lockOutdated' && result.state !== 'envOutOfSync')) {
+            item.hide();
+            return;
+        }
+
+        item.text = result.state === 'lockOutdated'
+            ? '$(warning) uv.lock outdated'
+            : `$(sync) Sync ${getVenvDisplayName(workspaceFolder)}`;
+        item.tooltip = [result.detail, ...result.changes.slice(0, 20), '', 'Click to run uv sync'].join('\n');
+        item.command = {
+            title: 'Sync',
+            command: 'py-cage.uvSync',
+            arguments: [workspaceFolder, getOneClickSyncFlags(workspaceFolder, result.state)]
+        };
+        item.show();
+    };
+
+    const notify = async (workspaceFolder, result) => {
+        const folderLabel = isMultiRoot() ? ` in ${workspaceFolder.name}` : '';
+        const actions = result.state === 'lockOutdated' ? ['Sync', 'Lock Only'] : ['Sync', 'Show Changes'];
+        const message = result.state === 'lockOutdated'
+            ? `⚠️ uv.lock${folderLabel} is out of date: ${result.detail}.`
+            : `⚠️ ${getVenvDisplayName(workspaceFolder)}${folderLabel} is out of sync with uv.lock (${result.changes.length} change(s)).`;
+
+        const choice = await vscode.window.showWarningMessage(message, ...actions);
+        if (choice === 'Sync') {
+            await vscode.commands.executeCommand('py-cage.uvSync', workspaceFolder, getOneClickSyncFlags(workspaceFolder, result.state));
+            scheduleCheck();
+        } else if (choice === 'Lock Only') {
+            await vscode.commands.executeCommand('py-cage.uvLock', workspaceFolder);
+            scheduleCheck();
+        } else if (choice === 'Show Changes') {
+            const channel = getOutputChannel();
+            channel.appendLine(`[pyCage] uv sync would change ${getVenvDisplayName(workspaceFolder)}${folderLabel}:`);
+            result.changes.forEach(change => channel.appendLine(`    ${change}`));
+            channel.show();
+        }
+    };
+
+    const checkAll = async () => {
+        if (tokenSource) {
+            tokenSource.cancel();
+        }
+        const currentSource = new vscode.CancellationTokenSource();
+        tokenSource = currentSource;
+
+        try {
+            if (!(await checkUvInstalled())) return;
+
+            for (const workspaceFolder of getWorkspaceFolders()) {
+                const key = workspaceFolder.uri.toString();
+                if (!vscode.workspace.getConfiguration('pyCage', workspaceFolder.uri).get('lock.detectDrift', true)) {
+                    states.delete(key);
+                    continue;
+                }
+
+                const result = await getLockState(workspaceFolder, currentSource.token);
+                if (currentSource.token.isCancellationRequested || !result) return;
+
+                states.set(key, result);
+                const drifted = result.state === 'lockOutdated' || result.state === 'envOutOfSync';
+                if (!drifted) {
+                    notified.delete(key);
+                } else if (notified.get(key) !== result.state) {
+                    notified.set(key, result.state);
+                    console.log(`Lock drift in ${workspaceFolder.name}: ${result.detail}`);
+                    notify(workspaceFolder, result);
+                }
+            }
+            updateStatusItem();
+        } catch (error) {
+            console.error('Lock drift check failed:', error);
+        } finally {
+            if (tokenSource === currentSource) {
+                tokenSource = null;
+            }
+            currentSource.dispose();
+        }
+    };
+
+    // Collapse bursts of file system events (uv sync touches many files)
+    const scheduleCheck = () => {
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+        }
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            checkAll();
+        }, 1500);
+    };
+
+    const watcher = vscode.workspace.createFileSystemWatcher('**/{pyproject.toml,uv.lock}');
+    watcher.onDidCreate(scheduleCheck);
+    watcher.onDidChange(scheduleCheck);
+    watcher.onDidDelete(scheduleCheck);
+
+    context.subscriptions.push(
+        item,
+        watcher,
+        watchVenvs(['', '**/*.dist-info'], scheduleCheck),
+        vscode.window.onDidChangeActiveTextEditor(updateStatusItem),
+        vscode.workspace.onDidChangeWorkspaceFolders(scheduleCheck),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('pyCage.lock.detectDrift')) {
+                scheduleCheck();
+            }
+        }),
+        new vscode.Disposable(() => {
+            if (refreshTimer) {
+                clearTimeout(refreshTimer);
+            }
+            if (tokenSource) {
+                tokenSource.cancel();
+            }
+        })
+    );
+
+    scheduleCheck();
+}
+
+module.exports = {
+    registerLockDriftDetection
+};
@@ -0,0 +1,81 @@
+const vscode = require('vscode');
+const path = require('path');
+
+const PREVIEW_SCHEME = 'pycage-preview';
+
+// Preview contents by URI; every preview gets a new URI, so contents never change
+const previews = new Map();
+let previewCounter = 0;
+
+/**
+ * Registers the read-only document provider behind the preview diffs
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerPreviewDocuments(context) {
+    context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+        provideTextDocumentContent: uri => previews.get(uri.toString()) || ''
+    }));
+}
+
+/**
+ * Creates a preview document
+ * @param {string} fileName - File name shown in the editor tab
+ * @param {string} content - Document content
+ * @returns {vscode.Uri} Preview URI
+ */
+function createPreview(fileName, content) {
+    const uri = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: `/${++previewCounter}/${fileName}` });
+    previews.set(uri.toString(), content);
+    return uri;
+}
+
+/**
+ * Shows a file next to the content it would be replaced with
+ * A missing file is compared with an empty document.
+ * @param {string} filePath - File that would be written
+ * @param {string} content - New content
+ * @param {string} [title] - Diff editor title
+ * @returns {Promise<vscode.Uri[]>} Preview URIs, to pass to closePreviewDiff
+ */
+async function showPreviewDiff(filePath, content, title) {
+    const fileName = path.basename(filePath);
+    const uris = [];
+
+    let original;
+    try {
+        await vscode.workspace.fs.stat(vscode.Uri.file(filePath));
+        original = vscode.Uri.file(filePath);
+    } catch (error) {
+        original = createPreview(fileName, '');
+        uris.push(original);
+    }
+
+    const modified = createPreview(fileName, content);
+    uris.push(modified);
+
+    await vscode.commands.executeCommand('vscode.diff', original, modified,
+        title || `${fileName} (current ↔ proposed)`, { preview: true });
+    return uris;
+}
+
+/**
+ * Closes the diff editors of a preview and forgets its documents
+ * @param {vscode.Uri[]} uris - URIs returned by showPreviewDiff
+ * @returns {Promise<void>}
+ */
+async function closePreviewDiff(uris) {
+    const keys = new Set(uris.map(uri => uri.toString()));
+    const tabs = vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .filter(tab => tab.input instanceof vscode.TabInputTextDiff && keys.has(tab.input.modified.toString()));
+    if (tabs.length > 0) {
+        await vscode.window.tabGroups.close(tabs);
+    }
+    keys.forEach(key => previews.delete(key));
+}
+
+module.exports = {
+    registerPreviewDocuments,
+    showPreviewDiff,
+    closePreviewDiff
+};
@@ -0,0 +1,236 @@
+const vscode = require('vscode');
+const path = require('path');
+const { findDependencyEntries, getInstalledPackages } = require('../managers/dependencyManager');
+const { fetchLatestVersion } = require('../utils/pypiClient');
+const { normalizePackageName } = require('../utils/pep508');
+const { satisfies, compareVersions } = require('../utils/pep440');
+const { watchVenvs } = require('../utils/venvPaths');
+
+// Commands behind the entry actions, also enabled in hover links
+const ENTRY_COMMANDS = ['py-cage.upgradeRequirement', 'py-cage.pinRequirement', 'py-cage.removeRequirement'];
+
+/**
+ * Converts an entry into a command argument that survives JSON serialization (hover links)
+ * @param {Object} entry - Entry from findDependencyEntries
+ * @returns {Object} { requirement, section, group }
+ */
+function toEntryArgument(entry) {
+    return { requirement: entry.requirement, section: entry.section, group: entry.group };
+}
+
+/**
+ * @param {Object} entry - Entry from findDependencyEntries
+ * @returns {vscode.Range} Range of the requirement string
+ */
+function toRange(entry) {
+    return new vscode.Range(entry.start.line, entry.start.character, entry.end.line, entry.end.character);
+}
+
+/**
+ * CodeLens and hover provider for the dependencies of pyproject.toml
+ * Shows the installed and latest version of each entry, with upgrade, pin and remove actions.
+ */
+class PyprojectLensProvider {
+    constructor() {
+        this._onDidChangeCodeLenses = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+        // Installed versions per project directory (promises of Map or null)
+        this.installedCache = new Map();
+    }
+
+    /**
+     * Forget installed versions and re-render the lenses
+     */
+    refresh() {
+        this.installedCache.clear();
+        this._onDidChangeCodeLenses.fire();
+    }
+
+    dispose() {
+        this._onDidChangeCodeLenses.dispose();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - pyproject.toml document
+     * @returns {Object[]} Dependency entries, empty while the document is not valid TOML
+     */
+    getEntries(document) {
+        try {
+            return findDependencyEntries(document.getText());
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - pyproject.toml document
+     * @returns {Promise<Map|null>} Installed versions by normalized name, or null without an environment
+     */
+    getInstalledVersions(document) {
+        const cwd = path.dirname(document.uri.fsPath);
+        if (!this.installedCache.has(cwd)) {
+            this.installedCache.set(cwd, getInstalledPackages(cwd).then(packages => packages
+                ? new Map(packages.map(pkg => [normalizePackageName(pkg.name), pkg.version]))
+                : null));
+        }
+        return this.installedCache.get(cwd);
+    }
+
+    /**
+     * Collects the installed and latest version of an entry
+     * @param {vscode.TextDocument} document - pyproject.toml document
+     * @param {Object} entry - Entry from findDependencyEntries
+     * @returns {Promise<Object>} { installed, latest, summary }
+     */
+    async describeEntry(document, entry) {
+        const [installedVersions, latest] = await Promise.all([
+            this.getInstalledVersions(document),
+            fetchLatestVersion(entry.requirement.name, path.dirname(document.uri.fsPath))
+        ]);
+        return {
+            installed: installedVersions ? installedVersions.get(entry.requirement.normalizedName) || null : null,
+            latest: latest ? latest.version : null,
+            summary: latest ? latest.summary : ''
+        };
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - pyproject.toml document
+     * @returns {vscode.CodeLens[]} Version lens (resolved later) and action lenses per entry
+     */
+    provideCodeLenses(document) {
+        if (!vscode.workspace.getConfiguration('pyCage', document.uri).get('pyproject.codeLens', true)) {
+            return [];
+        }
+
+        return this.getEntries(document).flatMap(entry => {
+            const range = toRange(entry);
+            const args = [document.uri.toString(), toEntryArgument(entry)];
+
+            const versionLens = new vscode.CodeLens(range);
+            versionLens.document = document;
+            versionLens.entry = entry;
+
+            const lenses = [versionLens];
+            if (!entry.requirement.url) {
+                lenses.push(
+                    new vscode.CodeLens(range, { title: 'Upgrade', command: 'py-cage.upgradeRequirement', arguments: args }),
+                    new vscode.CodeLens(range, { title: 'Pin', command: 'py-cage.pinRequirement', arguments: args })
+                );
+            }
+            lenses.push(new vscode.CodeLens(range, { title: 'Remove', command: 'py-cage.removeRequirement', arguments: args }));
+            return lenses;
+        });
+    }
+
+    /**
+     * Fills in the version lens
+     * @param {vscode.CodeLens} lens - Lens from provideCodeLenses
+     * @returns {Promise<vscode.CodeLens>} Resolved lens
+     */
+    async resolveCodeLens(lens) {
+        if (lens.command) return lens;
+
+        const { requirement } = lens.entry;
+        const { installed, latest } = await this.describeEntry(lens.document, lens.entry);
+
+        const parts = [];
+        if (!installed) {
+            parts.push('$(circle-slash) not installed');
+        } else if (requirement.specifier && !satisfies(installed, requirement.specifier)) {
+            parts.push(`$(warning) installed ${installed} (outside ${requirement.specifier})`);
+        } else {
+            parts.push(`$(package) installed ${installed}`);
+        }
+        if (latest) {
+            parts.push(installed && compareVersions(latest, installed) > 0 ? `$(arrow-up) latest ${latest}` : `latest ${latest}`);
+        }
+
+        lens.command = { title: `${requirement.name}: ${parts.join(' · ')}`, command: '' };
+        return lens;
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - pyproject.toml document
+     * @param {vscode.Position} position - Hovered position
+     * @returns {Promise<vscode.Hover|null>} Versions and actions of the hovered entry
+     */
+    async provideHover(document, position) {
+        const entry = this.getEntries(document).find(candidate => toRange(candidate).contains(position));
+        if (!entry) return null;
+
+        const { requirement } = entry;
+        const { installed, latest, summary } = await this.describeEntry(document, entry);
+        const commandLink = (title, command) =>
+            `[${title}](command:${command}?${encodeURIComponent(JSON.stringify([document.uri.toString(), toEntryArgument(entry)]))})`;
+
+        const table = entry.section === 'optional'
+            ? `optional dependency \`${entry.group}\``
+            : (entry.section === 'group' ? `dependency group \`${entry.group}\`` : 'project dependency');
+        const links = [];
+        if (!requirement.url) {
+            links.push(commandLink(latest ? `Upgrade to ${latest}` : 'Upgrade', 'py-cage.upgradeRequirement'));
+            links.push(commandLink(installed ? `Pin to ${installed}` : 'Pin', 'py-cage.pinRequirement'));
+        }
+        links.push(commandLink('Remove', 'py-cage.removeRequirement'));
+        links.push(`[PyPI](https://pypi.org/project/${encodeURIComponent(requirement.name)}/)`);
+
+        const markdown = new vscode.MarkdownString();
+        markdown.isTrusted = { enabledCommands: ENTRY_COMMANDS };
+        markdown.appendMarkdown(`**${requirement.name}** · ${table}\n\n`);
+        if (summary) {
+            markdown.appendText(`${summary}\n\n`);
+        }
+        markdown.appendMarkdown(`- Requirement: \`${requirement.raw}\`\n`);
+        markdown.appendMarkdown(`- Installed: ${installed || 'not installed'}\n`);
+        markdown.appendMarkdown(`- Latest: ${latest || 'unknown'}\n\n`);
+        markdown.appendMarkdown(links.join(' · '));
+
+        return new vscode.Hover(markdown, toRange(entry));
+    }
+}
+
+/**
+ * Registers the pyproject.toml CodeLens and hover provider
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @returns {PyprojectLensProvider} The registered provider
+ */
+function registerPyprojectLens(context) {
+    const provider = new PyprojectLensProvider();
+    const selector = { scheme: 'file', pattern: '**/pyproject.toml' };
+
+    // Installed versions change with the environment; collapse the burst of events of an install
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+        }
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            provider.refresh();
+        }, 1000);
+    };
+
+    context.subscriptions.push(
+        provider,
+        vscode.languages.registerCodeLensProvider(selector, provider),
+        vscode.languages.registerHoverProvider(selector, provider),
+        watchVenvs(['', '**/*.dist-info'], scheduleRefresh),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('pyCage.pyproject.codeLens')) {
+                provider.refresh();
+            }
+        }),
+        new vscode.Disposable(() => {
+            if (refreshTimer) {
+                clearTimeout(refreshTimer);
+            }
+        })
+    );
+    return provider;
+}
+
+module.exports = {
+    PyprojectLensProvider,
+    registerPyprojectLens
+};
@@ -0,0 +1,82 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const {
+    PYTHON_VERSION_FILE,
+    getPinnedPythonVersion,
+    getVenvPythonVersion,
+    matchesPythonRequest
+} = require('../managers/pythonManager');
+const { getActiveWorkspaceFolder, getWorkspaceFolders } = require('../utils/workspace');
+const { getVenvPath, getVenvDisplayName, watchVenvs } = require('../utils/venvPaths');
+
+/**
+ * Updates the status bar item with the pinned Python version of the active workspace folder
+ * Falls back to the virtual environment's version when nothing is pinned; hidden when neither is known.
+ * @param {vscode.StatusBarItem} item - Status bar item
+ */
+function updatePythonVersionStatus(item) {
+    const workspaceFolder = getActiveWorkspaceFolder() || getWorkspaceFolders()[0];
+    if (!workspaceFolder) {
+        item.hide();
+        return;
+    }
+
+    const pinned = getPinnedPythonVersion(workspaceFolder);
+    const venvPath = getVenvPath(workspaceFolder);
+    const venvVersion = fs.existsSync(venvPath) ? getVenvPythonVersion(venvPath) : null;
+    if (!pinned && !venvVersion) {
+        item.hide();
+        return;
+    }
+
+    const mismatch = pinned && venvVersion && matchesPythonRequest(pinned, venvVersion) === false;
+    item.text = pinned
+        ? `${mismatch ? '$(warning)' : '$(pin)'} Python ${pinned}`
+        : `Python ${venvVersion}`;
+
+    const lines = [
+        pinned
+            ? `Pinned in ${path.join(workspaceFolder.name, PYTHON_VERSION_FILE)}: ${pinned}`
+            : `No Python version pinned in ${workspaceFolder.name}`,
+        venvVersion
+            ? `${getVenvDisplayName(workspaceFolder)} uses Python ${venvVersion}`
+            : `${getVenvDisplayName(workspaceFolder)} does not exist yet`
+    ];
+    if (mismatch) {
+        lines.push('The virtual environment does not match the pinned version');
+    }
+    lines.push('', 'Click to pin a Python version');
+    item.tooltip = lines.join('\n');
+    item.show();
+}
+
+/**
+ * Registers the status bar item showing the pinned Python version
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ */
+function registerPythonVersionStatus(context) {
+    const item = vscode.window.createStatusBarItem('pyCage.pythonVersion', vscode.StatusBarAlignment.Right, 100);
+    item.name = 'pyCage Python Version';
+    item.command = 'py-cage.pinPythonVersion';
+
+    const update = () => updatePythonVersionStatus(item);
+    update();
+
+    const watcher = vscode.workspace.createFileSystemWatcher(`**/${PYTHON_VERSION_FILE}`);
+    watcher.onDidCreate(update);
+    watcher.onDidChange(update);
+    watcher.onDidDelete(update);
+
+    context.subscriptions.push(
+        item,
+        watcher,
+        watchVenvs(['pyvenv.cfg'], update),
+        vscode.window.onDidChangeActiveTextEditor(update),
+        vscode.workspace.onDidChangeWorkspaceFolders(update)
+    );
+}
+
+module.exports = {
+    registerPythonVersionStatus
+};
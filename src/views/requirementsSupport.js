@@ -0,0 +1,375 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { getInstalledPackages } = require('../managers/dependencyManager');
+const { parseRequirementsFile, getNameRange } = require('../utils/requirementsFile');
+const { lookupPackage } = require('../utils/pypiClient');
+const { normalizePackageName, formatRequirement } = require('../utils/pep508');
+const { satisfies } = require('../utils/pep440');
+const { rankPopularMatches, suggestPackageName } = require('../utils/packageSearch');
+const { watchVenvs } = require('../utils/venvPaths');
+
+const DIAGNOSTIC_SOURCE = 'pyCage';
+const COMPLETION_LIMIT = 100;
+
+// requirements.txt, requirements-dev.txt, requirements/base.txt style files
+const REQUIREMENTS_SELECTOR = [
+    { scheme: 'file', pattern: '**/requirements*.txt' },
+    { scheme: 'file', pattern: '**/requirements/*.txt' },
+    { language: 'pip-requirements' }
+];
+
+/**
+ * Checks whether a document is a requirements file handled by pyCage
+ * @param {vscode.TextDocument} document - Document
+ * @returns {boolean} True for requirements files
+ */
+function isRequirementsDocument(document) {
+    if (document.uri.scheme !== 'file') return false;
+    return vscode.languages.match(REQUIREMENTS_SELECTOR, document) > 0;
+}
+
+/**
+ * @param {Object} entry - Entry from parseRequirementsFile (or any { start, end })
+ * @returns {vscode.Range} Range of the entry
+ */
+function toRange(entry) {
+    return new vscode.Range(entry.start.line, entry.start.character, entry.end.line, entry.end.character);
+}
+
+/**
+ * Diagnostics, quick fixes, completion and include links for pip requirements files
+ * Diagnostic codes: 'invalid', 'missingInclude', 'unknownPackage', 'unsatisfiable', 'notInstalled',
+ * 'versionMismatch' and 'unpinned'. Quick fixes re-parse the document, so they work on whatever
+ * diagnostics VS Code hands back.
+ */
+class RequirementsSupport {
+    /**
+     * @param {Array} names - Package list shared with the commands ({ project, download_count })
+     */
+    constructor(names) {
+        this.names = names;
+        this.diagnostics = vscode.languages.createDiagnosticCollection('pyCage.requirements');
+        // Installed versions per directory (promises of Map or null)
+        this.installedCache = new Map();
+        // Latest validation per document, so slow lookups of an older version are dropped
+        this.validations = new Map();
+    }
+
+    dispose() {
+        this.diagnostics.dispose();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - Requirements document
+     * @returns {Promise<Map|null>} Installed versions by normalized name, or null without an environment
+     */
+    getInstalledVersions(document) {
+        const cwd = path.dirname(document.uri.fsPath);
+        if (!this.installedCache.has(cwd)) {
+            this.installedCache.set(cwd, getInstalledPackages(cwd).then(packages => packages
+                ? new Map(packages.map(pkg => [normalizePackageName(pkg.name), pkg.version]))
+                : null));
+        }
+        return this.installedCache.get(cwd);
+    }
+
+    /**
+     * Forget installed versions and validate the open requirements files again
+     */
+    refresh() {
+        this.installedCache.clear();
+        vscode.workspace.textDocuments.forEach(document => this.validate(document));
+    }
+
+    /**
+     * Builds the diagnostics of one requirement entry
+     * Requirements with environment markers are not checked against the environment, since they may
+     * target another platform or Python version.
+     * @param {Object} entry - 'requirement' entry
+     * @param {Map|null} installedVersions - Installed versions or null
+     * @param {Object} options - { reportUnpinned, hashMode, cwd }
+     * @returns {Promise<vscode.Diagnostic[]>} Diagnostics
+     */
+    async checkRequirement(entry, installedVersions, options) {
+        const { requirement } = entry;
+        const results = [];
+        const add = (range, message, severity, code) => {
+            const diagnostic = new vscode.Diagnostic(range, message, severity);
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = code;
+            results.push(diagnostic);
+        };
+
+        const info = requirement.url ? null : await lookupPackage(requirement.name, options.cwd);
+        if (info && !info.found) {
+            const suggestion = suggestPackageName(this.names, requirement.name);
+            add(toRange(getNameRange(entry)),
+                `${requirement.name} was not found on the package index${suggestion ? `. Did you mean ${suggestion}?` : ''}`,
+                vscode.DiagnosticSeverity.Error, 'unknownPackage');
+            return results;
+        }
+
+        if (info && requirement.specifier && info.versions.length > 0 &&
+            !info.versions.some(release => !release.yanked && satisfies(release.version, requirement.specifier))) {
+            add(toRange(entry), `No release of ${requirement.name} matches ${requirement.specifier}`,
+                vscode.DiagnosticSeverity.Error, 'unsatisfiable');
+        }
+
+        if (installedVersions && !requirement.marker) {
+            const installed = installedVersions.get(requirement.normalizedName);
+            if (!installed) {
+                add(toRange(entry), `${requirement.name} is not installed in the virtual environment`,
+                    vscode.DiagnosticSeverity.Warning, 'notInstalled');
+            } else if (requirement.specifier && !satisfies(installed, requirement.specifier)) {
+                add(toRange(entry), `Installed ${requirement.name} ${installed} does not satisfy ${requirement.specifier}`,
+                    vscode.DiagnosticSeverity.Warning, 'versionMismatch');
+            }
+        }
+
+        const pinned = /^(==|===)[^,*]+$/.test(requirement.specifier);
+        if (!requirement.url && !pinned && (options.reportUnpinned || options.hashMode)) {
+            // pip refuses unpinned requirements once any line has --hash
+            add(toRange(entry),
+                options.hashMode
+                    ? `${requirement.name} must be pinned with == when hashes are used`
+                    : `${requirement.name} is not pinned to a version`,
+                options.hashMode ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Information,
+                'unpinned');
+        }
+        return results;
+    }
+
+    /**
+     * Validates a requirements document and publishes its diagnostics
+     * @param {vscode.TextDocument} document - Document (others are ignored)
+     * @returns {Promise<void>}
+     */
+    async validate(document) {
+        if (!isRequirementsDocument(document)) return;
+
+        const config = vscode.workspace.getConfiguration('pyCage', document.uri);
+        if (!config.get('requirements.diagnostics', true)) {
+            this.diagnostics.delete(document.uri);
+            return;
+        }
+
+        const key = document.uri.toString();
+        const validation = {};
+        this.validations.set(key, validation);
+
+        const entries = parseRequirementsFile(document.getText());
+        const directory = path.dirname(document.uri.fsPath);
+        const options = {
+            reportUnpinned: config.get('requirements.reportUnpinned', true),
+            hashMode: entries.some(entry => entry.hashes && entry.hashes.length > 0),
+            cwd: directory
+        };
+        const diagnostics = [];
+
+        entries.forEach(entry => {
+            if (entry.kind === 'invalid') {
+                const diagnostic = new vscode.Diagnostic(toRange(entry), entry.message, vscode.DiagnosticSeverity.Error);
+                diagnostic.source = DIAGNOSTIC_SOURCE;
+                diagnostic.code = 'invalid';
+                diagnostics.push(diagnostic);
+            } else if (entry.kind === 'include' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(entry.path) &&
+                !fs.existsSync(path.resolve(directory, entry.path))) {
+                const diagnostic = new vscode.Diagnostic(toRange(entry), `${entry.path} does not exist`, vscode.DiagnosticSeverity.Error);
+                diagnostic.source = DIAGNOSTIC_SOURCE;
+                diagnostic.code = 'missingInclude';
+                diagnostics.push(diagnostic);
+            }
+        });
+        // Syntax problems show right away; index and environment checks follow
+        this.diagnostics.set(document.uri, diagnostics);
+
+        try {
+            const installedVersions = await this.getInstalledVersions(document);
+            const checks = await Promise.all(entries
+                .filter(entry => entry.kind === 'requirement')
+                .map(entry => this.checkRequirement(entry, installedVersions, options)));
+
+            if (this.validations.get(key) !== validation || document.isClosed) return;
+            this.diagnostics.set(document.uri, [...diagnostics, ...checks.flat()]);
+        } catch (error) {
+            console.error(`Failed to check ${document.uri.fsPath}:`, error);
+        }
+    }
+
+    /**
+     * Forgets a closed document
+     * @param {vscode.TextDocument} document - Closed document
+     */
+    forget(document) {
+        this.validations.delete(document.uri.toString());
+        this.diagnostics.delete(document.uri);
+    }
+
+    /**
+     * @param {vscode.TextDocument} document - Requirements document
+     * @param {vscode.Range} range - Range the actions are requested for
+     * @param {vscode.CodeActionContext} context - Diagnostics at the range
+     * @returns {Promise<vscode.CodeAction[]>} Install, pin and typo fixes
+     */
+    async provideCodeActions(document, range, context) {
+        const ours = context.diagnostics.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE);
+        if (ours.length === 0) return [];
+
+        const entries = parseRequirementsFile(document.getText()).filter(entry => entry.kind === 'requirement');
+        const actions = [];
+
+        for (const diagnostic of ours) {
+            const entry = entries.find(candidate => toRange(candidate).contains(diagnostic.range.start));
+            if (!entry) continue;
+            const { requirement } = entry;
+
+            if (diagnostic.code === 'unknownPackage') {
+                const suggestion = suggestPackageName(this.names, requirement.name);
+                if (suggestion) {
+                    const action = new vscode.CodeAction(`Change to ${suggestion}`, vscode.CodeActionKind.QuickFix);
+                    action.edit = new vscode.WorkspaceEdit();
+                    action.edit.replace(document.uri, toRange(getNameRange(entry)), suggestion);
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = true;
+                    actions.push(action);
+                }
+            }
+
+            if (diagnostic.code === 'notInstalled' || diagnostic.code === 'versionMismatch') {
+                const action = new vscode.CodeAction(`Install ${requirement.raw}`, vscode.CodeActionKind.QuickFix);
+                action.command = {
+                    title: action.title,
+                    command: 'py-cage.installRequirement',
+                    arguments: [document.uri.toString(), requirement.raw]
+                };
+                action.diagnostics = [diagnostic];
+                action.isPreferred = diagnostic.code === 'notInstalled';
+                actions.push(action);
+            }
+
+            // Changing the version would invalidate the hashes of the line
+            if ((diagnostic.code === 'unpinned' || diagnostic.code === 'versionMismatch') && entry.hashes.length === 0) {
+                const installedVersions = await this.getInstalledVersions(document);
+                const installed = installedVersions && installedVersions.get(requirement.normalizedName);
+                if (installed) {
+                    const action = new vscode.CodeAction(`Pin to installed version ${installed}`, vscode.CodeActionKind.QuickFix);
+                    action.edit = new vscode.WorkspaceEdit();
+                    action.edit.replace(document.uri, toRange(entry), formatRequirement({ ...requirement, specifier: `==${installed}` }));
+                    action.diagnostics = [diagnostic];
+                    actions.push(action);
+                }
+            }
+        }
+        return actions;
+    }
+
+    /**
+     * Completes package names at the start of a requirement line
+     * @param {vscode.TextDocument} document - Requirements document
+     * @param {vscode.Position} position - Cursor position
+     * @returns {vscode.CompletionList|undefined} Popular packages matching the typed prefix
+     */
+    provideCompletionItems(document, position) {
+        const linePrefix = document.lineAt(position.line).text.slice(0, position.character);
+        const match = linePrefix.match(/^\s*([A-Za-z0-9._-]*)$/);
+        if (!match) return undefined;
+        if (position.line > 0 && /\\\s*$/.test(document.lineAt(position.line - 1).text)) return undefined;
+
+        const typed = match[1];
+        const range = new vscode.Range(position.line, position.character - typed.length, position.line, position.character);
+        const items = rankPopularMatches(this.names, typed).slice(0, COMPLETION_LIMIT).map((pkg, index) => {
+            const item = new vscode.CompletionItem(pkg.project, vscode.CompletionItemKind.Module);
+            item.range = range;
+            item.detail = pkg.download_count ? `Downloads: ${pkg.download_count.toLocaleString()}` : undefined;
+            // Keep the popularity ranking instead of alphabetical order
+            item.sortText = String(index).padStart(4, '0');
+            return item;
+        });
+        // The list is cut off, so ask again as the user keeps typing
+        return new vscode.CompletionList(items, true);
+    }
+
+    /**
+     * Links the files included with -r and -c
+     * @param {vscode.TextDocument} document - Requirements document
+     * @returns {vscode.DocumentLink[]} Links to existing included files
+     */
+    provideDocumentLinks(document) {
+        const directory = path.dirname(document.uri.fsPath);
+        return parseRequirementsFile(document.getText())
+            .filter(entry => entry.kind === 'include' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(entry.path))
+            .filter(entry => fs.existsSync(path.resolve(directory, entry.path)))
+            .map(entry => new vscode.DocumentLink(toRange(entry), vscode.Uri.file(path.resolve(directory, entry.path))));
+    }
+}
+
+/**
+ * Registers diagnostics, quick fixes, completion and links for requirements files
+ * @param {vscode.ExtensionContext} context - VS Code extension context
+ * @param {Array} names - Package list shared with the commands
+ * @returns {RequirementsSupport} The registered provider
+ */
+function registerRequirementsSupport(context, names) {
+    const support = new RequirementsSupport(names);
+
+    // Validate after typing pauses and once per burst of environment changes
+    const timers = new Map();
+    const scheduleValidation = (document, delay) => {
+        const key = document.uri.toString();
+        if (timers.has(key)) {
+            clearTimeout(timers.get(key));
+        }
+        timers.set(key, setTimeout(() => {
+            timers.delete(key);
+            support.validate(document);
+        }, delay));
+    };
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+        }
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            support.refresh();
+        }, 1000);
+    };
+
+    context.subscriptions.push(
+        support,
+        vscode.languages.registerCodeActionsProvider(REQUIREMENTS_SELECTOR, support, {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.languages.registerCompletionItemProvider(REQUIREMENTS_SELECTOR, support),
+        vscode.languages.registerDocumentLinkProvider(REQUIREMENTS_SELECTOR, support),
+        vscode.workspace.onDidOpenTextDocument(document => support.validate(document)),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (isRequirementsDocument(event.document)) {
+                scheduleValidation(event.document, 500);
+            }
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => support.forget(document)),
+        watchVenvs(['', '**/*.dist-info'], scheduleRefresh),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('pyCage.requirements')) {
+                support.refresh();
+            }
+        }),
+        new vscode.Disposable(() => {
+            timers.forEach(timer => clearTimeout(timer));
+            if (refreshTimer) {
+                clearTimeout(refreshTimer);
+            }
+        })
+    );
+
+    vscode.workspace.textDocuments.forEach(document => support.validate(document));
+    return support;
+}
+
+module.exports = {
+    RequirementsSupport,
+    isRequirementsDocument,
+    registerRequirementsSupport
+};